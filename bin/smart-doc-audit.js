@@ -0,0 +1,275 @@
+#!/usr/bin/env node
+// Audits documents for reading barriers the way the reader's Accessibility Analysis does,
+// so a document pipeline can hold back handouts that score too low. Prints each file's
+// score, exits with 1 when any file is below the threshold or cannot be read, and can
+// write the results as JSON or JUnit XML for CI.
+const fs = require('fs');
+const path = require('path');
+const { DocumentAuditor, FileExport } = require('../node/core');
+const { version } = require('../package.json');
+
+// Scanned pages and images need OCR, which only the reader has, so folders are searched
+// for text formats only
+const AUDITED_EXTENSIONS = ['txt', 'md', 'markdown', 'html', 'htm', 'xhtml', 'docx', 'epub', 'pdf'];
+const OUTPUT_FORMATS = ['text', 'json', 'junit'];
+const DEFAULT_THRESHOLD = 70;
+
+const USAGE = `Usage: smart-doc-audit [options] <file or folder>...
+
+Scores each document out of 100 for reading barriers. Folders are searched
+recursively for ${AUDITED_EXTENSIONS.map(extension => `.${extension}`).join(', ')} files.
+
+Options:
+  -t, --threshold <score>  lowest passing score, 0-100 (default ${DEFAULT_THRESHOLD})
+  -f, --format <format>    text, json or junit (default text)
+  -o, --output <file>      write the results to <file> instead of standard output
+  -q, --quiet              print only failures and the summary
+  -h, --help               show this help
+  -v, --version            show the version
+
+Exits with 0 when every document passes, 1 when any scores below the threshold or
+cannot be read, and 2 on a usage error.`;
+
+class UsageError extends Error {}
+
+function parseArguments(args) {
+    const options = { threshold: DEFAULT_THRESHOLD, format: 'text', output: null, quiet: false, paths: [] };
+    const value = (name, i) => {
+        if (i >= args.length) throw new UsageError(`${name} needs a value`);
+        return args[i];
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg === '-v' || arg === '--version') {
+            options.version = true;
+        } else if (arg === '-q' || arg === '--quiet') {
+            options.quiet = true;
+        } else if (arg === '-t' || arg === '--threshold') {
+            const threshold = value(arg, ++i);
+            if (!/^\d+$/.test(threshold) || Number(threshold) > 100) {
+                throw new UsageError(`Threshold must be a whole number from 0 to 100, not "${threshold}"`);
+            }
+            options.threshold = Number(threshold);
+        } else if (arg === '-f' || arg === '--format') {
+            options.format = value(arg, ++i);
+            if (!OUTPUT_FORMATS.includes(options.format)) {
+                throw new UsageError(`Format must be one of ${OUTPUT_FORMATS.join(', ')}, not "${options.format}"`);
+            }
+        } else if (arg === '-o' || arg === '--output') {
+            options.output = value(arg, ++i);
+        } else if (arg === '--') {
+            options.paths.push(...args.slice(i + 1));
+            break;
+        } else if (arg.startsWith('-')) {
+            throw new UsageError(`Unknown option: ${arg}`);
+        } else {
+            options.paths.push(arg);
+        }
+    }
+    return options;
+}
+
+// Files named on the command line are audited whatever their extension; folders
+// contribute their supported files, skipping hidden folders and node_modules
+function collectFiles(paths) {
+    const files = [];
+    const visit = (folder) => {
+        fs.readdirSync(folder, { withFileTypes: true })
+            .filter(entry => !entry.name.startsWith('.') && entry.name !== 'node_modules')
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .forEach(entry => {
+                const target = path.join(folder, entry.name);
+                if (entry.isDirectory()) {
+                    visit(target);
+                } else if (entry.isFile() && AUDITED_EXTENSIONS.includes(path.extname(entry.name).slice(1).toLowerCase())) {
+                    files.push(target);
+                }
+            });
+    };
+
+    paths.forEach(target => {
+        if (!fs.existsSync(target)) throw new UsageError(`No such file or folder: ${target}`);
+        if (fs.statSync(target).isDirectory()) visit(target);
+        else files.push(target);
+    });
+    return files;
+}
+
+// pdf.js is an optional dependency; without it PDFs are reported as unreadable
+function loadPDFjs() {
+    // Loading it warns that canvas is missing, which only rendering needs
+    const log = console.log;
+    let pdfjs;
+    try {
+        console.log = () => {};
+        pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+    } catch (error) {
+        return null;
+    } finally {
+        console.log = log;
+    }
+    // Only errors: text extraction does not need the fonts it warns about either
+    return {
+        getDocument: (params) => pdfjs.getDocument({ ...params, verbosity: pdfjs.VerbosityLevel.ERRORS })
+    };
+}
+
+async function auditFile(auditor, file, threshold) {
+    const result = { path: file, status: 'error', score: null, riskLevel: null, error: null, notes: [], report: null };
+    try {
+        const audit = await auditor.audit(new File([await fs.promises.readFile(file)], path.basename(file)));
+        if (!audit) {
+            result.error = 'Unsupported file type';
+            return result;
+        }
+        if (audit.report.score === null) {
+            result.error = audit.scannedPages > 0
+                ? 'No text layer was found; scanned documents need OCR, which only the reader has'
+                : 'No readable text was found';
+            return result;
+        }
+
+        if (audit.scannedPages > 0) {
+            result.notes.push(`${audit.scannedPages} scanned page${audit.scannedPages === 1 ? ' was' : 's were'} not read (OCR is only available in the reader)`);
+        }
+        result.report = auditor.reportData({ report: audit.report, sentences: audit.sentences, documentInfo: audit.documentInfo });
+        result.score = audit.report.score;
+        result.riskLevel = audit.report.riskLevel;
+        result.status = result.score >= threshold ? 'pass' : 'fail';
+    } catch (error) {
+        result.error = !auditor.pdfjs && /\.pdf$/i.test(file)
+            ? `${error.message}; install the optional pdfjs-dist package to audit PDFs`
+            : error.message;
+    }
+    return result;
+}
+
+function summarize(results) {
+    return {
+        files: results.length,
+        passed: results.filter(result => result.status === 'pass').length,
+        failed: results.filter(result => result.status === 'fail').length,
+        errors: results.filter(result => result.status === 'error').length
+    };
+}
+
+function resultLine(result, threshold) {
+    if (result.status === 'error') return `ERROR  ${result.path}: ${result.error}`;
+
+    const issues = result.report.issues.length;
+    const line = `${result.status === 'pass' ? 'PASS ' : 'FAIL '}  ${String(result.score).padStart(3)}  ${result.path}`
+        + ` (${result.riskLevel}, ${issues} issue${issues === 1 ? '' : 's'}`
+        + `${result.status === 'fail' ? `, below ${threshold}` : ''})`;
+    return [line, ...result.notes.map(note => `       ${note}`)].join('\n');
+}
+
+function summaryLine(summary, threshold) {
+    return `${summary.files} document${summary.files === 1 ? '' : 's'} audited: ${summary.passed} passed, `
+        + `${summary.failed} below ${threshold}, ${summary.errors} could not be read`;
+}
+
+function toText(results, summary, threshold, quiet) {
+    return [
+        ...results.filter(result => !quiet || result.status !== 'pass').map(result => resultLine(result, threshold)),
+        summaryLine(summary, threshold)
+    ].join('\n') + '\n';
+}
+
+function toJSON(results, summary, threshold) {
+    return JSON.stringify({
+        generator: `smart-doc-audit ${version}`,
+        generatedAt: new Date().toISOString(),
+        threshold,
+        summary,
+        results: results.map(result => ({
+            path: result.path,
+            status: result.status,
+            score: result.score,
+            riskLevel: result.riskLevel,
+            error: result.error,
+            notes: result.notes,
+            report: result.report
+        }))
+    }, null, 2) + '\n';
+}
+
+// One test case per document: a failure below the threshold, an error when unreadable
+function toJUnit(results, summary, threshold) {
+    const escapeXML = (value) => FileExport.escapeMarkup(value);
+    const testCase = (result) => {
+        const open = `    <testcase classname="smart-doc-audit" name="${escapeXML(result.path)}">`;
+        if (result.status === 'error') {
+            return `${open}\n      <error message="${escapeXML(result.error)}"/>\n    </testcase>`;
+        }
+        if (result.status === 'pass') {
+            return open.replace(/>$/, '/>');
+        }
+
+        const details = result.report.issues.map(issue => `${issue.severity}: ${issue.description}`).join('\n');
+        const message = `Accessibility score ${result.score} is below ${threshold} (${result.riskLevel})`;
+        return `${open}\n      <failure type="accessibility" message="${escapeXML(message)}">${escapeXML(details)}</failure>\n    </testcase>`;
+    };
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="smart-doc-audit" tests="${summary.files}" failures="${summary.failed}" errors="${summary.errors}">`,
+        `  <testsuite name="Accessibility audit (threshold ${threshold})" tests="${summary.files}" failures="${summary.failed}" errors="${summary.errors}" timestamp="${new Date().toISOString()}">`,
+        ...results.map(testCase),
+        '  </testsuite>',
+        '</testsuites>'
+    ].join('\n') + '\n';
+}
+
+async function main(args) {
+    const options = parseArguments(args);
+    if (options.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+    if (options.version) {
+        process.stdout.write(`${version}\n`);
+        return 0;
+    }
+    if (options.paths.length === 0) throw new UsageError('Name at least one file or folder to audit');
+
+    const files = collectFiles(options.paths);
+    if (files.length === 0) throw new UsageError('No documents to audit were found');
+
+    const auditor = new DocumentAuditor({ pdfjs: loadPDFjs() });
+    const results = [];
+    for (const file of files) {
+        const result = await auditFile(auditor, file, options.threshold);
+        results.push(result);
+        // Text progress goes to the terminal as it happens, unless it is the output itself
+        if (options.format !== 'text' && options.output && (!options.quiet || result.status !== 'pass')) {
+            process.stdout.write(resultLine(result, options.threshold) + '\n');
+        }
+    }
+
+    const summary = summarize(results);
+    const output = options.format === 'json'
+        ? toJSON(results, summary, options.threshold)
+        : options.format === 'junit'
+            ? toJUnit(results, summary, options.threshold)
+            : toText(results, summary, options.threshold, options.quiet);
+
+    if (options.output) {
+        fs.writeFileSync(options.output, output);
+        if (options.format !== 'text') process.stdout.write(summaryLine(summary, options.threshold) + '\n');
+    } else {
+        process.stdout.write(output);
+    }
+    return summary.failed + summary.errors > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2))
+    .then(code => { process.exitCode = code; })
+    .catch(error => {
+        console.error(error instanceof UsageError
+            ? `smart-doc-audit: ${error.message}\nRun smart-doc-audit --help for usage.`
+            : `smart-doc-audit: ${error.stack}`);
+        process.exitCode = 2;
+    });
@@ -0,0 +1,141 @@
+// Highlights and notes anchored to sentences. Each annotation keeps the index and the text of
+// its sentence, so it can be found again when a document is segmented differently or an
+// edited copy of the file is opened.
+const ANNOTATION_COLORS = {
+    yellow: 'Yellow',
+    green: 'Green',
+    blue: 'Blue',
+    pink: 'Pink'
+};
+
+const ANNOTATION_FORMATS = {
+    markdown: { extension: 'md', mimeType: 'text/markdown' },
+    json: { extension: 'json', mimeType: 'application/json' }
+};
+
+// Shorter sentences are too common ("Yes.", "See above.") to be matched inside another one
+const ANNOTATION_PARTIAL_MATCH_CHARS = 20;
+
+class DocumentAnnotations {
+    create({ sentence, text, color, note }) {
+        const now = Date.now();
+        return {
+            id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            sentence,
+            text,
+            color: ANNOTATION_COLORS[color] ? color : 'yellow',
+            note: note.trim(),
+            createdAt: now,
+            updatedAt: now
+        };
+    }
+
+    // Points each annotation at the sentence holding its text, preferring the one nearest its
+    // old position. Annotations whose text is gone get `sentence: null` and are tried again on
+    // the next load. Returns { annotations, moved, detached }.
+    reanchor(annotations, sentences) {
+        const normalized = sentences.map(sentence => this.normalize(sentence));
+        let moved = 0;
+        let detached = 0;
+
+        const result = annotations.map(annotation => {
+            const text = this.normalize(annotation.text);
+            if (annotation.sentence !== null && normalized[annotation.sentence] === text) return annotation;
+
+            let sentence = this.nearest(normalized, annotation.sentence, candidate => candidate === text);
+            if (sentence === null && text.length >= ANNOTATION_PARTIAL_MATCH_CHARS) {
+                sentence = this.nearest(normalized, annotation.sentence, candidate =>
+                    candidate.length >= ANNOTATION_PARTIAL_MATCH_CHARS && (candidate.includes(text) || text.includes(candidate)));
+            }
+
+            if (sentence === null) {
+                if (annotation.sentence !== null) detached++;
+                return { ...annotation, sentence: null };
+            }
+            moved++;
+            return { ...annotation, sentence };
+        });
+
+        return { annotations: this.sort(result), moved, detached };
+    }
+
+    nearest(normalized, from, matches) {
+        const origin = from === null ? 0 : from;
+        let best = null;
+        normalized.forEach((candidate, index) => {
+            if (!matches(candidate)) return;
+            if (best === null || Math.abs(index - origin) < Math.abs(best - origin)) best = index;
+        });
+        return best;
+    }
+
+    normalize(text) {
+        return text.toLowerCase().replace(/\s+/g, ' ').trim();
+    }
+
+    // Detached annotations sort last
+    sort(annotations) {
+        const position = (annotation) => annotation.sentence === null ? Infinity : annotation.sentence;
+        return [...annotations].sort((a, b) => position(a) - position(b));
+    }
+
+    filter(annotations, { query, color }) {
+        const words = this.normalize(query).split(' ').filter(Boolean);
+        return annotations.filter(annotation => {
+            if (color && annotation.color !== color) return false;
+            const haystack = this.normalize(`${annotation.text} ${annotation.note}`);
+            return words.every(word => haystack.includes(word));
+        });
+    }
+
+    build({ annotations, documentInfo }) {
+        return {
+            generator: 'Smart Document Reader',
+            generatedAt: new Date().toISOString(),
+            document: { fileName: documentInfo.fileName, format: documentInfo.format },
+            annotations: annotations.map(annotation => ({
+                sentence: annotation.sentence === null ? null : annotation.sentence + 1,
+                color: annotation.color,
+                text: annotation.text,
+                note: annotation.note,
+                createdAt: new Date(annotation.createdAt).toISOString(),
+                updatedAt: new Date(annotation.updatedAt).toISOString()
+            }))
+        };
+    }
+
+    serialize(data, format) {
+        switch (format) {
+            case 'markdown':
+                return this.toMarkdown(data);
+            case 'json':
+                return JSON.stringify(data, null, 2);
+            default:
+                throw new Error(`Unknown notes format: ${format}`);
+        }
+    }
+
+    download(data, format) {
+        const { extension, mimeType } = ANNOTATION_FORMATS[format];
+        return FileExport.download(this.serialize(data, format), FileExport.fileName(data.document.fileName, 'notes', extension), mimeType);
+    }
+
+    toMarkdown(data) {
+        // Document text and notes are text, not Markdown, on every line; pipes are escaped too,
+        // so a line of them is never read as a table
+        const escape = (text) => MarkdownRenderer.escapeText(text).replace(/\|/g, '\\|');
+        const quote = (text) => escape(text).split('\n').map(line => `> ${line}`).join('\n');
+        const sections = data.annotations.map(annotation => {
+            const where = annotation.sentence === null ? 'Not found in this version' : `Sentence ${annotation.sentence}`;
+            const lines = [`## ${where} (${ANNOTATION_COLORS[annotation.color] || annotation.color})`, '', quote(annotation.text)];
+            if (annotation.note) lines.push('', escape(annotation.note));
+            return lines.join('\n');
+        });
+
+        return [
+            `# Notes: ${escape(data.document.fileName)}`,
+            `${data.annotations.length} highlight${data.annotations.length === 1 ? '' : 's'}, exported ${new Date(data.generatedAt).toLocaleString()}`,
+            ...sections
+        ].join('\n\n') + '\n';
+    }
+}
@@ -0,0 +1,133 @@
+// Import, segmentation and barrier analysis with no page to display on: the part of the
+// reader that turns a file into sentences, blocks and an accessibility report. The reader
+// uses it to import every upload, and bin/smart-doc-audit.js runs it under Node to audit
+// folders of documents. A browser File works as input, as does any object with the same
+// name, type, slice, arrayBuffer and text members.
+class DocumentAuditor {
+    // `pdfjs` is pdf.js (pdfjsLib) and `ocr` an OCREngine; without them PDFs, or scanned
+    // pages and images, cannot be read
+    constructor({ importer = new DocumentImporter(), pdfjs = null, ocr = null } = {}) {
+        this.importer = importer;
+        this.pdfjs = pdfjs;
+        this.ocr = ocr;
+        this.pdfExtractor = new PDFLayoutExtractor();
+        this.languageDetector = new LanguageDetector();
+        this.analyzer = new ReadabilityAnalyzer();
+        this.reportExporter = new AccessibilityReportExporter();
+    }
+
+    // Resolves to { text, language, ocrError, scannedPages, documentInfo }, or null when the
+    // file is not a format the reader opens. `language` is the declared language or null.
+    async read(file) {
+        const format = await this.importer.detectFormat(file);
+        if (!format) return null;
+
+        const documentInfo = { fileName: file.name, format, pageCount: null };
+        let result = { text: '', language: null, ocrError: null, scannedPages: 0 };
+
+        if (format === 'text') {
+            result.text = await file.text();
+        } else if (format === 'pdf') {
+            if (!this.pdfjs) throw new Error('PDF support (pdf.js) is not available');
+            let pdf;
+            try {
+                pdf = await this.pdfjs.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+            } catch (error) {
+                throw new Error('Failed to read PDF file');
+            }
+            documentInfo.pageCount = pdf.numPages;
+
+            // Rebuilds reading order, paragraphs and headings instead of joining raw text items,
+            // and runs OCR on pages that have no text layer
+            result = { ...result, ...await this.pdfExtractor.extract(pdf, this.ocr) };
+        } else if (format === 'image') {
+            if (!this.ocr) throw new Error('Images need OCR, which is not available');
+            const blocks = await this.ocr.recognizeImage(file);
+            result.text = blocks.map(block => block.text).join('\n\n');
+        } else {
+            result = { ...result, ...await this.importer.importFile(file, format) };
+        }
+
+        return { ...result, documentInfo };
+    }
+
+    // The declared language, else the detected one, else English
+    language(text, declared = null) {
+        return declared || this.languageDetector.detect(text) || 'en';
+    }
+
+    // Markdown files follow CommonMark exactly; plain text and imported documents keep
+    // every line break, since a single newline there is a real one (an address, a <br>)
+    render(text, format) {
+        return new MarkdownRenderer({ breaks: format !== 'markdown' }).render(text);
+    }
+
+    // Segments and analyzes imported text the way the reader does once it is displayed.
+    // Returns { language, sentences, blocks, report }.
+    analyze(text, { format, language = null }) {
+        const documentLanguage = this.language(text, language);
+        const doc = this.importer.parser.parseFromString(`<!DOCTYPE html><body>${this.render(text, format)}`, 'text/html');
+        const { sentences, blocks, sentenceOf } = new SentenceSegmenter(documentLanguage).segmentTree(doc.body);
+
+        return {
+            language: documentLanguage,
+            sentences,
+            blocks,
+            report: this.analyzer.analyze(sentences, blocks, this.uncertainWords(doc.body, sentenceOf))
+        };
+    }
+
+    // Words OCR was unsure of as { text, confidence, sentence }, like the reader's uncertainWords
+    uncertainWords(root, sentenceOf) {
+        const firstText = (node) => node.nodeType === MARKUP_TEXT_NODE
+            ? node
+            : Array.from(node.childNodes).map(firstText).find(Boolean) || null;
+
+        return this.importer.findElements(root, element => (element.getAttribute('class') || '').split(' ').includes('ocr-uncertain'))
+            .map(word => {
+                const text = firstText(word);
+                return {
+                    text: word.textContent,
+                    confidence: Number(word.getAttribute('data-confidence')),
+                    sentence: text && sentenceOf.has(text) ? sentenceOf.get(text) : null
+                };
+            })
+            .filter(word => word.sentence !== null);
+    }
+
+    // Where in `sentences` an issue was found, as { label, excerpt, detail, indexes }
+    locations(issue, sentences) {
+        return [
+            ...issue.sentences.map((index, i) => ({
+                label: `Sentence ${index + 1}`,
+                excerpt: sentences[index],
+                detail: issue.details[i],
+                indexes: [index]
+            })),
+            ...issue.paragraphs.map((range, i) => ({
+                label: range.end - range.start === 1 ? `Sentence ${range.start + 1}` : `Sentences ${range.start + 1}–${range.end}`,
+                excerpt: sentences[range.start],
+                detail: issue.details[i],
+                indexes: Array.from({ length: range.end - range.start }, (_, n) => range.start + n)
+            }))
+        ];
+    }
+
+    // The report as exported, laid out by docs/accessibility-report.schema.json
+    reportData({ report, sentences, documentInfo }) {
+        return this.reportExporter.build({
+            report,
+            issues: report.issues.map(issue => ({ ...issue, locations: this.locations(issue, sentences) })),
+            sentences,
+            documentInfo
+        });
+    }
+
+    // Reads and analyzes `file`; null when its format is not supported
+    async audit(file) {
+        const imported = await this.read(file);
+        if (!imported) return null;
+
+        return { ...imported, ...this.analyze(imported.text, { format: imported.documentInfo.format, language: imported.language }) };
+    }
+}
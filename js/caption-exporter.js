@@ -0,0 +1,167 @@
+// Serializes the reading timeline of a document as WebVTT or SRT captions, a timestamped
+// transcript or an SSML script, so recordings of the document read aloud can be captioned
+// and the audio regenerated with another speech engine.
+const CAPTION_FORMATS = {
+    vtt: { extension: 'vtt', mimeType: 'text/vtt', suffix: 'captions' },
+    srt: { extension: 'srt', mimeType: 'application/x-subrip', suffix: 'captions' },
+    transcript: { extension: 'txt', mimeType: 'text/plain', suffix: 'transcript' },
+    ssml: { extension: 'ssml', mimeType: 'application/ssml+xml', suffix: 'speech' }
+};
+
+// Broadcast caption limits: lines of at most 42 characters, two lines on screen at once
+const CAPTION_LINE_LENGTH = 42;
+const CAPTION_LINES_PER_CUE = 2;
+
+class CaptionExporter {
+    // `sentences` are { text, duration, measured, cue, language } in reading order, durations in
+    // milliseconds; `blocks` are the segmenter's { start, end } ranges, `pause` the silence
+    // between sentences, `voice` the { rate, pitch, volume } used for reading and `estimate`
+    // how the durations that were not measured were worked out
+    build({ sentences, blocks, pause, voice, estimate, language, documentInfo }) {
+        let time = 0;
+        const timeline = sentences.map((sentence, index) => {
+            const entry = { ...sentence, index, start: time, end: time + sentence.duration };
+            time = entry.end + pause;
+            return entry;
+        });
+
+        return {
+            fileName: documentInfo.fileName,
+            language,
+            voice,
+            pause,
+            estimate,
+            measuredCount: timeline.filter(entry => entry.measured).length,
+            timeline,
+            // Paragraphs as lists of timeline entries, for the transcript and SSML layouts
+            paragraphs: blocks.map(block => timeline.slice(block.start, block.end)).filter(entries => entries.length > 0)
+        };
+    }
+
+    serialize(data, format) {
+        switch (format) {
+            case 'vtt':
+                return this.toWebVTT(data);
+            case 'srt':
+                return this.toSRT(data);
+            case 'transcript':
+                return this.toTranscript(data);
+            case 'ssml':
+                return this.toSSML(data);
+            default:
+                throw new Error(`Unknown caption format: ${format}`);
+        }
+    }
+
+    download(data, format) {
+        const { extension, mimeType, suffix } = CAPTION_FORMATS[format];
+        return FileExport.download(this.serialize(data, format), FileExport.fileName(data.fileName, suffix, extension), mimeType);
+    }
+
+    // Splits each sentence into cues of at most two caption lines, sharing out its time by length
+    cues(data) {
+        const cues = [];
+        data.timeline.forEach(entry => {
+            const text = entry.cue ? `[${entry.cue}] ${entry.text}` : entry.text;
+            const lines = this.wrapLines(text);
+            const groups = [];
+            for (let i = 0; i < lines.length; i += CAPTION_LINES_PER_CUE) {
+                groups.push(lines.slice(i, i + CAPTION_LINES_PER_CUE));
+            }
+
+            const characters = groups.reduce((sum, group) => sum + group.join(' ').length, 0);
+            let start = entry.start;
+            groups.forEach((group, i) => {
+                const end = i === groups.length - 1
+                    ? entry.end
+                    : start + (entry.end - entry.start) * group.join(' ').length / characters;
+                cues.push({ start, end, lines: group });
+                start = end;
+            });
+        });
+        return cues;
+    }
+
+    wrapLines(text) {
+        const lines = [];
+        let line = '';
+        text.split(/\s+/).filter(Boolean).forEach(word => {
+            if (line && line.length + 1 + word.length > CAPTION_LINE_LENGTH) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = line ? `${line} ${word}` : word;
+            }
+        });
+        if (line) lines.push(line);
+        return lines;
+    }
+
+    toWebVTT(data) {
+        const escape = (text) => FileExport.escapeMarkup(text, { quotes: false });
+        const cues = this.cues(data).map((cue, i) =>
+            `${i + 1}\n${this.timestamp(cue.start, '.')} --> ${this.timestamp(cue.end, '.')}\n${cue.lines.map(escape).join('\n')}`);
+        return ['WEBVTT', `NOTE\n${escape(this.timingNote(data))}`, ...cues].join('\n\n') + '\n';
+    }
+
+    toSRT(data) {
+        return this.cues(data).map((cue, i) =>
+            `${i + 1}\r\n${this.timestamp(cue.start, ',')} --> ${this.timestamp(cue.end, ',')}\r\n${cue.lines.join('\r\n')}`
+        ).join('\r\n\r\n') + '\r\n';
+    }
+
+    toTranscript(data) {
+        const paragraphs = data.paragraphs.map(entries => entries.map(entry =>
+            `[${this.timestamp(entry.start, '.').slice(0, 8)}] ${entry.cue ? `[${entry.cue}] ` : ''}${entry.text}`
+        ).join('\n'));
+        return [`Transcript: ${data.fileName}`, this.timingNote(data), ...paragraphs].join('\n\n') + '\n';
+    }
+
+    toSSML(data) {
+        const e = (value) => FileExport.escapeMarkup(value);
+        const { rate, pitch, volume } = data.voice;
+        const pitchChange = Math.round((pitch - 1) * 100);
+        const prosody = [
+            `rate="${Math.round(rate * 100)}%"`,
+            `pitch="${pitchChange >= 0 ? '+' : ''}${pitchChange}%"`,
+            `volume="${volume > 0 ? `${volume >= 1 ? '+' : ''}${(20 * Math.log10(volume)).toFixed(1)}dB` : 'silent'}"`
+        ].join(' ');
+
+        // Structure cues are always spoken in English, like in the reader
+        const sentence = (entry) => {
+            const cue = entry.cue
+                ? `<s${data.language === 'en' ? '' : ' xml:lang="en"'}>${e(entry.cue)}</s> `
+                : '';
+            const lang = entry.language && entry.language !== data.language ? ` xml:lang="${e(entry.language)}"` : '';
+            return `${cue}<s${lang}>${e(entry.text)}</s>`;
+        };
+        const paragraphs = data.paragraphs.map(entries =>
+            `      <p>${entries.map(sentence).join(`<break time="${data.pause}ms"/>`)}</p>`);
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<speak version="1.1" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="${e(data.language)}">
+  <prosody ${prosody}>
+${paragraphs.join('\n')}
+  </prosody>
+</speak>
+`;
+    }
+
+    timingNote(data) {
+        const total = data.timeline.length;
+        if (data.measuredCount === 0) return `Timings are ${data.estimate}.`;
+        return data.measuredCount === total
+            ? `Timings of all ${total} sentences were measured while reading aloud.`
+            : `Timings of ${data.measuredCount} of ${total} sentences were measured while reading aloud; the rest are ${data.estimate}.`;
+    }
+
+    // HH:MM:SS followed by `separator` and milliseconds: "." for WebVTT, "," for SRT
+    timestamp(ms, separator) {
+        const total = Math.max(0, Math.round(ms));
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+        const hours = Math.floor(total / 3600000);
+        const minutes = Math.floor(total / 60000) % 60;
+        const seconds = Math.floor(total / 1000) % 60;
+        return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(total % 1000, 3)}`;
+    }
+}
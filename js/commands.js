@@ -0,0 +1,164 @@
+// Central list of the reader's commands, the keyboard shortcuts bound to them and the user's
+// remappings. Shortcuts are written like "Ctrl+Alt+P": modifiers in the order below, then the
+// key by its position on the keyboard, so Option-modified letters on a Mac ("π" for P) and
+// shifted punctuation still match what the user pressed.
+const COMMAND_MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+
+const COMMAND_KEY_NAMES = {
+    Space: 'Space', Period: '.', Comma: ',', Minus: '-', Equal: '=', Slash: '/', Backslash: '\\',
+    Semicolon: ';', Quote: "'", Backquote: '`', BracketLeft: '[', BracketRight: ']',
+    NumpadAdd: '+', NumpadSubtract: '-', NumpadEnter: 'Enter'
+};
+
+// Combinations browsers, operating systems and screen readers rely on, which are never assigned
+const RESERVED_SHORTCUTS = {
+    'Ctrl+ArrowLeft': 'moves by word in text fields and screen readers',
+    'Ctrl+ArrowRight': 'moves by word in text fields and screen readers',
+    'Ctrl+ArrowUp': 'moves by paragraph in text fields and screen readers',
+    'Ctrl+ArrowDown': 'moves by paragraph in text fields and screen readers',
+    'Ctrl+Alt+ArrowLeft': 'moves between table cells in NVDA and JAWS',
+    'Ctrl+Alt+ArrowRight': 'moves between table cells in NVDA and JAWS',
+    'Ctrl+Alt+ArrowUp': 'moves between table cells in NVDA and JAWS',
+    'Ctrl+Alt+ArrowDown': 'moves between table cells in NVDA and JAWS',
+    'Ctrl+Alt+N': 'starts NVDA',
+    'Ctrl+Alt+Delete': 'opens the Windows security screen',
+    'Alt+ArrowLeft': 'goes back a page in the browser',
+    'Alt+ArrowRight': 'goes forward a page in the browser',
+    'Alt+F4': 'closes the window',
+    'Ctrl+Tab': 'switches browser tabs',
+    'Ctrl+Shift+Tab': 'switches browser tabs',
+    'Ctrl+W': 'closes the browser tab',
+    'Ctrl+T': 'opens a browser tab',
+    'Ctrl+Shift+T': 'reopens a closed browser tab',
+    'Ctrl+N': 'opens a browser window',
+    'Ctrl+Q': 'quits the browser',
+    'Ctrl+L': 'moves to the address bar',
+    'Ctrl+R': 'reloads the page',
+    'Ctrl+F': 'finds in the page',
+    'Ctrl+P': 'prints the page'
+};
+
+// Modifier combinations that are never assigned with any key
+const RESERVED_MODIFIERS = {
+    'Alt+Shift': 'switches the input language on Windows'
+};
+
+class CommandRegistry {
+    constructor() {
+        this.commands = new Map();
+        // Only the shortcuts the user changed, as { commandId: shortcut or null for none }
+        this.overrides = {};
+    }
+
+    // `command` is { id, label, shortcut, run }, `shortcut` being the default or null
+    register(command) {
+        this.commands.set(command.id, { shortcut: null, ...command });
+    }
+
+    list() {
+        return Array.from(this.commands.values());
+    }
+
+    get(id) {
+        return this.commands.get(id) || null;
+    }
+
+    run(id) {
+        const command = this.get(id);
+        if (command) command.run();
+    }
+
+    shortcutFor(id) {
+        return Object.prototype.hasOwnProperty.call(this.overrides, id)
+            ? this.overrides[id]
+            : this.get(id).shortcut;
+    }
+
+    commandFor(shortcut) {
+        return this.list().find(command => this.shortcutFor(command.id) === shortcut) || null;
+    }
+
+    // Keeps saved overrides for commands that still exist
+    setOverrides(overrides) {
+        this.overrides = {};
+        Object.entries(overrides || {}).forEach(([id, shortcut]) => {
+            if (this.commands.has(id) && (shortcut === null || typeof shortcut === 'string')) {
+                this.overrides[id] = shortcut;
+            }
+        });
+    }
+
+    // Why `shortcut` cannot go to command `id`: { reason } when it may not be used at all, or
+    // { command } when another command has it. Null when it is free.
+    check(id, shortcut) {
+        if (RESERVED_SHORTCUTS[shortcut]) {
+            return { reason: `${shortcut} ${RESERVED_SHORTCUTS[shortcut]}` };
+        }
+        const modifiers = CommandRegistry.modifiersOf(shortcut);
+        if (RESERVED_MODIFIERS[modifiers]) {
+            return { reason: `${modifiers} ${RESERVED_MODIFIERS[modifiers]}, so it is not used for shortcuts` };
+        }
+        if (!/^(Ctrl|Alt|Meta)\+|(^|\+)F\d{1,2}$/.test(shortcut)) {
+            return { reason: `${shortcut} would stop that key from working in text fields and page controls; include Ctrl, Alt or ⌘, or use a function key` };
+        }
+
+        const owner = this.commandFor(shortcut);
+        return owner && owner.id !== id ? { command: owner } : null;
+    }
+
+    // Binds `shortcut` (null for none) to command `id`, taking it from any command that had it
+    assign(id, shortcut) {
+        const owner = shortcut ? this.commandFor(shortcut) : null;
+        if (owner && owner.id !== id) this.setShortcut(owner.id, null);
+        this.setShortcut(id, shortcut);
+    }
+
+    setShortcut(id, shortcut) {
+        if (this.get(id).shortcut === shortcut) {
+            delete this.overrides[id];
+        } else {
+            this.overrides[id] = shortcut;
+        }
+    }
+
+    reset() {
+        this.overrides = {};
+    }
+
+    // Commands whose label or shortcut contains every word of `query`, in registration order
+    search(query) {
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+        return this.list().filter(command => {
+            const text = `${command.label} ${this.shortcutFor(command.id) || ''}`.toLowerCase();
+            return words.every(word => text.includes(word));
+        });
+    }
+
+    // The shortcut a keydown event stands for, or null while only modifiers are held
+    static shortcutFromEvent(event) {
+        const key = CommandRegistry.keyName(event);
+        if (!key) return null;
+
+        const held = { Ctrl: event.ctrlKey, Alt: event.altKey, Shift: event.shiftKey, Meta: event.metaKey };
+        return [...COMMAND_MODIFIERS.filter(modifier => held[modifier]), key].join('+');
+    }
+
+    // "Ctrl+Alt" for "Ctrl+Alt+P"; the key itself may be "+" or "-"
+    static modifiersOf(shortcut) {
+        return shortcut.slice(0, shortcut.lastIndexOf('+', shortcut.length - 2) + 1).replace(/\+$/, '');
+    }
+
+    static keyName(event) {
+        const code = event.code || '';
+        if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+        if (/^(Digit|Numpad)\d$/.test(code)) return code.slice(-1);
+        if (COMMAND_KEY_NAMES[code]) return COMMAND_KEY_NAMES[code];
+
+        const key = event.key || '';
+        if (!key || ['Control', 'Alt', 'Shift', 'Meta', 'AltGraph', 'CapsLock', 'Dead', 'Unidentified'].includes(key)) {
+            return null;
+        }
+        // Arrows, Enter, PageUp, function keys and the like are named the same by key and code
+        return key === ' ' ? 'Space' : key.length === 1 ? key.toUpperCase() : key;
+    }
+}
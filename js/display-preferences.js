@@ -0,0 +1,119 @@
+// Reading display preferences layered over the reading mode: font, text size, spacing,
+// column width, custom colors and a focus aid. They are applied as CSS custom properties
+// whose fallbacks in styles.css are the mode's own values, so the defaults below leave each
+// mode looking as it always has.
+const DISPLAY_FONTS = {
+    mode: { label: 'Mode default', stack: null },
+    sans: { label: 'Sans-serif', stack: "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif" },
+    serif: { label: 'Serif', stack: "Georgia, 'Times New Roman', serif" },
+    dyslexic: { label: 'OpenDyslexic (dyslexia-friendly)', stack: "'OpenDyslexic', 'Comic Sans MS', 'Trebuchet MS', sans-serif" },
+    mono: { label: 'Monospace', stack: "'Courier New', monospace" }
+};
+
+const DISPLAY_FOCUS_MODES = {
+    off: 'Off',
+    ruler: 'Reading ruler',
+    dim: 'Dim all but the current sentence'
+};
+
+// Characters per line; null keeps the full width of the page
+const DISPLAY_COLUMN_WIDTHS = [null, 50, 60, 70, 80];
+
+// fontScale and lineScale multiply the mode's sizes; letterSpacing and wordSpacing are added
+// to its spacing, in em. Colors are #rrggbb, used only while customColors is on.
+const DISPLAY_DEFAULTS = {
+    font: 'mode',
+    fontScale: 1,
+    lineScale: 1,
+    letterSpacing: 0,
+    wordSpacing: 0,
+    columnWidth: null,
+    customColors: false,
+    foreground: '#1a1a1a',
+    background: '#fdf6e3',
+    highlight: '#ffe066',
+    focus: 'off'
+};
+
+const DISPLAY_RANGES = {
+    fontScale: [0.8, 2.5],
+    lineScale: [0.8, 2],
+    letterSpacing: [0, 0.35],
+    wordSpacing: [0, 1]
+};
+
+// WCAG 2.x minimum contrast for body text: AA and AAA
+const CONTRAST_AA = 4.5;
+const CONTRAST_AAA = 7;
+
+class DisplayPreferences {
+    // Fills in missing values and drops anything out of range, for preferences from storage
+    normalize(preferences) {
+        const source = preferences || {};
+        const result = { ...DISPLAY_DEFAULTS };
+
+        if (DISPLAY_FONTS[source.font]) result.font = source.font;
+        if (DISPLAY_FOCUS_MODES[source.focus]) result.focus = source.focus;
+        if (DISPLAY_COLUMN_WIDTHS.includes(source.columnWidth)) result.columnWidth = source.columnWidth;
+        result.customColors = source.customColors === true;
+        Object.entries(DISPLAY_RANGES).forEach(([name, [min, max]]) => {
+            const value = Number(source[name]);
+            if (source[name] !== undefined && source[name] !== null && Number.isFinite(value)) {
+                result[name] = Math.min(max, Math.max(min, value));
+            }
+        });
+        ['foreground', 'background', 'highlight'].forEach(name => {
+            if (/^#[0-9a-f]{6}$/i.test(source[name])) result[name] = source[name].toLowerCase();
+        });
+        return result;
+    }
+
+    apply(preferences, element) {
+        const set = (name, value) => {
+            if (value === null) element.style.removeProperty(name);
+            else element.style.setProperty(name, value);
+        };
+        const colors = preferences.customColors;
+
+        set('--reader-font', DISPLAY_FONTS[preferences.font].stack);
+        set('--reader-font-scale', preferences.fontScale === 1 ? null : String(preferences.fontScale));
+        set('--reader-line-scale', preferences.lineScale === 1 ? null : String(preferences.lineScale));
+        set('--reader-letter-spacing', preferences.letterSpacing === 0 ? null : `${preferences.letterSpacing}em`);
+        set('--reader-word-spacing', preferences.wordSpacing === 0 ? null : `${preferences.wordSpacing}em`);
+        set('--reader-column-width', preferences.columnWidth === null ? null : `${preferences.columnWidth}ch`);
+        set('--reader-text', colors ? preferences.foreground : null);
+        set('--reader-background', colors ? preferences.background : null);
+        set('--reader-highlight', colors ? preferences.highlight : null);
+
+        element.classList.toggle('custom-colors', colors);
+        element.classList.toggle('focus-ruler', preferences.focus === 'ruler');
+        element.classList.toggle('focus-dim', preferences.focus === 'dim');
+    }
+
+    // Contrast of the custom text color on the background and on the current-sentence
+    // highlight, as [{ label, ratio, level }]
+    contrast(preferences) {
+        return [
+            ['Text on background', preferences.background],
+            ['Text on highlight', preferences.highlight]
+        ].map(([label, background]) => {
+            const ratio = DisplayPreferences.contrastRatio(preferences.foreground, background);
+            return { label, ratio, level: ratio >= CONTRAST_AAA ? 'AAA' : ratio >= CONTRAST_AA ? 'AA' : null };
+        });
+    }
+
+    static contrastRatio(first, second) {
+        const [lighter, darker] = [DisplayPreferences.luminance(first), DisplayPreferences.luminance(second)]
+            .sort((a, b) => b - a);
+        return (lighter + 0.05) / (darker + 0.05);
+    }
+
+    // Relative luminance of a #rrggbb color, as defined by WCAG
+    static luminance(hex) {
+        const [r, g, b] = [1, 3, 5].map(i => {
+            const channel = parseInt(hex.slice(i, i + 2), 16) / 255;
+            return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+        });
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    }
+}
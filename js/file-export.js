@@ -0,0 +1,35 @@
+// What every exporter shares: saving a serialized export as a download, its file name, and
+// escaping text for the HTML and XML formats exports are written in. The reader escapes the
+// markup it builds for the page with the same helper.
+class FileExport {
+    // Saves `content` as a file called `fileName` and returns that name
+    static download(content, fileName, mimeType) {
+        const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        return fileName;
+    }
+
+    // "handout.docx" exported as notes in Markdown is "handout-notes.md"
+    static fileName(documentName, suffix, extension) {
+        return `${(documentName || 'document').replace(/\.[^.]+$/, '')}-${suffix}.${extension}`;
+    }
+
+    // Text for HTML or XML content and attribute values; null and undefined become empty.
+    // WebVTT cue text only knows a few entities, so it is escaped without `quotes`.
+    static escapeMarkup(value, { quotes = true } = {}) {
+        const text = String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+        return quotes ? text.replace(/"/g, '&quot;').replace(/'/g, '&#39;') : text;
+    }
+}
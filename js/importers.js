@@ -0,0 +1,503 @@
+// Converts DOCX, HTML, EPUB and Markdown files into the Markdown that MarkdownRenderer
+// displays (# headings, - / 1. lists, tables, code blocks, **bold**, *italic*,
+// [text]{lang=xx} language spans and blank-line paragraph breaks).
+// importFile resolves to { text, language }, where language is the document's declared
+// language tag or null. Markup is read with the browser's DOMParser, or MarkupParser where
+// there is none, so importing also works under Node.
+const WORD_NAMESPACE = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+const SKIPPED_HTML_TAGS = new Set([
+    'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'HEAD', 'SVG', 'IFRAME', 'OBJECT', 'CANVAS', 'BUTTON', 'SELECT'
+]);
+
+const BLOCK_HTML_TAGS = new Set([
+    'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'BODY', 'CAPTION', 'DD', 'DETAILS', 'DIV', 'DL', 'DT',
+    'FIELDSET', 'FIGCAPTION', 'FIGURE', 'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER',
+    'HR', 'HTML', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE', 'SECTION', 'SUMMARY', 'TABLE', 'UL'
+]);
+
+class DocumentImporter {
+    constructor(parser = typeof DOMParser === 'function' ? new DOMParser() : new MarkupParser()) {
+        this.parser = parser;
+    }
+
+    async detectFormat(file) {
+        const name = file.name.toLowerCase();
+        const extension = name.includes('.') ? name.split('.').pop() : '';
+        const header = new Uint8Array(await file.slice(0, 1024).arrayBuffer());
+
+        // Content sniffing first: file.type is empty or wrong for many of these formats
+        if (header[0] === 0x25 && header[1] === 0x50 && header[2] === 0x44 && header[3] === 0x46) {
+            return 'pdf';
+        }
+
+        // PNG and JPEG images are read with OCR
+        if (header[0] === 0x89 && header[1] === 0x50 && header[2] === 0x4E && header[3] === 0x47) {
+            return 'image';
+        }
+        if (header[0] === 0xFF && header[1] === 0xD8 && header[2] === 0xFF) {
+            return 'image';
+        }
+
+        if (ZipArchive.isZip(header)) {
+            const archive = new ZipArchive(await file.arrayBuffer());
+            if (archive.has('META-INF/container.xml')) return 'epub';
+            if (archive.has('word/document.xml')) return 'docx';
+            return null;
+        }
+
+        if (header.includes(0)) {
+            return null;
+        }
+
+        const start = new TextDecoder().decode(header).replace(/^\uFEFF/, '').trimStart().toLowerCase();
+        if (/^(<\?xml[^>]*>\s*)?(<!doctype html|<html)/.test(start)) {
+            return 'html';
+        }
+
+        if (['md', 'markdown'].includes(extension) || file.type === 'text/markdown') return 'markdown';
+        if (['html', 'htm', 'xhtml'].includes(extension) || file.type === 'text/html') return 'html';
+        if (extension === 'pdf' || file.type === 'application/pdf') return 'pdf';
+
+        return 'text';
+    }
+
+    async importFile(file, format) {
+        switch (format) {
+            case 'markdown':
+                return { text: await file.text(), language: null };
+            case 'html':
+                return this.readHTMLFile(file);
+            case 'docx':
+                return this.readDOCXFile(file);
+            case 'epub':
+                return this.readEPUBFile(file);
+            default:
+                throw new Error(`No importer for format: ${format}`);
+        }
+    }
+
+    async readHTMLFile(file) {
+        const doc = this.parser.parseFromString(await file.text(), 'text/html');
+        const root = this.findElements(doc.documentElement, element => ['MAIN', 'ARTICLE'].includes(element.tagName.toUpperCase())
+            || element.getAttribute('role') === 'main')[0] || doc.body;
+        const language = this.elementLanguage(doc.documentElement, null);
+        return { text: this.htmlToMarkdown(root, this.elementLanguage(root, language), language), language };
+    }
+
+    async readEPUBFile(file) {
+        const archive = new ZipArchive(await file.arrayBuffer());
+        const container = this.parseXML(await archive.readText('META-INF/container.xml'));
+        const rootfile = container.getElementsByTagNameNS('*', 'rootfile')[0];
+        if (!rootfile) {
+            throw new Error('EPUB is missing its package document');
+        }
+
+        const packagePath = rootfile.getAttribute('full-path');
+        const packageDoc = this.parseXML(await archive.readText(packagePath));
+        const languageElement = packageDoc.getElementsByTagNameNS('*', 'language')[0];
+        const language = this.validLanguage(languageElement && languageElement.textContent.trim());
+
+        const manifest = new Map();
+        for (const item of packageDoc.getElementsByTagNameNS('*', 'item')) {
+            manifest.set(item.getAttribute('id'), item.getAttribute('href'));
+        }
+
+        const chapters = [];
+        for (const itemref of packageDoc.getElementsByTagNameNS('*', 'itemref')) {
+            const href = manifest.get(itemref.getAttribute('idref'));
+            const path = href && this.resolvePath(packagePath, href);
+            if (!path || !archive.has(path)) continue;
+
+            const markup = await archive.readText(path);
+            let doc = this.parser.parseFromString(markup, 'application/xhtml+xml');
+            if (doc.getElementsByTagName('parsererror').length > 0) {
+                doc = this.parser.parseFromString(markup, 'text/html');
+            }
+            const body = doc.body || doc.getElementsByTagNameNS('*', 'body')[0];
+            if (body) {
+                const chapterLanguage = this.elementLanguage(body, this.elementLanguage(doc.documentElement, language));
+                chapters.push(this.htmlToMarkdown(body, chapterLanguage, language));
+            }
+        }
+
+        return { text: chapters.filter(chapter => chapter.length > 0).join('\n\n'), language };
+    }
+
+    async readDOCXFile(file) {
+        const archive = new ZipArchive(await file.arrayBuffer());
+        const documentXml = this.parseXML(await archive.readText('word/document.xml'));
+        const stylesXml = archive.has('word/styles.xml')
+            ? this.parseXML(await archive.readText('word/styles.xml'))
+            : null;
+        const styles = stylesXml ? this.readDOCXStyles(stylesXml) : new Map();
+        const language = stylesXml ? this.readDOCXLanguage(stylesXml) : null;
+        const numbering = archive.has('word/numbering.xml')
+            ? this.readDOCXNumbering(this.parseXML(await archive.readText('word/numbering.xml')))
+            : new Map();
+
+        const body = documentXml.getElementsByTagNameNS(WORD_NAMESPACE, 'body')[0];
+        if (!body) {
+            throw new Error('Word document has no body');
+        }
+
+        const blocks = [];
+        let listLines = [];
+        const counters = new Map();
+        const flushList = () => {
+            if (listLines.length > 0) blocks.push(listLines.join('\n'));
+            listLines = [];
+            counters.clear();
+        };
+
+        for (const node of body.children) {
+            if (node.localName === 'tbl') {
+                flushList();
+                const table = this.docxTableToMarkdown(node, language);
+                if (table) blocks.push(table);
+                continue;
+            }
+            if (node.localName !== 'p') continue;
+
+            const text = this.docxRunsToMarkdown(node, language).trim();
+            if (!text) continue;
+
+            const properties = this.wordChild(node, 'pPr');
+            const numPr = properties && this.wordChild(properties, 'numPr');
+            if (numPr) {
+                const numId = this.wordValue(this.wordChild(numPr, 'numId'));
+                const level = parseInt(this.wordValue(this.wordChild(numPr, 'ilvl')) || '0', 10);
+                const format = (numbering.get(numId) || [])[level] || 'bullet';
+                let marker = '-';
+                if (format !== 'bullet') {
+                    const key = `${numId}:${level}`;
+                    counters.set(key, (counters.get(key) || 0) + 1);
+                    marker = `${counters.get(key)}.`;
+                }
+                listLines.push(`${MARKDOWN_LIST_INDENT.repeat(level)}${marker} ${text}`);
+                continue;
+            }
+
+            flushList();
+            const headingLevel = this.docxHeadingLevel(properties, styles);
+            blocks.push(headingLevel ? `${'#'.repeat(headingLevel)} ${text.replace(/\n/g, ' ')}` : text);
+        }
+        flushList();
+
+        return { text: blocks.join('\n\n'), language };
+    }
+
+    readDOCXStyles(stylesXml) {
+        const styles = new Map();
+        for (const style of stylesXml.getElementsByTagNameNS(WORD_NAMESPACE, 'style')) {
+            const name = this.wordValue(this.wordChild(style, 'name')) || '';
+            const properties = this.wordChild(style, 'pPr');
+            const outline = properties && this.wordChild(properties, 'outlineLvl');
+            styles.set(style.getAttribute('w:styleId'), {
+                name: name.toLowerCase(),
+                outlineLevel: outline ? parseInt(this.wordValue(outline), 10) : null
+            });
+        }
+        return styles;
+    }
+
+    readDOCXLanguage(stylesXml) {
+        // Default proofing language of the document, set on the default run properties
+        const defaults = stylesXml.getElementsByTagNameNS(WORD_NAMESPACE, 'rPrDefault')[0];
+        const lang = defaults && defaults.getElementsByTagNameNS(WORD_NAMESPACE, 'lang')[0];
+        return this.validLanguage(this.wordValue(lang));
+    }
+
+    readDOCXNumbering(numberingXml) {
+        // Maps numId to the numFmt of each indentation level
+        const abstractFormats = new Map();
+        for (const abstract of numberingXml.getElementsByTagNameNS(WORD_NAMESPACE, 'abstractNum')) {
+            const formats = [];
+            for (const level of abstract.getElementsByTagNameNS(WORD_NAMESPACE, 'lvl')) {
+                formats[parseInt(level.getAttribute('w:ilvl'), 10)] = this.wordValue(this.wordChild(level, 'numFmt'));
+            }
+            abstractFormats.set(abstract.getAttribute('w:abstractNumId'), formats);
+        }
+
+        const numbering = new Map();
+        for (const num of numberingXml.getElementsByTagNameNS(WORD_NAMESPACE, 'num')) {
+            const abstractId = this.wordValue(this.wordChild(num, 'abstractNumId'));
+            numbering.set(num.getAttribute('w:numId'), abstractFormats.get(abstractId) || []);
+        }
+        return numbering;
+    }
+
+    docxHeadingLevel(properties, styles) {
+        if (!properties) return 0;
+
+        const outline = this.wordChild(properties, 'outlineLvl');
+        if (outline) {
+            return Math.min(parseInt(this.wordValue(outline), 10) + 1, 6);
+        }
+
+        const styleId = this.wordValue(this.wordChild(properties, 'pStyle'));
+        if (!styleId) return 0;
+
+        const style = styles.get(styleId) || { name: styleId.toLowerCase(), outlineLevel: null };
+        const match = style.name.match(/^heading\s*(\d)/);
+        if (match) return Math.min(parseInt(match[1], 10), 6);
+        if (style.name === 'title') return 1;
+        if (style.name === 'subtitle') return 2;
+        if (style.outlineLevel !== null && !isNaN(style.outlineLevel)) return Math.min(style.outlineLevel + 1, 6);
+        return 0;
+    }
+
+    docxRunsToMarkdown(paragraph, language) {
+        const segments = [];
+        const collect = (element) => {
+            for (const child of element.children) {
+                if (child.localName === 'r') {
+                    const runProperties = this.wordChild(child, 'rPr');
+                    const bold = this.wordFlag(runProperties, 'b');
+                    const italic = this.wordFlag(runProperties, 'i');
+                    const lang = this.validLanguage(this.wordValue(this.wordChild(runProperties, 'lang'))) || language;
+                    let text = '';
+                    for (const part of child.children) {
+                        if (part.localName === 't') text += part.textContent;
+                        else if (part.localName === 'tab') text += ' ';
+                        else if (part.localName === 'br' || part.localName === 'cr') text += '\n';
+                    }
+                    segments.push({ text: MarkdownRenderer.escapeText(text), bold, italic, lang });
+                } else if (['hyperlink', 'smartTag', 'ins', 'sdt', 'sdtContent', 'fldSimple'].includes(child.localName)) {
+                    collect(child);
+                }
+            }
+        };
+        collect(paragraph);
+
+        // Merge neighbouring runs with identical formatting so Word's run splitting
+        // does not produce markers like **a****b**
+        const merged = [];
+        segments.forEach(segment => {
+            const last = merged[merged.length - 1];
+            if (last && last.bold === segment.bold && last.italic === segment.italic && last.lang === segment.lang) {
+                last.text += segment.text;
+            } else {
+                merged.push({ ...segment });
+            }
+        });
+
+        return merged.map(segment => {
+            let marker = '';
+            if (segment.bold) marker += '**';
+            if (segment.italic) marker += '*';
+            return this.markLanguage(this.wrapEmphasis(segment.text, marker), segment.lang, language);
+        }).join('');
+    }
+
+    docxTableToMarkdown(table, language) {
+        const rows = [];
+        for (const row of table.children) {
+            if (row.localName !== 'tr') continue;
+            const cells = [];
+            for (const cell of row.children) {
+                if (cell.localName !== 'tc') continue;
+                const paragraphs = Array.from(cell.getElementsByTagNameNS(WORD_NAMESPACE, 'p'))
+                    .map(p => this.docxRunsToMarkdown(p, language).trim())
+                    .filter(text => text.length > 0);
+                cells.push(paragraphs.join(' '));
+            }
+            if (cells.some(cell => cell.length > 0)) rows.push(cells);
+        }
+        return rows.length > 0 ? MarkdownRenderer.tableToMarkdown(rows) : '';
+    }
+
+    wordChild(element, localName) {
+        if (!element) return null;
+        return Array.from(element.children).find(child => child.localName === localName) || null;
+    }
+
+    wordValue(element) {
+        return element ? element.getAttribute('w:val') : null;
+    }
+
+    wordFlag(runProperties, localName) {
+        const flag = this.wordChild(runProperties, localName);
+        if (!flag) return false;
+        const value = this.wordValue(flag);
+        return value !== 'false' && value !== '0' && value !== 'none';
+    }
+
+    // `lang` is the language of the text being converted and `baseLang` the document's own
+    // language; blocks in any other language are wrapped in [text]{lang=xx} spans
+    htmlToMarkdown(root, lang = null, baseLang = lang) {
+        const blocks = [];
+        this.collectHTMLBlocks(root, blocks, lang, baseLang);
+        return blocks.join('\n\n');
+    }
+
+    collectHTMLBlocks(element, blocks, lang, baseLang) {
+        let inline = '';
+        const flush = () => {
+            const text = this.markLanguage(this.cleanInline(inline), lang, baseLang);
+            if (text) blocks.push(text);
+            inline = '';
+        };
+
+        for (const node of element.childNodes) {
+            if (node.nodeType === MARKUP_TEXT_NODE) {
+                inline += MarkdownRenderer.escapeText(node.textContent);
+                continue;
+            }
+            if (node.nodeType !== MARKUP_ELEMENT_NODE) continue;
+
+            const tag = node.tagName.toUpperCase();
+            if (SKIPPED_HTML_TAGS.has(tag)) continue;
+            if (!BLOCK_HTML_TAGS.has(tag)) {
+                inline += this.inlineToMarkdown(node, lang);
+                continue;
+            }
+
+            flush();
+            const nodeLang = this.elementLanguage(node, lang);
+            const leafText = () => this.markLanguage(this.cleanInline(this.inlineChildren(node, nodeLang)), nodeLang, baseLang);
+            if (/^H[1-6]$/.test(tag)) {
+                const title = leafText().replace(/\n/g, ' ');
+                if (title) blocks.push(`${'#'.repeat(parseInt(tag[1], 10))} ${title}`);
+            } else if (tag === 'UL' || tag === 'OL') {
+                const lines = this.listToMarkdown(node, 0, nodeLang, baseLang);
+                if (lines.length > 0) blocks.push(lines.join('\n'));
+            } else if (tag === 'TABLE') {
+                const rows = this.findElements(node, element => element.tagName.toUpperCase() === 'TR')
+                    .map(row => Array.from(row.children)
+                        .map(cell => {
+                            const cellLang = this.elementLanguage(cell, this.elementLanguage(row, nodeLang));
+                            const text = this.cleanInline(this.inlineChildren(cell, cellLang)).replace(/\n/g, ' ');
+                            return this.markLanguage(text, cellLang, baseLang);
+                        }))
+                    .filter(cells => cells.some(cell => cell.length > 0));
+                if (rows.length > 0) blocks.push(MarkdownRenderer.tableToMarkdown(rows));
+            } else if (tag === 'PRE') {
+                const text = node.textContent.replace(/^\n+|\s+$/g, '');
+                if (text) {
+                    // The fence is longer than any run of backticks inside the code
+                    const fence = '`'.repeat(Math.max(3, ...(text.match(/`+/g) || []).map(run => run.length + 1)));
+                    blocks.push(`${fence}\n${text}\n${fence}`);
+                }
+            } else if (tag === 'P' || tag === 'DT' || tag === 'SUMMARY' || tag === 'FIGCAPTION' || tag === 'CAPTION') {
+                const text = leafText();
+                if (text) blocks.push(text);
+            } else if (tag !== 'HR') {
+                this.collectHTMLBlocks(node, blocks, nodeLang, baseLang);
+            }
+        }
+        flush();
+    }
+
+    listToMarkdown(list, depth, lang, baseLang) {
+        const ordered = list.tagName.toUpperCase() === 'OL';
+        let number = parseInt(list.getAttribute('start') || '1', 10);
+        const lines = [];
+
+        for (const item of list.children) {
+            if (item.tagName.toUpperCase() !== 'LI') continue;
+
+            const itemLang = this.elementLanguage(item, lang);
+            let text = '';
+            const nested = [];
+            for (const child of item.childNodes) {
+                const tag = child.nodeType === MARKUP_ELEMENT_NODE ? child.tagName.toUpperCase() : '';
+                if (tag === 'UL' || tag === 'OL') {
+                    nested.push(child);
+                } else if (child.nodeType === MARKUP_TEXT_NODE) {
+                    text += MarkdownRenderer.escapeText(child.textContent);
+                } else if (tag && !SKIPPED_HTML_TAGS.has(tag)) {
+                    text += ` ${this.inlineToMarkdown(child, itemLang)} `;
+                }
+            }
+
+            const marker = ordered ? `${number++}.` : '-';
+            const content = this.markLanguage(this.cleanInline(text).replace(/\n/g, ' '), itemLang, baseLang);
+            if (content) lines.push(`${MARKDOWN_LIST_INDENT.repeat(depth)}${marker} ${content}`);
+            nested.forEach(child => lines.push(...this.listToMarkdown(child, depth + 1, itemLang, baseLang)));
+        }
+
+        return lines;
+    }
+
+    inlineToMarkdown(node, lang = null) {
+        if (node.nodeType === MARKUP_TEXT_NODE) return MarkdownRenderer.escapeText(node.textContent);
+        if (node.nodeType !== MARKUP_ELEMENT_NODE) return '';
+
+        const tag = node.tagName.toUpperCase();
+        if (SKIPPED_HTML_TAGS.has(tag)) return '';
+        if (tag === 'BR') return '\n';
+
+        const nodeLang = this.elementLanguage(node, lang);
+        let inner = this.inlineChildren(node, nodeLang);
+        if (tag === 'STRONG' || tag === 'B') inner = this.wrapEmphasis(inner, '**');
+        else if (tag === 'EM' || tag === 'I' || tag === 'CITE') inner = this.wrapEmphasis(inner, '*');
+        else if (BLOCK_HTML_TAGS.has(tag)) inner = ` ${inner} `;
+        return this.markLanguage(inner, nodeLang, lang);
+    }
+
+    inlineChildren(node, lang) {
+        return Array.from(node.childNodes).map(child => this.inlineToMarkdown(child, lang)).join('');
+    }
+
+    elementLanguage(element, inherited) {
+        const declared = element.getAttribute('lang') || element.getAttribute('xml:lang');
+        return this.validLanguage(declared) || inherited;
+    }
+
+    validLanguage(tag) {
+        return tag && /^[a-z]{2,3}(-[a-z0-9]{1,8})*$/i.test(tag) ? tag : null;
+    }
+
+    // Wraps text in a language span when it differs from the surrounding language.
+    // Regional variants (en-GB inside en-US) are read with the same voice, so only the
+    // primary subtag is compared.
+    markLanguage(text, lang, outerLang) {
+        if (!lang || !text) return text;
+        const primary = (tag) => (tag || '').toLowerCase().split('-')[0];
+        if (primary(lang) === primary(outerLang)) return text;
+
+        const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        if (!match[2]) return text;
+        return `${match[1]}[${match[2]}]{lang=${lang}}${match[3]}`;
+    }
+
+    wrapEmphasis(text, marker) {
+        if (!marker) return text;
+        // Keep surrounding whitespace outside the markers so they still match
+        const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        if (!match[2]) return text;
+        return `${match[1]}${marker}${match[2]}${marker}${match[3]}`;
+    }
+
+    cleanInline(text) {
+        return text
+            .split('\n')
+            .map(line => line.replace(/\s+/g, ' ').trim())
+            .filter(line => line.length > 0)
+            .join('\n');
+    }
+
+    // Elements under `root` for which `matches` is true, in document order
+    findElements(root, matches) {
+        const found = [];
+        for (const child of root.children) {
+            if (matches(child)) found.push(child);
+            found.push(...this.findElements(child, matches));
+        }
+        return found;
+    }
+
+    parseXML(markup) {
+        const doc = this.parser.parseFromString(markup, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Malformed XML in document package');
+        }
+        return doc;
+    }
+
+    resolvePath(basePath, href) {
+        const resolved = new URL(href, `https://package.invalid/${basePath}`).pathname.slice(1);
+        return decodeURIComponent(resolved);
+    }
+}
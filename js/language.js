@@ -0,0 +1,73 @@
+// Lightweight document language detection: writing system first, then the share of
+// very common function words for Latin-script languages.
+const LANGUAGE_STOPWORDS = {
+    en: ['the', 'and', 'of', 'to', 'is', 'in', 'that', 'it', 'for', 'with', 'as', 'was', 'on', 'are', 'this', 'be', 'by', 'not', 'you', 'have'],
+    es: ['el', 'la', 'de', 'que', 'y', 'en', 'los', 'del', 'las', 'por', 'un', 'para', 'con', 'una', 'es', 'se', 'no', 'su', 'al', 'lo'],
+    fr: ['le', 'la', 'les', 'de', 'des', 'et', 'est', 'un', 'une', 'du', 'en', 'que', 'qui', 'dans', 'pour', 'pas', 'sur', 'au', 'avec', 'ce'],
+    de: ['der', 'die', 'und', 'das', 'ist', 'nicht', 'ein', 'eine', 'zu', 'den', 'mit', 'von', 'sich', 'des', 'auf', 'für', 'im', 'dem', 'auch', 'es'],
+    it: ['il', 'di', 'che', 'e', 'la', 'per', 'un', 'non', 'una', 'sono', 'del', 'della', 'le', 'con', 'gli', 'si', 'da', 'al', 'nel', 'è'],
+    pt: ['de', 'que', 'o', 'a', 'e', 'do', 'da', 'em', 'um', 'para', 'com', 'não', 'uma', 'os', 'no', 'se', 'na', 'por', 'mais', 'as'],
+    nl: ['de', 'het', 'een', 'en', 'van', 'is', 'dat', 'niet', 'op', 'te', 'zijn', 'met', 'voor', 'in', 'die', 'er', 'ook', 'aan', 'als', 'maar']
+};
+
+// Writing systems that identify a language on their own (kana is checked before Han,
+// because Japanese text mixes both)
+const SCRIPT_LANGUAGES = [
+    { pattern: /[\u3040-\u30ff]/g, language: 'ja', share: 0.1 },
+    { pattern: /[\uac00-\ud7af]/g, language: 'ko', share: 0.3 },
+    { pattern: /[\u4e00-\u9fff]/g, language: 'zh', share: 0.3 },
+    { pattern: /[\u0400-\u04ff]/g, language: 'ru', share: 0.3 },
+    { pattern: /[\u0600-\u06ff]/g, language: 'ar', share: 0.3 },
+    { pattern: /[\u0590-\u05ff]/g, language: 'he', share: 0.3 },
+    { pattern: /[\u0370-\u03ff]/g, language: 'el', share: 0.3 },
+    { pattern: /[\u0900-\u097f]/g, language: 'hi', share: 0.3 },
+    { pattern: /[\u0e00-\u0e7f]/g, language: 'th', share: 0.3 }
+];
+
+class LanguageDetector {
+    constructor() {
+        this.stopwords = Object.fromEntries(
+            Object.entries(LANGUAGE_STOPWORDS).map(([language, words]) => [language, new Set(words)])
+        );
+    }
+
+    // Returns a primary language subtag such as 'en' or 'fr', or null when unsure
+    detect(text) {
+        const sample = text.slice(0, 20000);
+        const letters = (sample.match(/\p{L}/gu) || []).length;
+        if (letters === 0) return null;
+
+        for (const script of SCRIPT_LANGUAGES) {
+            const count = (sample.match(script.pattern) || []).length;
+            if (count / letters >= script.share) return script.language;
+        }
+
+        const words = sample.toLowerCase().match(/\p{L}+/gu) || [];
+        let best = null;
+        let bestHits = 0;
+        Object.entries(this.stopwords).forEach(([language, stopwords]) => {
+            const hits = words.filter(word => stopwords.has(word)).length;
+            if (hits > bestHits) {
+                best = language;
+                bestHits = hits;
+            }
+        });
+
+        // Too few function words to tell (a word list, a table of numbers)
+        if (bestHits < 3 || bestHits / words.length < 0.05) return null;
+        return best;
+    }
+
+    static primary(language) {
+        return (language || '').toLowerCase().split(/[-_]/)[0];
+    }
+
+    static displayName(language) {
+        try {
+            const names = new Intl.DisplayNames([navigator.language || 'en'], { type: 'language' });
+            return names.of(language) || language;
+        } catch (error) {
+            return language;
+        }
+    }
+}
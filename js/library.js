@@ -0,0 +1,117 @@
+// Local document library stored in IndexedDB. Documents are keyed by a hash of their
+// imported text, so re-uploading the same file finds its saved position and bookmarks.
+const LIBRARY_DB_NAME = 'smartDocumentReaderLibrary';
+const LIBRARY_DB_VERSION = 1;
+const LIBRARY_STORE = 'documents';
+
+class DocumentLibrary {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(LIBRARY_DB_NAME, LIBRARY_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(LIBRARY_STORE, { keyPath: 'id' });
+                    store.createIndex('lastOpenedAt', 'lastOpenedAt');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(new Error('Could not open the document library'));
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async transaction(mode, action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(LIBRARY_STORE, mode);
+            const request = action(tx.objectStore(LIBRARY_STORE));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error || new Error('Document library request failed'));
+        });
+    }
+
+    get(id) {
+        return this.transaction('readonly', store => store.get(id));
+    }
+
+    async list() {
+        const documents = await this.transaction('readonly', store => store.getAll());
+        return documents.sort((a, b) => b.lastOpenedAt - a.lastOpenedAt);
+    }
+
+    put(documentRecord) {
+        return this.transaction('readwrite', store => store.put(documentRecord));
+    }
+
+    delete(id) {
+        return this.transaction('readwrite', store => store.delete(id));
+    }
+
+    async update(id, changes) {
+        const existing = await this.get(id);
+        if (!existing) return null;
+
+        const updated = { ...existing, ...changes };
+        await this.put(updated);
+        return updated;
+    }
+
+    // Adds a newly imported document, or returns the stored copy if the same text is already saved.
+    // A changed version of a saved file starts with that file's highlights and notes, for the
+    // reader to re-anchor by text.
+    async addOrOpen({ text, name, format, pageCount, language }) {
+        const id = await this.hash(text);
+        const existing = await this.get(id);
+        const now = Date.now();
+
+        if (existing) {
+            return this.update(id, { lastOpenedAt: now, format, pageCount, language });
+        }
+
+        const previousVersion = (await this.list()).find(documentRecord => documentRecord.fileName === name);
+        const documentRecord = {
+            id,
+            name,
+            fileName: name,
+            format,
+            pageCount,
+            language,
+            text,
+            position: 0,
+            bookmarks: [],
+            annotations: previousVersion ? previousVersion.annotations || [] : [],
+            addedAt: now,
+            lastOpenedAt: now
+        };
+        await this.put(documentRecord);
+        return documentRecord;
+    }
+
+    async hash(text) {
+        const bytes = new TextEncoder().encode(text);
+        if (typeof crypto !== 'undefined' && crypto.subtle) {
+            const digest = await crypto.subtle.digest('SHA-256', bytes);
+            return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+        }
+
+        // crypto.subtle needs a secure context; fall back to 64-bit FNV-1a when opened elsewhere
+        let high = 0xcbf29ce4;
+        let low = 0x84222325;
+        for (const byte of bytes) {
+            low ^= byte;
+            const lowProduct = low * 0x1b3;
+            const highProduct = high * 0x1b3 + low * 0x100 + Math.floor(lowProduct / 0x100000000);
+            low = lowProduct >>> 0;
+            high = highProduct >>> 0;
+        }
+        return `fnv-${high.toString(16).padStart(8, '0')}${low.toString(16).padStart(8, '0')}`;
+    }
+}
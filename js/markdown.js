@@ -0,0 +1,786 @@
+// CommonMark renderer with GitHub tables and strikethrough, used for Markdown files and for
+// the Markdown the importers produce. Output is an HTML string of semantic elements that is
+// still passed through HTMLSanitizer before it is displayed. Raw HTML in the source is shown
+// as text, and images are replaced by their description so nothing is fetched.
+//
+// Two span extensions carry metadata from the importers: [text]{lang=fr} marks a passage in
+// another language and [word]{ocr=62} a word OCR recognized with low confidence.
+
+// Indentation of one nesting level in generated lists; nested items must reach the content
+// column of their parent, which is at most four characters in for "- " to "99. "
+const MARKDOWN_LIST_INDENT = '    ';
+
+const MARKDOWN_ESCAPABLE = '!"#$%&\'()*+,-./:;<=>?@[\\]^_`{|}~';
+
+const MARKDOWN_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: '\u00A0', copy: '©', reg: '®',
+    trade: '™', hellip: '…', mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’',
+    ldquo: '“', rdquo: '”', laquo: '«', raquo: '»', middot: '·', bull: '•',
+    deg: '°', times: '×', divide: '÷', euro: '€', pound: '£', yen: '¥',
+    sect: '§', para: '¶', shy: '\u00AD'
+};
+
+const MARKDOWN_THEMATIC_BREAK = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const MARKDOWN_ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+|$)(.*?)(?:[ \t]+#+)?[ \t]*$/;
+const MARKDOWN_FENCE = /^( {0,3})(`{3,}|~{3,})[ \t]*(.*)$/;
+const MARKDOWN_BLOCKQUOTE = /^ {0,3}> ?/;
+const MARKDOWN_LIST_ITEM = /^( {0,3})([-+*]|\d{1,9}[.)])( +|$)(.*)$/;
+const MARKDOWN_SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+const MARKDOWN_TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const MARKDOWN_REFERENCE = /^ {0,3}\[((?:[^\\\[\]]|\\.){1,999})\]:[ \t]*(<[^<>\n]*>|\S+)(?:[ \t]+("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^()\\]|\\.)*\)))?[ \t]*$/;
+const MARKDOWN_SPAN_EXTENSION = /^\{(lang=[A-Za-z]{2,3}(?:-[A-Za-z0-9]{1,8})*|ocr=\d{1,3})\}/;
+const MARKDOWN_AUTOLINK = /^<([A-Za-z][A-Za-z0-9+.-]{1,31}:[^\s<>]*)>/;
+const MARKDOWN_EMAIL_AUTOLINK = /^<([A-Za-z0-9.!#$%&'*+/=?^_`{|}~-]+@[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?)*)>/;
+const MARKDOWN_BARE_URL = /^(?:https?:\/\/|www\.)[^\s<]*/;
+
+class MarkdownRenderer {
+    // With `breaks`, every line break inside a paragraph is kept, as in GitHub comments
+    constructor({ breaks = false } = {}) {
+        this.breaks = breaks;
+        this.references = new Map();
+    }
+
+    render(markdown) {
+        this.references = new Map();
+        const lines = String(markdown).replace(/\r\n?/g, '\n').replace(/\0/g, '\uFFFD').split('\n').map(line => this.expandTabs(line));
+        // Blocks are parsed first so links can use reference definitions found later on
+        return this.renderBlocks(this.parseBlocks(lines), false);
+    }
+
+    // Rows of plain cell text as a GitHub table, the first row being the header
+    static tableToMarkdown(rows) {
+        const columns = Math.max(...rows.map(row => row.length));
+        const line = (cells) => `| ${Array.from({ length: columns }, (_, i) => (cells[i] || '').replace(/\|/g, '\\|')).join(' | ')} |`;
+        return [line(rows[0]), line(Array(columns).fill('---')), ...rows.slice(1).map(line)].join('\n');
+    }
+
+    // Plain text as Markdown that renders back to the same text, for importers adding their own
+    // formatting around document text: inline markers are escaped everywhere, and what would
+    // start a heading, quote, list or setext underline only at the start of a line
+    static escapeText(text) {
+        return text
+            .replace(/[\\`*_[\]<&~]/g, '\\$&')
+            .replace(/^([ \t]*)(\d+)([.)])/gm, '$1$2\\$3')
+            .replace(/^([ \t]*)([#>+=-])/gm, '$1\\$2');
+    }
+
+    expandTabs(line) {
+        // Tabs in the indentation count as stops every four columns
+        return line.replace(/^[ \t]+/, (indent) => {
+            let column = 0;
+            for (const char of indent) column += char === '\t' ? 4 - (column % 4) : 1;
+            return ' '.repeat(column);
+        });
+    }
+
+    // Block structure
+
+    parseBlocks(lines) {
+        const blocks = [];
+        let i = 0;
+        let blankBefore = false;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            if (this.isBlank(line)) {
+                blankBefore = blocks.length > 0;
+                i++;
+                continue;
+            }
+
+            const parsed = this.parseIndentedCode(lines, i)
+                || this.parseFencedCode(lines, i)
+                || this.parseATXHeading(lines, i)
+                || this.parseThematicBreak(lines, i)
+                || this.parseBlockquote(lines, i)
+                || this.parseList(lines, i)
+                || this.parseTable(lines, i)
+                || this.parseParagraph(lines, i);
+
+            if (parsed.block) {
+                parsed.block.blankBefore = blankBefore;
+                blocks.push(parsed.block);
+                blankBefore = false;
+            }
+            i = parsed.next;
+        }
+        return blocks;
+    }
+
+    isBlank(line) {
+        return /^[ \t]*$/.test(line);
+    }
+
+    indentOf(line) {
+        return line.match(/^ */)[0].length;
+    }
+
+    // Whether `line` starts a block that ends a paragraph before it
+    interruptsParagraph(line) {
+        if (MARKDOWN_FENCE.test(line) || MARKDOWN_ATX_HEADING.test(line) || MARKDOWN_THEMATIC_BREAK.test(line)
+            || MARKDOWN_BLOCKQUOTE.test(line)) {
+            return true;
+        }
+        const item = this.listItemStart(line);
+        return Boolean(item && !item.empty && (!item.ordered || item.start === 1));
+    }
+
+    parseIndentedCode(lines, i) {
+        if (this.indentOf(lines[i]) < 4) return null;
+
+        const code = [];
+        let j = i;
+        while (j < lines.length && (this.isBlank(lines[j]) || this.indentOf(lines[j]) >= 4)) {
+            code.push(lines[j].slice(Math.min(4, this.indentOf(lines[j]))));
+            j++;
+        }
+        while (code.length > 0 && this.isBlank(code[code.length - 1])) code.pop();
+        return { block: { type: 'code', info: '', text: code.join('\n') }, next: j };
+    }
+
+    parseFencedCode(lines, i) {
+        const open = lines[i].match(MARKDOWN_FENCE);
+        if (!open || (open[2][0] === '`' && open[3].includes('`'))) return null;
+
+        const indent = open[1].length;
+        const fence = open[2];
+        const code = [];
+        let j = i + 1;
+        while (j < lines.length) {
+            const close = lines[j].match(/^ {0,3}(`{3,}|~{3,})[ \t]*$/);
+            if (close && close[1][0] === fence[0] && close[1].length >= fence.length) {
+                j++;
+                break;
+            }
+            code.push(lines[j].replace(new RegExp(`^ {0,${indent}}`), ''));
+            j++;
+        }
+        const info = this.unescape(open[3].trim()).split(/\s+/)[0];
+        return { block: { type: 'code', info, text: code.join('\n') }, next: j };
+    }
+
+    parseATXHeading(lines, i) {
+        const match = lines[i].match(MARKDOWN_ATX_HEADING);
+        if (!match) return null;
+        const text = match[2].replace(/^#+$/, '');
+        return { block: { type: 'heading', level: match[1].length, text }, next: i + 1 };
+    }
+
+    parseThematicBreak(lines, i) {
+        return MARKDOWN_THEMATIC_BREAK.test(lines[i]) ? { block: { type: 'rule' }, next: i + 1 } : null;
+    }
+
+    parseBlockquote(lines, i) {
+        if (!MARKDOWN_BLOCKQUOTE.test(lines[i])) return null;
+
+        const inner = [];
+        let j = i;
+        while (j < lines.length) {
+            const line = lines[j];
+            if (MARKDOWN_BLOCKQUOTE.test(line)) {
+                inner.push(line.replace(MARKDOWN_BLOCKQUOTE, ''));
+            } else if (!this.isBlank(line) && inner.length > 0 && this.continuesParagraph(inner, line)) {
+                // Lazy continuation: a paragraph inside the quote can go on without the marker
+                inner.push(line);
+            } else {
+                break;
+            }
+            j++;
+        }
+        return { block: { type: 'blockquote', children: this.parseBlocks(inner) }, next: j };
+    }
+
+    // Whether `line`, missing its container's marker, still continues an open paragraph
+    continuesParagraph(innerLines, line) {
+        const last = innerLines[innerLines.length - 1];
+        if (this.isBlank(last) || this.indentOf(last) >= 4 || MARKDOWN_FENCE.test(last)) return false;
+        if (MARKDOWN_ATX_HEADING.test(last) || MARKDOWN_THEMATIC_BREAK.test(last)) return false;
+        return !this.interruptsParagraph(line) && !this.listItemStart(line);
+    }
+
+    listItemStart(line) {
+        const match = line.match(MARKDOWN_LIST_ITEM);
+        if (!match) return null;
+
+        const [, indent, marker, spacing, rest] = match;
+        const ordered = /\d/.test(marker[0]);
+        const empty = rest.trim() === '';
+        // Five or more spaces after the marker start an indented code block inside the item
+        const wide = spacing.length > 4 || empty;
+        return {
+            ordered,
+            start: ordered ? parseInt(marker, 10) : null,
+            kind: ordered ? marker[marker.length - 1] : marker,
+            empty,
+            contentIndent: indent.length + marker.length + (wide ? 1 : spacing.length),
+            content: empty ? '' : (wide ? ' '.repeat(spacing.length - 1) : '') + rest
+        };
+    }
+
+    parseList(lines, i) {
+        const first = this.listItemStart(lines[i]);
+        if (!first || MARKDOWN_THEMATIC_BREAK.test(lines[i])) return null;
+
+        const items = [];
+        let loose = false;
+        let j = i;
+        while (j < lines.length) {
+            const start = this.listItemStart(lines[j]);
+            const itemLines = [start.content];
+            j++;
+            while (j < lines.length) {
+                const line = lines[j];
+                if (this.isBlank(line)) {
+                    // An item can start with at most one blank line
+                    if (start.empty && itemLines.length === 1) break;
+                    itemLines.push('');
+                } else if (this.indentOf(line) >= start.contentIndent) {
+                    itemLines.push(line.slice(start.contentIndent));
+                } else if (this.continuesParagraph(itemLines, line)) {
+                    itemLines.push(line);
+                } else {
+                    break;
+                }
+                j++;
+            }
+
+            let trailingBlanks = 0;
+            while (itemLines.length > 1 && this.isBlank(itemLines[itemLines.length - 1])) {
+                itemLines.pop();
+                trailingBlanks++;
+            }
+
+            const children = this.parseBlocks(itemLines);
+            if (children.some((child, n) => n > 0 && child.blankBefore)) loose = true;
+            items.push({ children });
+
+            // Blank lines between two items of the same list make it loose
+            let k = j;
+            while (k < lines.length && this.isBlank(lines[k])) k++;
+            const next = k < lines.length ? this.listItemStart(lines[k]) : null;
+            if (!next || next.ordered !== first.ordered || next.kind !== first.kind || MARKDOWN_THEMATIC_BREAK.test(lines[k])) break;
+            if (trailingBlanks > 0 || k > j) loose = true;
+            j = k;
+        }
+
+        return {
+            block: { type: 'list', ordered: first.ordered, start: first.start, loose, items },
+            next: j
+        };
+    }
+
+    splitTableRow(line) {
+        const cells = [];
+        let cell = '';
+        const text = line.trim().replace(/^\|/, '');
+        for (let k = 0; k < text.length; k++) {
+            if (text[k] === '\\' && text[k + 1] === '|') {
+                cell += '|';
+                k++;
+            } else if (text[k] === '|') {
+                cells.push(cell.trim());
+                cell = '';
+            } else {
+                cell += text[k];
+            }
+        }
+        if (cell.trim() || !text.endsWith('|')) cells.push(cell.trim());
+        return cells;
+    }
+
+    parseTable(lines, i) {
+        if (i + 1 >= lines.length || !lines[i].includes('|') || !MARKDOWN_TABLE_DELIMITER.test(lines[i + 1])) return null;
+        if (this.indentOf(lines[i]) >= 4) return null;
+
+        const header = this.splitTableRow(lines[i]);
+        const alignments = this.splitTableRow(lines[i + 1]).map(cell => {
+            if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+            if (cell.endsWith(':')) return 'right';
+            if (cell.startsWith(':')) return 'left';
+            return null;
+        });
+        if (header.length !== alignments.length) return null;
+
+        const rows = [];
+        let j = i + 2;
+        while (j < lines.length && !this.isBlank(lines[j]) && !this.interruptsParagraph(lines[j])) {
+            rows.push(this.splitTableRow(lines[j]));
+            j++;
+        }
+        return { block: { type: 'table', header, alignments, rows }, next: j };
+    }
+
+    parseParagraph(lines, i) {
+        const text = [lines[i].replace(/^ +/, '')];
+        let j = i + 1;
+        while (j < lines.length && !this.isBlank(lines[j])) {
+            const underline = lines[j].match(MARKDOWN_SETEXT_UNDERLINE);
+            if (underline) {
+                const content = this.takeReferences(text);
+                if (content.length > 0) {
+                    return {
+                        block: { type: 'heading', level: underline[1][0] === '=' ? 1 : 2, text: content.join('\n') },
+                        next: j + 1
+                    };
+                }
+            }
+            if (this.indentOf(lines[j]) < 4 && this.interruptsParagraph(lines[j])) break;
+            text.push(lines[j].replace(/^ +/, ''));
+            j++;
+        }
+
+        const content = this.takeReferences(text);
+        return { block: content.length > 0 ? { type: 'paragraph', text: content.join('\n') } : null, next: j };
+    }
+
+    // Removes the link reference definitions that open a paragraph, remembering each one
+    takeReferences(lines) {
+        let k = 0;
+        while (k < lines.length) {
+            const match = lines[k].match(MARKDOWN_REFERENCE);
+            if (!match) break;
+            const label = this.normalizeLabel(match[1]);
+            if (label && !this.references.has(label)) {
+                this.references.set(label, {
+                    href: this.unescape(match[2].replace(/^<(.*)>$/, '$1')),
+                    title: match[3] ? this.unescape(match[3].slice(1, -1)) : null
+                });
+            }
+            k++;
+        }
+        return lines.slice(k);
+    }
+
+    normalizeLabel(label) {
+        return label.trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    renderBlocks(blocks, tight) {
+        return blocks.map(block => this.renderBlock(block, tight)).join('\n');
+    }
+
+    renderBlock(block, tight) {
+        switch (block.type) {
+            case 'heading':
+                return `<h${block.level}>${this.renderInline(block.text.trim())}</h${block.level}>`;
+            case 'paragraph': {
+                const inline = this.renderInline(block.text.replace(/[ \t]+$/, ''));
+                return tight ? inline : `<p>${inline}</p>`;
+            }
+            case 'rule':
+                return '<hr>';
+            case 'code': {
+                const language = block.info ? ` class="language-${this.escape(block.info)}"` : '';
+                return `<pre><code${language}>${this.escape(block.text)}</code></pre>`;
+            }
+            case 'blockquote':
+                return `<blockquote>\n${this.renderBlocks(block.children, false)}\n</blockquote>`;
+            case 'list': {
+                const tag = block.ordered ? 'ol' : 'ul';
+                const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+                const items = block.items.map(item => `<li>${this.renderBlocks(item.children, !block.loose)}</li>`);
+                return `<${tag}${start}>\n${items.join('\n')}\n</${tag}>`;
+            }
+            case 'table':
+                return this.renderTable(block);
+            default:
+                return '';
+        }
+    }
+
+    renderTable(block) {
+        const align = (i) => (block.alignments[i] ? ` class="align-${block.alignments[i]}"` : '');
+        const cells = (row, tag, scope) => block.header
+            .map((_, i) => `<${tag}${scope}${align(i)}>${this.renderInline(row[i] || '')}</${tag}>`)
+            .join('');
+
+        let html = `<table>\n<thead>\n<tr>${cells(block.header, 'th', ' scope="col"')}</tr>\n</thead>`;
+        if (block.rows.length > 0) {
+            html += `\n<tbody>\n${block.rows.map(row => `<tr>${cells(row, 'td', '')}</tr>`).join('\n')}\n</tbody>`;
+        }
+        return `${html}\n</table>`;
+    }
+
+    // Inline content
+
+    renderInline(text) {
+        // Plain text and finished markup go into `items` as { html }; emphasis delimiter runs
+        // stay as delimiter items until processEmphasis pairs them up
+        const items = [];
+        const brackets = [];
+        let plain = '';
+        let pos = 0;
+
+        const flush = () => {
+            if (plain) items.push({ html: this.escape(plain) });
+            plain = '';
+        };
+
+        while (pos < text.length) {
+            const char = text[pos];
+            const rest = text.slice(pos);
+
+            if (char === '\\') {
+                if (text[pos + 1] === '\n') {
+                    flush();
+                    items.push({ html: '<br>\n' });
+                    pos += 2;
+                } else if (pos + 1 < text.length && MARKDOWN_ESCAPABLE.includes(text[pos + 1])) {
+                    plain += text[pos + 1];
+                    pos += 2;
+                } else {
+                    plain += char;
+                    pos++;
+                }
+            } else if (char === '`') {
+                const run = rest.match(/^`+/)[0];
+                const close = this.findCodeSpanEnd(text, pos + run.length, run.length);
+                if (close === -1) {
+                    plain += run;
+                    pos += run.length;
+                } else {
+                    let code = text.slice(pos + run.length, close).replace(/\n/g, ' ');
+                    if (/^ .*[^ ].* $/.test(code) || /^ [^ ] $/.test(code)) code = code.slice(1, -1);
+                    flush();
+                    items.push({ html: `<code>${this.escape(code)}</code>` });
+                    pos = close + run.length;
+                }
+            } else if (char === '*' || char === '_' || char === '~') {
+                const run = rest.match(char === '*' ? /^\*+/ : char === '_' ? /^_+/ : /^~+/)[0];
+                flush();
+                items.push(this.delimiterRun(text, pos, run));
+                pos += run.length;
+            } else if (char === '[' || (char === '!' && text[pos + 1] === '[')) {
+                flush();
+                const image = char === '!';
+                items.push({ html: this.escape(image ? '![' : '[') });
+                brackets.push({ index: items.length - 1, image, active: true, textStart: pos + (image ? 2 : 1) });
+                pos += image ? 2 : 1;
+            } else if (char === ']') {
+                flush();
+                pos = this.closeBracket(text, pos, items, brackets);
+            } else if (char === '<') {
+                const autolink = rest.match(MARKDOWN_AUTOLINK);
+                const email = !autolink && rest.match(MARKDOWN_EMAIL_AUTOLINK);
+                if (autolink || email) {
+                    const target = (autolink || email)[1];
+                    flush();
+                    items.push({ html: `<a href="${this.escape(email ? `mailto:${target}` : target)}">${this.escape(target)}</a>` });
+                    pos += (autolink || email)[0].length;
+                } else {
+                    plain += char;
+                    pos++;
+                }
+            } else if (char === '&') {
+                const entity = rest.match(/^&(?:#[xX]([0-9a-fA-F]{1,6})|#([0-9]{1,7})|([A-Za-z][A-Za-z0-9]{1,31}));/);
+                const decoded = entity && this.decodeEntity(entity);
+                if (decoded !== null && decoded !== undefined) {
+                    plain += decoded;
+                    pos += entity[0].length;
+                } else {
+                    plain += char;
+                    pos++;
+                }
+            } else if (char === '\n') {
+                const hard = / {2,}$/.test(plain) || this.breaks;
+                plain = plain.replace(/ +$/, '');
+                flush();
+                items.push({ html: hard ? '<br>\n' : '\n' });
+                pos++;
+                while (text[pos] === ' ') pos++;
+            } else if ((char === 'h' || char === 'w') && (pos === 0 || /[\s*_~(]/.test(text[pos - 1])) && MARKDOWN_BARE_URL.test(rest)) {
+                const url = this.trimBareURL(rest.match(MARKDOWN_BARE_URL)[0]);
+                if (url.includes('.') && !brackets.some(bracket => bracket.active && !bracket.image)) {
+                    flush();
+                    const href = url.startsWith('www.') ? `http://${url}` : url;
+                    items.push({ html: `<a href="${this.escape(href)}">${this.escape(url)}</a>` });
+                    pos += url.length;
+                } else {
+                    plain += char;
+                    pos++;
+                }
+            } else {
+                const next = rest.slice(1).search(/[\\`*_~[\]!<&\nhw]/);
+                const end = next === -1 ? text.length : pos + 1 + next;
+                plain += text.slice(pos, end);
+                pos = end;
+            }
+        }
+        flush();
+
+        this.processEmphasis(items, -1);
+        return items.map(item => this.renderItem(item)).join('');
+    }
+
+    findCodeSpanEnd(text, from, length) {
+        const pattern = /`+/g;
+        pattern.lastIndex = from;
+        let match;
+        while ((match = pattern.exec(text))) {
+            if (match[0].length === length) return match.index;
+        }
+        return -1;
+    }
+
+    trimBareURL(url) {
+        // Trailing punctuation ends the sentence rather than the address
+        let trimmed = url.replace(/[?!.,:*_~'"]+$/, '');
+        while (trimmed.endsWith(')') && (trimmed.match(/\(/g) || []).length < (trimmed.match(/\)/g) || []).length) {
+            trimmed = trimmed.slice(0, -1).replace(/[?!.,:*_~'"]+$/, '');
+        }
+        return trimmed;
+    }
+
+    decodeEntity(entity) {
+        if (entity[3]) return Object.prototype.hasOwnProperty.call(MARKDOWN_ENTITIES, entity[3]) ? MARKDOWN_ENTITIES[entity[3]] : null;
+        const code = entity[1] ? parseInt(entity[1], 16) : parseInt(entity[2], 10);
+        if (code === 0 || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF)) return '\uFFFD';
+        return String.fromCodePoint(code);
+    }
+
+    delimiterRun(text, pos, run) {
+        const char = run[0];
+        const before = pos > 0 ? text[pos - 1] : ' ';
+        const after = pos + run.length < text.length ? text[pos + run.length] : ' ';
+        const isSpace = (c) => /\s/u.test(c);
+        const isPunctuation = (c) => /[\p{P}\p{S}]/u.test(c);
+
+        const leftFlanking = !isSpace(after) && (!isPunctuation(after) || isSpace(before) || isPunctuation(before));
+        const rightFlanking = !isSpace(before) && (!isPunctuation(before) || isSpace(after) || isPunctuation(after));
+
+        let canOpen = leftFlanking;
+        let canClose = rightFlanking;
+        if (char === '_') {
+            // Underscores inside a word never mark emphasis
+            canOpen = leftFlanking && (!rightFlanking || isPunctuation(before));
+            canClose = rightFlanking && (!leftFlanking || isPunctuation(after));
+        }
+        if (char === '~' && run.length > 2) {
+            canOpen = false;
+            canClose = false;
+        }
+
+        return { delimiter: char, count: run.length, length: run.length, canOpen, canClose, opens: [], closes: [] };
+    }
+
+    // Pairs emphasis delimiters after index `bottom`, following the CommonMark delimiter rules
+    processEmphasis(items, bottom) {
+        const isDelimiter = (item) => item.delimiter && !item.done;
+        const openersBottom = {};
+
+        for (let c = bottom + 1; c < items.length; c++) {
+            const closer = items[c];
+            if (!isDelimiter(closer) || !closer.canClose || closer.count === 0) continue;
+
+            const key = `${closer.delimiter}${closer.canOpen}${closer.length % 3}`;
+            const floor = openersBottom[key] !== undefined ? openersBottom[key] : bottom;
+            let matched = false;
+
+            for (let o = c - 1; o > floor; o--) {
+                const opener = items[o];
+                if (!isDelimiter(opener) || opener.delimiter !== closer.delimiter || !opener.canOpen || opener.count === 0) continue;
+                if (closer.delimiter === '~' && opener.count !== closer.count) continue;
+                if ((opener.canClose || closer.canOpen) && closer.delimiter !== '~'
+                    && (opener.length + closer.length) % 3 === 0 && !(opener.length % 3 === 0 && closer.length % 3 === 0)) {
+                    continue;
+                }
+
+                let tag = 'em';
+                let used = 1;
+                if (closer.delimiter === '~') {
+                    tag = 'del';
+                    used = opener.count;
+                } else if (opener.count >= 2 && closer.count >= 2) {
+                    tag = 'strong';
+                    used = 2;
+                }
+                opener.count -= used;
+                closer.count -= used;
+                opener.opens.unshift(`<${tag}>`);
+                closer.closes.push(`</${tag}>`);
+
+                // Delimiters between the pair can no longer match anything
+                for (let k = o + 1; k < c; k++) {
+                    if (items[k].delimiter) items[k].done = true;
+                }
+                matched = true;
+                if (closer.count > 0) c--;
+                break;
+            }
+
+            if (!matched) {
+                openersBottom[key] = c - 1;
+                if (!closer.canOpen) closer.done = true;
+            }
+        }
+
+        for (let k = bottom + 1; k < items.length; k++) {
+            if (items[k].delimiter) items[k].done = true;
+        }
+    }
+
+    renderItem(item) {
+        if (!item.delimiter) return item.html;
+        const literal = this.escape(item.delimiter.repeat(item.count));
+        return item.closes.join('') + literal + item.opens.join('');
+    }
+
+    closeBracket(text, pos, items, brackets) {
+        const opener = brackets.pop();
+        if (!opener) {
+            items.push({ html: ']' });
+            return pos + 1;
+        }
+        if (!opener.active) {
+            items.push({ html: ']' });
+            return pos + 1;
+        }
+
+        const after = pos + 1;
+        const rest = text.slice(after);
+        const extension = !opener.image && rest.match(MARKDOWN_SPAN_EXTENSION);
+        let target = null;
+        let end = after;
+
+        if (extension) {
+            const [name, value] = extension[1].split('=');
+            this.processEmphasis(items, opener.index);
+            items[opener.index] = name === 'lang'
+                ? { html: `<span lang="${this.escape(value)}">` }
+                : { html: `<span class="ocr-uncertain" data-confidence="${value}" title="Recognized with ${value}% confidence">` };
+            items.push({ html: '</span>' });
+            return after + extension[0].length;
+        }
+
+        const inline = this.parseInlineLink(text, after);
+        if (inline) {
+            target = inline;
+            end = inline.end;
+        } else {
+            const label = text.slice(opener.textStart, pos);
+            const full = rest.match(/^\[((?:[^\\\[\]]|\\.){0,999})\]/);
+            let key = null;
+            if (full && full[1].trim()) {
+                key = this.normalizeLabel(full[1]);
+                end = after + full[0].length;
+            } else {
+                key = this.normalizeLabel(label);
+                if (full) end = after + full[0].length;
+            }
+            if (key && this.references.has(key)) {
+                target = this.references.get(key);
+            } else {
+                end = after;
+            }
+        }
+
+        if (!target) {
+            items.push({ html: ']' });
+            return pos + 1;
+        }
+
+        this.processEmphasis(items, opener.index);
+        if (opener.image) {
+            // Images are described rather than loaded, keeping documents offline
+            items[opener.index] = { html: '<span class="image-alt">Image: ' };
+            items.push({ html: '</span>' });
+            this.stripTags(items, opener.index + 1);
+        } else {
+            const title = target.title ? ` title="${this.escape(target.title)}"` : '';
+            items[opener.index] = { html: `<a href="${this.escape(target.href)}"${title}>` };
+            items.push({ html: '</a>' });
+            // Links cannot contain other links
+            brackets.forEach(bracket => {
+                if (!bracket.image) bracket.active = false;
+            });
+        }
+        return end;
+    }
+
+    // An image description is plain text, so markup inside it is reduced to its text
+    stripTags(items, from) {
+        for (let k = from; k < items.length - 1; k++) {
+            const item = items[k];
+            if (item.delimiter) {
+                item.opens = [];
+                item.closes = [];
+            } else {
+                item.html = item.html.replace(/<[^>]*>/g, '');
+            }
+        }
+    }
+
+    parseInlineLink(text, pos) {
+        if (text[pos] !== '(') return null;
+
+        let k = pos + 1;
+        const skipSpace = () => {
+            while (k < text.length && /[ \t\n]/.test(text[k])) k++;
+        };
+        skipSpace();
+
+        let href = '';
+        if (text[k] === '<') {
+            const close = text.indexOf('>', k);
+            if (close === -1 || /[<\n]/.test(text.slice(k + 1, close))) return null;
+            href = text.slice(k + 1, close);
+            k = close + 1;
+        } else {
+            let depth = 0;
+            const start = k;
+            while (k < text.length) {
+                const char = text[k];
+                if (char === '\\' && k + 1 < text.length && MARKDOWN_ESCAPABLE.includes(text[k + 1])) {
+                    k += 2;
+                    continue;
+                }
+                if (/[\s\x00-\x1f]/.test(char)) break;
+                if (char === '(') depth++;
+                if (char === ')') {
+                    if (depth === 0) break;
+                    depth--;
+                }
+                k++;
+            }
+            if (depth !== 0) return null;
+            href = text.slice(start, k);
+        }
+
+        const beforeTitle = k;
+        skipSpace();
+        let title = null;
+        const quote = text[k];
+        if (k > beforeTitle && (quote === '"' || quote === '\'' || quote === '(')) {
+            const closing = quote === '(' ? ')' : quote;
+            let t = k + 1;
+            while (t < text.length && text[t] !== closing) {
+                t += text[t] === '\\' ? 2 : 1;
+            }
+            if (t >= text.length) return null;
+            title = this.unescape(text.slice(k + 1, t));
+            k = t + 1;
+            skipSpace();
+        }
+
+        if (text[k] !== ')') return null;
+        return { href: this.unescape(href), title, end: k + 1 };
+    }
+
+    // Resolves backslash escapes and entities in link destinations, titles and info strings
+    unescape(text) {
+        return text
+            .replace(/\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g, '$1')
+            .replace(/&(?:#[xX]([0-9a-fA-F]{1,6})|#([0-9]{1,7})|([A-Za-z][A-Za-z0-9]{1,31}));/g, (match, hex, decimal, name) => {
+                const decoded = this.decodeEntity([match, hex, decimal, name]);
+                return decoded === null ? match : decoded;
+            });
+    }
+
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
@@ -0,0 +1,294 @@
+// Stand-in for DOMParser where there is none, such as Node, so documents can be imported
+// and segmented without a browser. parseFromString builds a small tree with the parts of
+// the DOM that DocumentImporter and SentenceSegmenter read: nodeType, tagName, localName,
+// namespaceURI, childNodes, children, textContent, getAttribute and getElementsByTagName(NS).
+// HTML is parsed leniently, closing the elements HTML leaves implied (misnested formatting
+// is closed rather than reopened as browsers do). XML must be well formed, and like
+// DOMParser an error yields a document holding a <parsererror> element.
+
+// The values of Node.ELEMENT_NODE, TEXT_NODE and DOCUMENT_NODE, so code can walk either kind of tree
+const MARKUP_ELEMENT_NODE = 1;
+const MARKUP_TEXT_NODE = 3;
+const MARKUP_DOCUMENT_NODE = 9;
+
+const MARKUP_HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+const MARKUP_XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+
+const MARKUP_VOID_TAGS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+// Elements whose content is text up to their closing tag
+const MARKUP_RAW_TEXT_TAGS = new Set(['script', 'style', 'textarea', 'title', 'xmp']);
+
+// Opening one of these closes an open <p>
+const MARKUP_CLOSES_PARAGRAPH = new Set([
+    'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset', 'figcaption', 'figure',
+    'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'nav', 'ol', 'p', 'pre',
+    'section', 'summary', 'table', 'ul'
+]);
+
+// Opening the key closes an open element in `closes`, unless one of the boundaries is nearer
+const MARKUP_IMPLIED_ENDS = {
+    li: { closes: ['li'], boundaries: ['ul', 'ol'] },
+    dt: { closes: ['dt', 'dd'], boundaries: ['dl'] },
+    dd: { closes: ['dt', 'dd'], boundaries: ['dl'] },
+    tr: { closes: ['tr', 'td', 'th'], boundaries: ['table', 'thead', 'tbody', 'tfoot'] },
+    td: { closes: ['td', 'th'], boundaries: ['tr', 'table'] },
+    th: { closes: ['td', 'th'], boundaries: ['tr', 'table'] },
+    thead: { closes: ['thead', 'tbody', 'tr', 'td', 'th'], boundaries: ['table'] },
+    tbody: { closes: ['thead', 'tbody', 'tr', 'td', 'th'], boundaries: ['table'] },
+    tfoot: { closes: ['thead', 'tbody', 'tr', 'td', 'th'], boundaries: ['table'] },
+    option: { closes: ['option'], boundaries: ['select', 'datalist'] }
+};
+
+const MARKUP_XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+// HTML adds the Latin-1 letters and symbols (U+00A0 to U+00FF) to the entities Markdown knows,
+// since accented letters are often written as entities in exported HTML
+const MARKUP_HTML_ENTITIES = {
+    ...MARKDOWN_ENTITIES,
+    ...Object.fromEntries([
+        'nbsp', 'iexcl', 'cent', 'pound', 'curren', 'yen', 'brvbar', 'sect', 'uml', 'copy', 'ordf', 'laquo',
+        'not', 'shy', 'reg', 'macr', 'deg', 'plusmn', 'sup2', 'sup3', 'acute', 'micro', 'para', 'middot',
+        'cedil', 'sup1', 'ordm', 'raquo', 'frac14', 'frac12', 'frac34', 'iquest', 'Agrave', 'Aacute', 'Acirc',
+        'Atilde', 'Auml', 'Aring', 'AElig', 'Ccedil', 'Egrave', 'Eacute', 'Ecirc', 'Euml', 'Igrave', 'Iacute',
+        'Icirc', 'Iuml', 'ETH', 'Ntilde', 'Ograve', 'Oacute', 'Ocirc', 'Otilde', 'Ouml', 'times', 'Oslash',
+        'Ugrave', 'Uacute', 'Ucirc', 'Uuml', 'Yacute', 'THORN', 'szlig', 'agrave', 'aacute', 'acirc', 'atilde',
+        'auml', 'aring', 'aelig', 'ccedil', 'egrave', 'eacute', 'ecirc', 'euml', 'igrave', 'iacute', 'icirc',
+        'iuml', 'eth', 'ntilde', 'ograve', 'oacute', 'ocirc', 'otilde', 'ouml', 'divide', 'oslash', 'ugrave',
+        'uacute', 'ucirc', 'uuml', 'yacute', 'thorn', 'yuml'
+    ].map((name, i) => [name, String.fromCharCode(0xA0 + i)]))
+};
+
+const MARKUP_TOKEN = /<!--[\s\S]*?(?:-->|$)|<!\[CDATA\[([\s\S]*?)(?:\]\]>|$)|<![^>]*>?|<\?[\s\S]*?(?:\?>|$)|<\/([A-Za-z][^\s/>]*)\s*>|<([A-Za-z][^\s/>]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>|[^<]+|</g;
+const MARKUP_ATTRIBUTE = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+const MARKUP_ENTITY = /&(?:#[xX]([0-9a-fA-F]{1,6})|#([0-9]{1,7})|([A-Za-z][A-Za-z0-9]{1,31}));?/g;
+
+class MarkupParser {
+    parseFromString(markup, type) {
+        const html = type === 'text/html';
+        const doc = new MarkupNode(MARKUP_DOCUMENT_NODE, '#document');
+        try {
+            this.parse(String(markup), doc, html);
+        } catch (error) {
+            doc.childNodes = [];
+            const failure = this.createElement('parsererror', MARKUP_HTML_NAMESPACE, [], html);
+            failure.appendChild(new MarkupNode(MARKUP_TEXT_NODE, '#text', error.message));
+            doc.appendChild(failure);
+        }
+        if (html) this.ensureBody(doc);
+
+        doc.documentElement = doc.children[0] || null;
+        doc.body = html ? doc.documentElement.children.find(child => child.localName === 'body') : null;
+        return doc;
+    }
+
+    parse(markup, doc, html) {
+        const open = [doc];
+        const current = () => open[open.length - 1];
+        const closeTo = (index) => open.splice(index);
+        const text = (value) => {
+            if (value) current().appendChild(new MarkupNode(MARKUP_TEXT_NODE, '#text', value));
+        };
+
+        MARKUP_TOKEN.lastIndex = 0;
+        let match;
+        while ((match = MARKUP_TOKEN.exec(markup))) {
+            const [token, cdata, closing, opening, attributes, selfClosing] = match;
+
+            if (opening) {
+                const name = html ? opening.toLowerCase() : opening;
+                if (html) this.closeImplied(open, name);
+                const element = this.createElement(name, null, this.parseAttributes(attributes, html), html);
+                if (!html) element.namespaceURI = this.namespaceOf(element, current());
+                current().appendChild(element);
+
+                if (html && MARKUP_RAW_TEXT_TAGS.has(name)) {
+                    const end = markup.toLowerCase().indexOf(`</${name}`, MARKUP_TOKEN.lastIndex);
+                    const stop = end === -1 ? markup.length : end;
+                    const content = markup.slice(MARKUP_TOKEN.lastIndex, stop);
+                    if (content) element.appendChild(new MarkupNode(MARKUP_TEXT_NODE, '#text', content));
+                    const after = markup.indexOf('>', stop);
+                    MARKUP_TOKEN.lastIndex = end === -1 || after === -1 ? markup.length : after + 1;
+                } else if (!selfClosing && !(html && MARKUP_VOID_TAGS.has(name))) {
+                    open.push(element);
+                }
+            } else if (closing) {
+                const name = html ? closing.toLowerCase() : closing;
+                let index = open.length - 1;
+                while (index > 0 && open[index].nodeName !== name) index--;
+                if (index > 0) {
+                    if (!html && index !== open.length - 1) {
+                        throw new Error(`Closing tag </${name}> does not match <${current().nodeName}>`);
+                    }
+                    closeTo(index);
+                } else if (!html) {
+                    throw new Error(`Closing tag </${name}> was never opened`);
+                }
+            } else if (cdata !== undefined) {
+                text(cdata);
+            } else if (token[0] !== '<') {
+                text(this.decodeEntities(token, html));
+            } else if (token === '<') {
+                if (!html) throw new Error('Unescaped < in text');
+                text(token);
+            }
+            // Comments, doctypes and processing instructions are dropped
+        }
+
+        if (!html && open.length > 1) {
+            throw new Error(`<${current().nodeName}> is never closed`);
+        }
+        if (!html && doc.children.length !== 1) {
+            throw new Error('An XML document needs exactly one root element');
+        }
+    }
+
+    closeImplied(open, name) {
+        const names = open.map(node => node.nodeName);
+        // Closes the outermost element in `closes` above the nearest boundary, with all it holds
+        const close = (closes, boundaries) => {
+            let index = -1;
+            for (let i = names.length - 1; i > 0 && !boundaries.includes(names[i]); i--) {
+                if (closes.includes(names[i])) index = i;
+            }
+            if (index !== -1) {
+                open.splice(index);
+                names.splice(index);
+            }
+        };
+
+        if (MARKUP_CLOSES_PARAGRAPH.has(name)) {
+            close(['p'], ['button', 'caption', 'table', 'td', 'th']);
+        }
+        if (MARKUP_IMPLIED_ENDS[name]) {
+            close(MARKUP_IMPLIED_ENDS[name].closes, MARKUP_IMPLIED_ENDS[name].boundaries);
+        }
+    }
+
+    createElement(name, namespaceURI, attributes, html) {
+        const element = new MarkupNode(MARKUP_ELEMENT_NODE, name);
+        const colon = name.indexOf(':');
+        element.localName = colon === -1 ? name : name.slice(colon + 1);
+        element.prefix = colon === -1 ? null : name.slice(0, colon);
+        element.tagName = html ? name.toUpperCase() : name;
+        element.namespaceURI = html ? MARKUP_HTML_NAMESPACE : namespaceURI;
+        element.attributes = attributes;
+        return element;
+    }
+
+    parseAttributes(source, html) {
+        const attributes = [];
+        MARKUP_ATTRIBUTE.lastIndex = 0;
+        let match;
+        while ((match = MARKUP_ATTRIBUTE.exec(source || ''))) {
+            const name = html ? match[1].toLowerCase() : match[1];
+            const raw = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+            if (!attributes.some(attribute => attribute.name === name)) {
+                attributes.push({ name, value: raw === undefined ? '' : this.decodeEntities(raw, html) });
+            }
+        }
+        return attributes;
+    }
+
+    // The namespace an XML element's prefix, or the default namespace, is bound to
+    namespaceOf(element, parent) {
+        if (element.prefix === 'xml') return MARKUP_XML_NAMESPACE;
+        const declaration = element.prefix ? `xmlns:${element.prefix}` : 'xmlns';
+        if (element.hasAttribute(declaration)) return element.getAttribute(declaration) || null;
+        for (let node = parent; node.nodeType === MARKUP_ELEMENT_NODE; node = node.parentNode) {
+            if (node.hasAttribute(declaration)) return node.getAttribute(declaration) || null;
+        }
+        return null;
+    }
+
+    decodeEntities(text, html) {
+        return text.replace(MARKUP_ENTITY, (entity, hex, decimal, name) => {
+            if (name) {
+                const known = html ? MARKUP_HTML_ENTITIES : MARKUP_XML_ENTITIES;
+                if (Object.prototype.hasOwnProperty.call(known, name)) return known[name];
+                if (!html) throw new Error(`Unknown entity ${entity}`);
+                return entity;
+            }
+            const code = hex ? parseInt(hex, 16) : parseInt(decimal, 10);
+            if (code === 0 || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF)) return '\uFFFD';
+            return String.fromCodePoint(code);
+        });
+    }
+
+    // Like a browser, an HTML document always has <html> with a <body> inside it
+    ensureBody(doc) {
+        let root = doc.children.find(child => child.localName === 'html');
+        if (!root) {
+            root = this.createElement('html', null, [], true);
+            doc.childNodes.slice().forEach(node => root.appendChild(node));
+            doc.childNodes = [];
+            doc.appendChild(root);
+        }
+        if (!root.children.some(child => child.localName === 'body')) {
+            const body = this.createElement('body', null, [], true);
+            root.childNodes.filter(node => node.localName !== 'head').forEach(node => body.appendChild(node));
+            root.childNodes = root.childNodes.filter(node => node.localName === 'head');
+            root.appendChild(body);
+        }
+    }
+}
+
+class MarkupNode {
+    constructor(nodeType, nodeName, data = '') {
+        this.nodeType = nodeType;
+        this.nodeName = nodeName;
+        this.data = data;
+        this.nodeValue = nodeType === MARKUP_TEXT_NODE ? data : null;
+        this.childNodes = [];
+        this.parentNode = null;
+        this.attributes = [];
+    }
+
+    get children() {
+        return this.childNodes.filter(node => node.nodeType === MARKUP_ELEMENT_NODE);
+    }
+
+    get textContent() {
+        return this.nodeType === MARKUP_TEXT_NODE ? this.data : this.childNodes.map(node => node.textContent).join('');
+    }
+
+    appendChild(node) {
+        if (node.parentNode) node.parentNode.childNodes = node.parentNode.childNodes.filter(child => child !== node);
+        node.parentNode = this;
+        this.childNodes.push(node);
+        return node;
+    }
+
+    getAttribute(name) {
+        const lookup = this.namespaceURI === MARKUP_HTML_NAMESPACE ? name.toLowerCase() : name;
+        const attribute = this.attributes.find(candidate => candidate.name === lookup);
+        return attribute ? attribute.value : null;
+    }
+
+    hasAttribute(name) {
+        return this.getAttribute(name) !== null;
+    }
+
+    getElementsByTagName(name) {
+        return this.descendants(element => name === '*'
+            || element.nodeName === name
+            || (element.namespaceURI === MARKUP_HTML_NAMESPACE && element.localName === name.toLowerCase()));
+    }
+
+    getElementsByTagNameNS(namespaceURI, localName) {
+        return this.descendants(element => (namespaceURI === '*' || element.namespaceURI === namespaceURI)
+            && (localName === '*' || element.localName === localName));
+    }
+
+    descendants(matches) {
+        const found = [];
+        const visit = (node) => node.children.forEach(child => {
+            if (matches(child)) found.push(child);
+            visit(child);
+        });
+        visit(this);
+        return found;
+    }
+}
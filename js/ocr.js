@@ -0,0 +1,129 @@
+// Offline text recognition for scanned PDF pages and image uploads, using the copy of
+// Tesseract.js in vendor/tesseract (see README, "Offline OCR"). Nothing is
+// fetched from the network: the script, worker, WebAssembly core and language data
+// are all loaded from that folder, and only when a document actually needs OCR.
+const OCR_ASSET_PATH = 'vendor/tesseract/';
+const OCR_LANGUAGE = 'eng';
+
+// Tesseract word confidence (0-100) below which a word is flagged as uncertain
+const OCR_LOW_CONFIDENCE = 70;
+
+class OCREngine {
+    constructor(assetPath = OCR_ASSET_PATH) {
+        this.assetPath = assetPath;
+        this.workerPromise = null;
+        // Called with { page, pageCount, progress, stage } while pages are recognized
+        this.onProgress = null;
+        this.currentPage = null;
+    }
+
+    loadLibrary() {
+        if (typeof Tesseract !== 'undefined') return Promise.resolve();
+
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = `${this.assetPath}tesseract.min.js`;
+            script.onload = () => resolve();
+            script.onerror = () => reject(new Error(`The OCR engine could not be loaded from ${this.assetPath}`));
+            document.head.appendChild(script);
+        });
+    }
+
+    getWorker() {
+        if (!this.workerPromise) {
+            this.workerPromise = this.loadLibrary()
+                .then(() => Tesseract.createWorker(OCR_LANGUAGE, 1, {
+                    workerPath: `${this.assetPath}worker.min.js`,
+                    corePath: `${this.assetPath}core`,
+                    langPath: `${this.assetPath}lang`,
+                    workerBlobURL: false,
+                    logger: (message) => this.report(message)
+                }))
+                .catch(error => {
+                    // Let a later document try again, e.g. after the files have been installed
+                    this.workerPromise = null;
+                    throw error;
+                });
+        }
+        return this.workerPromise;
+    }
+
+    report(message) {
+        if (!this.onProgress || !this.currentPage) return;
+        const recognizing = message.status === 'recognizing text';
+        this.onProgress({
+            ...this.currentPage,
+            stage: recognizing ? 'recognizing' : 'loading',
+            progress: recognizing ? message.progress : 0
+        });
+    }
+
+    // `image` is anything Tesseract accepts: a File, Blob or canvas. Page numbers start at 1.
+    // Resolves to paragraph blocks ready for the Markdown pipeline, with uncertain words
+    // marked as [word]{ocr=NN}
+    async recognizeImage(image, page = 1, pageCount = 1) {
+        this.currentPage = { page, pageCount };
+        if (this.onProgress) this.onProgress({ page, pageCount, stage: 'loading', progress: 0 });
+
+        try {
+            const worker = await this.getWorker();
+            const { data } = await worker.recognize(image);
+            if (this.onProgress) this.onProgress({ page, pageCount, stage: 'recognizing', progress: 1 });
+            return this.toBlocks(data, page - 1);
+        } finally {
+            this.currentPage = null;
+        }
+    }
+
+    async recognizePDFPage(pdfPage, page, pageCount) {
+        // Fail before rendering the page when the engine is not installed
+        await this.getWorker();
+
+        // Twice the nominal size (144 dpi) gives Tesseract enough pixels for body text
+        const viewport = pdfPage.getViewport({ scale: 2 });
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.ceil(viewport.width);
+        canvas.height = Math.ceil(viewport.height);
+        await pdfPage.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+
+        try {
+            return await this.recognizeImage(canvas, page, pageCount);
+        } finally {
+            canvas.width = 0;
+            canvas.height = 0;
+        }
+    }
+
+    toBlocks(data, pageIndex) {
+        const blocks = [];
+
+        (data.paragraphs || []).forEach(paragraph => {
+            let text = '';
+            let previous = null;
+            paragraph.lines.forEach(line => {
+                line.words.forEach((word, i) => {
+                    const raw = word.text.trim();
+                    if (!raw) return;
+
+                    // Recognized text is text, so only the uncertain-word marker is Markdown
+                    const uncertain = word.confidence < OCR_LOW_CONFIDENCE && !/[[\]{}]/.test(raw);
+                    const escaped = MarkdownRenderer.escapeText(raw);
+                    const rendered = uncertain ? `[${escaped}]{ocr=${Math.round(word.confidence)}}` : escaped;
+
+                    // Rejoin a word hyphenated across the line break
+                    const continuesWord = i === 0 && previous && !previous.uncertain
+                        && /\p{L}-$/u.test(previous.text) && /^\p{Ll}/u.test(raw);
+                    if (continuesWord) {
+                        text = text.slice(0, -1) + rendered;
+                    } else {
+                        text += (text ? ' ' : '') + rendered;
+                    }
+                    previous = { text: raw, uncertain };
+                });
+            });
+            if (text) blocks.push({ page: pageIndex, role: 'P', text, markdown: true });
+        });
+
+        return blocks;
+    }
+}
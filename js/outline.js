@@ -0,0 +1,62 @@
+// Heading outline of the rendered document, built from the block ranges returned by
+// SentenceSegmenter.wrapElement. Used for the contents pane and structural navigation.
+class DocumentOutline {
+    constructor(sentences = [], blocks = []) {
+        this.sentenceCount = sentences.length;
+        this.paragraphs = blocks.filter(block => !this.isHeading(block));
+        this.headings = blocks.filter(block => this.isHeading(block)).map(block => ({
+            level: parseInt(block.tag[1], 10),
+            title: sentences.slice(block.start, block.end).join(' '),
+            start: block.start,
+            end: this.sentenceCount
+        }));
+
+        // A section runs until the next heading of the same or a higher level
+        this.headings.forEach((heading, i) => {
+            const next = this.headings.slice(i + 1).find(other => other.level <= heading.level);
+            if (next) heading.end = next.start;
+        });
+    }
+
+    isHeading(block) {
+        return /^h[1-6]$/.test(block.tag);
+    }
+
+    // The innermost heading whose section contains the sentence, or null before the first heading
+    sectionAt(index) {
+        return this.last(this.headings, heading => heading.start <= index);
+    }
+
+    // Sentence range of the section containing `index`; text before the first heading
+    // forms an untitled section of its own
+    sectionRange(index) {
+        const heading = this.sectionAt(index);
+        if (heading) return heading;
+
+        const first = this.headings[0];
+        return { level: 0, title: null, start: 0, end: first ? first.start : this.sentenceCount };
+    }
+
+    nextHeading(index) {
+        return this.headings.find(heading => heading.start > index) || null;
+    }
+
+    previousHeading(index) {
+        return this.last(this.headings, heading => heading.start < index);
+    }
+
+    nextParagraph(index) {
+        return this.paragraphs.find(block => block.start > index) || null;
+    }
+
+    previousParagraph(index) {
+        return this.last(this.paragraphs, block => block.start < index);
+    }
+
+    last(items, predicate) {
+        for (let i = items.length - 1; i >= 0; i--) {
+            if (predicate(items[i])) return items[i];
+        }
+        return null;
+    }
+}
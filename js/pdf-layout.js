@@ -0,0 +1,532 @@
+// Rebuilds reading order and structure from pdf.js text content and returns the same
+// lightweight Markdown the other importers produce. Tagged PDFs are read in the order of
+// their structure tree; other PDFs are laid out from item positions and font sizes
+// (lines, columns, paragraphs), with running headers, footers and page numbers removed.
+// Pages without a text layer (scans) are passed to OCR when an OCREngine is given.
+const PDF_HEADING_ROLES = { Title: 1, H: 2, H1: 1, H2: 2, H3: 3, H4: 4, H5: 5, H6: 6 };
+
+const PDF_BLOCK_ROLES = new Set([
+    'Title', 'H', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'P', 'LI', 'TR', 'Caption', 'BlockQuote', 'Note', 'TOCI', 'Code'
+]);
+
+// Share of the page height, at the top and at the bottom, searched for running headers and footers
+const PDF_MARGIN_SHARE = 0.1;
+
+// A page with fewer characters than this in its text layer is treated as a scan
+const PDF_SCANNED_PAGE_CHARS = 20;
+
+const PDF_LIST_MARKER = /^(?:[•◦▪‣∙●○■□–—*-]|(\d{1,3})[.)])\s+/;
+const PDF_PAGE_NUMBER = /^(?:page\s+)?(?:\d{1,4}|[ivxlc]{1,7})(?:\s*(?:of|\/)\s*\d{1,4})?$/i;
+
+class PDFLayoutExtractor {
+    // Resolves to { text, language, scannedPages, ocrError } for a document opened with
+    // pdfjsLib.getDocument. If OCR fails, the rest of the document is still returned.
+    async extract(pdf, ocr = null) {
+        const pages = [];
+        let ocrError = null;
+        for (let number = 1; number <= pdf.numPages; number++) {
+            const pdfPage = await pdf.getPage(number);
+            const page = await this.readPage(pdfPage, number - 1);
+            if (this.isScanned(page)) {
+                page.scanned = true;
+                page.ocrBlocks = [];
+                if (ocr && !ocrError) {
+                    try {
+                        page.ocrBlocks = await ocr.recognizePDFPage(pdfPage, number, pdf.numPages);
+                    } catch (error) {
+                        ocrError = error.message;
+                    }
+                }
+            }
+            pages.push(page);
+        }
+        this.removeRunningText(pages.filter(page => !page.scanned));
+
+        const blocks = pages.flatMap(page => {
+            if (page.scanned) return page.ocrBlocks;
+            return page.tagged ? this.taggedBlocks(page) : this.layoutBlocks(page);
+        });
+
+        // Headings come from the tags when the PDF has them, otherwise from its outline
+        // (bookmarks), and only as a last resort from font sizes
+        if (!blocks.some(block => block.role === 'H')) {
+            const outline = await this.readOutline(pdf);
+            if (!this.applyOutline(blocks, outline)) {
+                this.detectHeadingsByFontSize(blocks);
+            }
+        }
+
+        return {
+            text: this.toMarkdown(this.mergeContinuations(blocks)),
+            language: await this.readLanguage(pdf),
+            scannedPages: pages.filter(page => page.scanned).length,
+            ocrError
+        };
+    }
+
+    isScanned(page) {
+        return page.items.reduce((sum, item) => sum + item.text.trim().length, 0) < PDF_SCANNED_PAGE_CHARS;
+    }
+
+    async readPage(page, index) {
+        const viewport = page.getViewport({ scale: 1 });
+        const content = await page.getTextContent({ includeMarkedContent: true });
+        const structTree = typeof page.getStructTree === 'function'
+            ? await page.getStructTree().catch(() => null)
+            : null;
+
+        const items = [];
+        const marked = [];
+        content.items.forEach(item => {
+            if (item.type === 'beginMarkedContent' || item.type === 'beginMarkedContentProps') {
+                marked.push(item);
+                return;
+            }
+            if (item.type === 'endMarkedContent') {
+                marked.pop();
+                return;
+            }
+            if (!item.str || !item.str.trim()) return;
+            // Pagination artifacts (headers, footers, page numbers) are marked as such in tagged PDFs
+            if (marked.some(mc => mc.tag === 'Artifact')) return;
+
+            const owner = [...marked].reverse().find(mc => mc.id);
+            const [x, y] = viewport.convertToViewportPoint(item.transform[4], item.transform[5]);
+            items.push({
+                text: item.str,
+                x,
+                y,
+                right: x + item.width,
+                size: Math.hypot(item.transform[2], item.transform[3]) || item.height || 1,
+                mcid: owner ? owner.id : null
+            });
+        });
+
+        const contentIds = this.structureContentIds(structTree);
+        const totalChars = items.reduce((sum, item) => sum + item.text.length, 0);
+        const taggedChars = items
+            .filter(item => item.mcid && contentIds.has(item.mcid))
+            .reduce((sum, item) => sum + item.text.length, 0);
+
+        return {
+            index,
+            width: viewport.width,
+            height: viewport.height,
+            items,
+            structTree,
+            tagged: totalChars > 0 && taggedChars / totalChars > 0.5,
+            fragments: this.buildFragments(items)
+        };
+    }
+
+    structureContentIds(node, ids = new Set()) {
+        if (!node) return ids;
+        if (node.type === 'content') ids.add(node.id);
+        (node.children || []).forEach(child => this.structureContentIds(child, ids));
+        return ids;
+    }
+
+    // Groups items into rows that share a baseline, then splits rows at wide gaps so text
+    // from neighbouring columns stays apart
+    buildFragments(items) {
+        const sorted = [...items].sort((a, b) => a.y - b.y || a.x - b.x);
+        const rows = [];
+        sorted.forEach(item => {
+            const row = rows[rows.length - 1];
+            if (row && Math.abs(item.y - row.y) <= Math.min(item.size, row.size) * 0.5) {
+                row.items.push(item);
+            } else {
+                rows.push({ y: item.y, size: item.size, items: [item] });
+            }
+        });
+
+        const fragments = [];
+        rows.forEach(row => {
+            let fragment = null;
+            row.items.sort((a, b) => a.x - b.x).forEach(item => {
+                if (fragment && item.x - fragment.right < Math.max(item.size, fragment.size) * 2) {
+                    this.appendItem(fragment, item);
+                } else {
+                    fragment = { text: item.text, x: item.x, right: item.right, y: row.y, size: item.size, chars: {} };
+                    fragments.push(fragment);
+                }
+                fragment.chars[item.size] = (fragment.chars[item.size] || 0) + item.text.length;
+            });
+        });
+
+        // A fragment's size is the size most of its characters use, so a footnote mark does not change it
+        fragments.forEach(fragment => {
+            fragment.size = Number(Object.entries(fragment.chars).sort((a, b) => b[1] - a[1])[0][0]);
+        });
+        return fragments;
+    }
+
+    appendItem(fragment, item) {
+        const gap = item.x - fragment.right;
+        const needsSpace = gap > item.size * 0.15 && !/\s$/.test(fragment.text) && !/^\s/.test(item.text);
+        fragment.text += (needsSpace ? ' ' : '') + item.text;
+        fragment.right = Math.max(fragment.right, item.right);
+    }
+
+    // Drops lines in the top and bottom margins that repeat on many pages once digits are
+    // ignored ("Page 3 of 12", a running title), and bare page numbers
+    removeRunningText(pages) {
+        const layoutPages = pages.filter(page => !page.tagged);
+        const inMargin = (page, fragment) => fragment.y < page.height * PDF_MARGIN_SHARE
+            || fragment.y > page.height * (1 - PDF_MARGIN_SHARE);
+        const key = (text) => text.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+
+        const counts = new Map();
+        layoutPages.forEach(page => {
+            const keys = new Set(page.fragments.filter(f => inMargin(page, f)).map(f => key(f.text)));
+            keys.forEach(k => counts.set(k, (counts.get(k) || 0) + 1));
+        });
+
+        const threshold = Math.max(2, Math.ceil(layoutPages.length * 0.5));
+        layoutPages.forEach(page => {
+            page.fragments = page.fragments.filter(fragment => {
+                if (!inMargin(page, fragment)) return true;
+                if (PDF_PAGE_NUMBER.test(fragment.text.trim())) return false;
+                return (counts.get(key(fragment.text)) || 0) < threshold;
+            });
+        });
+    }
+
+    layoutBlocks(page) {
+        const gutters = this.findGutters(page.fragments, page.width);
+        const ordered = this.readingOrder(page.fragments, gutters);
+        return this.paragraphs(ordered, page.index);
+    }
+
+    // Vertical strips that no narrow fragment crosses, with text on both sides, are column gutters
+    findGutters(fragments, pageWidth) {
+        const narrow = fragments.filter(f => f.right - f.x < pageWidth * 0.6);
+        if (narrow.length < 6) return [];
+
+        const width = Math.ceil(pageWidth);
+        const coverage = new Array(width).fill(0);
+        narrow.forEach(f => {
+            for (let x = Math.max(0, Math.floor(f.x)); x < Math.min(width, Math.ceil(f.right)); x++) {
+                coverage[x]++;
+            }
+        });
+
+        const left = Math.min(...narrow.map(f => f.x));
+        const right = Math.max(...narrow.map(f => f.right));
+        const gutters = [];
+        let runStart = null;
+        for (let x = Math.ceil(left); x <= Math.floor(right); x++) {
+            if (coverage[x] === 0) {
+                if (runStart === null) runStart = x;
+            } else if (runStart !== null) {
+                if (x - runStart >= 10) gutters.push((runStart + x) / 2);
+                runStart = null;
+            }
+        }
+
+        // Each column needs real text, not just a label or a stray number
+        const bounds = [left, ...gutters, right];
+        const columnLines = bounds.slice(1).map((end, i) => narrow.filter(f => {
+            const center = (f.x + f.right) / 2;
+            return center > bounds[i] && center < end;
+        }).length);
+        return columnLines.every(lines => lines >= 3) ? gutters : [];
+    }
+
+    readingOrder(fragments, gutters) {
+        const byPosition = [...fragments].sort((a, b) => a.y - b.y || a.x - b.x);
+        if (gutters.length === 0) {
+            byPosition.forEach(f => { f.column = 0; });
+            return byPosition;
+        }
+
+        // Fragments crossing a gutter (titles, wide figures) split the page into bands;
+        // within a band each column is read top to bottom before the next one
+        const ordered = [];
+        let columns = gutters.map(() => []).concat([[]]);
+        const flush = () => {
+            columns.forEach(column => ordered.push(...column));
+            columns = columns.map(() => []);
+        };
+
+        byPosition.forEach(fragment => {
+            const spans = gutters.some(g => fragment.x < g && fragment.right > g);
+            if (spans) {
+                flush();
+                fragment.column = -1;
+                ordered.push(fragment);
+            } else {
+                const center = (fragment.x + fragment.right) / 2;
+                fragment.column = gutters.filter(g => g < center).length;
+                columns[fragment.column].push(fragment);
+            }
+        });
+        flush();
+        return ordered;
+    }
+
+    paragraphs(fragments, pageIndex) {
+        const spacings = [];
+        fragments.forEach((fragment, i) => {
+            const previous = fragments[i - 1];
+            const dy = previous ? fragment.y - previous.y : 0;
+            if (previous && previous.column === fragment.column && dy > previous.size * 0.8 && dy < previous.size * 2.5) {
+                spacings.push(dy / previous.size);
+            }
+        });
+        // Typical line spacing as a multiple of the font size
+        const lineSpacing = spacings.length > 0 ? spacings.sort((a, b) => a - b)[Math.floor(spacings.length / 2)] : 1.2;
+
+        const blocks = [];
+        let block = null;
+        fragments.forEach((fragment, i) => {
+            const previous = fragments[i - 1];
+            const startsListItem = PDF_LIST_MARKER.test(fragment.text);
+            const isBreak = !block
+                || fragment.column !== previous.column
+                || fragment.y - previous.y <= 0
+                || fragment.y - previous.y > previous.size * lineSpacing * 1.4
+                || Math.abs(fragment.size - previous.size) > 0.5
+                || startsListItem
+                || (fragment.x > block.left + fragment.size * 0.8 && !block.isListItem);
+
+            if (isBreak) {
+                block = {
+                    page: pageIndex,
+                    role: startsListItem ? 'LI' : 'P',
+                    isListItem: startsListItem,
+                    left: fragment.x,
+                    size: fragment.size,
+                    lines: []
+                };
+                blocks.push(block);
+            }
+            block.lines.push(fragment.text);
+            block.left = Math.min(block.left, fragment.x);
+        });
+
+        return blocks.map(b => ({ page: b.page, role: b.role, size: b.size, text: this.joinLines(b.lines) }));
+    }
+
+    taggedBlocks(page) {
+        const itemsById = new Map();
+        page.items.forEach(item => {
+            if (!item.mcid) return;
+            if (!itemsById.has(item.mcid)) itemsById.set(item.mcid, []);
+            itemsById.get(item.mcid).push(item);
+        });
+
+        const blocks = [];
+        // Nested lists are left out so they become list items of their own
+        const collectItems = (node, items = []) => {
+            if (node.type === 'content') items.push(...(itemsById.get(node.id) || []));
+            (node.children || []).filter(child => child.role !== 'L').forEach(child => collectItems(child, items));
+            return items;
+        };
+        const nestedLists = (node) => (node.children || []).flatMap(child => child.role === 'L' ? [child] : nestedLists(child));
+
+        const visit = (node, depth) => {
+            if (!node || node.type) return;
+            const role = node.role;
+
+            if (role === 'TR') {
+                const cells = (node.children || []).map(cell => this.itemsToText(collectItems(cell)));
+                if (cells.some(cell => cell)) blocks.push({ page: page.index, role: 'TR', text: cells.join(' | '), cells });
+            } else if (role === 'L') {
+                (node.children || []).forEach(child => visit(child, depth + 1));
+            } else if (role === 'LI') {
+                this.pushTaggedBlock(blocks, page, 'LI', collectItems(node), depth);
+                nestedLists(node).forEach(list => visit(list, depth));
+            } else if (PDF_BLOCK_ROLES.has(role)) {
+                this.pushTaggedBlock(blocks, page, role, collectItems(node), depth);
+            } else {
+                (node.children || []).forEach(child => visit(child, depth));
+            }
+        };
+        visit(page.structTree, -1);
+        return blocks;
+    }
+
+    pushTaggedBlock(blocks, page, role, items, depth) {
+        const text = this.itemsToText(items);
+        if (!text) return;
+
+        const level = PDF_HEADING_ROLES[role];
+        if (level) {
+            blocks.push({ page: page.index, role: 'H', level, text });
+        } else if (role === 'LI') {
+            blocks.push({ page: page.index, role: 'LI', depth: Math.max(depth, 0), text });
+        } else {
+            blocks.push({ page: page.index, role: 'P', text });
+        }
+    }
+
+    // Joins items in content order, starting a new line whenever the baseline moves
+    itemsToText(items) {
+        const lines = [];
+        let line = null;
+        items.forEach(item => {
+            if (line && Math.abs(item.y - line.y) <= Math.min(item.size, line.size) * 0.5 && item.x >= line.right - item.size) {
+                this.appendItem(line, item);
+            } else {
+                line = { text: item.text, y: item.y, right: item.right, size: item.size };
+                lines.push(line);
+            }
+        });
+        return this.joinLines(lines.map(l => l.text));
+    }
+
+    // Rejoins words hyphenated across a line break ("infor-" + "mation") and soft hyphens
+    joinLines(lines) {
+        return lines.map(line => line.replace(/\s+/g, ' ').trim()).filter(line => line).reduce((text, line) => {
+            if (!text) return line;
+            if (/\u00AD$/.test(text)) return text.slice(0, -1) + line;
+            if (/\p{L}-$/u.test(text) && /^\p{Ll}/u.test(line)) return text.slice(0, -1) + line;
+            return `${text} ${line}`;
+        }, '');
+    }
+
+    async readOutline(pdf) {
+        const outline = await pdf.getOutline().catch(() => null);
+        const entries = [];
+        const visit = async (items, level) => {
+            for (const item of items) {
+                entries.push({ title: item.title, level: Math.min(level, 6), page: await this.destinationPage(pdf, item.dest) });
+                if (item.items && item.items.length > 0) await visit(item.items, level + 1);
+            }
+        };
+        if (outline) await visit(outline, 1);
+        return entries;
+    }
+
+    async destinationPage(pdf, dest) {
+        try {
+            const explicit = typeof dest === 'string' ? await pdf.getDestination(dest) : dest;
+            if (!Array.isArray(explicit)) return null;
+            return typeof explicit[0] === 'number' ? explicit[0] : await pdf.getPageIndex(explicit[0]);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Marks the paragraph each outline entry points at as a heading; returns whether any matched
+    applyOutline(blocks, outline) {
+        const normalize = (text) => text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+        let matched = 0;
+
+        outline.forEach(entry => {
+            const title = normalize(entry.title);
+            if (!title) return;
+
+            const index = blocks.findIndex(block => block.role === 'P'
+                && (entry.page === null || block.page === entry.page)
+                && normalize(block.text).startsWith(title));
+            if (index === -1) return;
+
+            const block = blocks[index];
+            // The heading ran into the paragraph after it: split off the rest
+            const rest = block.text.slice(this.prefixLength(block.text, entry.title)).trim();
+            blocks.splice(index, 1, { page: block.page, role: 'H', level: entry.level, text: entry.title.trim() });
+            if (rest) blocks.splice(index + 1, 0, { ...block, text: rest });
+            matched++;
+        });
+        return matched > 0;
+    }
+
+    // Length of the start of `text` that matches `title`, ignoring punctuation and spacing
+    prefixLength(text, title) {
+        const wanted = title.replace(/[^\p{L}\p{N}]/gu, '').toLowerCase();
+        let seen = 0;
+        for (let i = 0; i < text.length; i++) {
+            if (/[\p{L}\p{N}]/u.test(text[i])) seen++;
+            if (seen === wanted.length) return i + 1;
+        }
+        return text.length;
+    }
+
+    // Short paragraphs set noticeably larger than the body text become headings, the largest size first
+    detectHeadingsByFontSize(blocks) {
+        const sizeChars = new Map();
+        blocks.forEach(block => {
+            if (!block.size) return;
+            const size = Math.round(block.size * 2) / 2;
+            sizeChars.set(size, (sizeChars.get(size) || 0) + block.text.length);
+        });
+        if (sizeChars.size === 0) return;
+
+        const bodySize = [...sizeChars.entries()].sort((a, b) => b[1] - a[1])[0][0];
+        const isCandidate = (block) => block.role === 'P'
+            && block.size >= bodySize * 1.15
+            && block.text.length <= 200
+            && !/[.,;:]$/.test(block.text);
+
+        const headingSizes = [...new Set(blocks.filter(isCandidate).map(block => Math.round(block.size * 2) / 2))]
+            .sort((a, b) => b - a);
+        blocks.forEach(block => {
+            if (!isCandidate(block)) return;
+            block.role = 'H';
+            block.level = Math.min(headingSizes.indexOf(Math.round(block.size * 2) / 2) + 1, 6);
+        });
+    }
+
+    // Paragraphs split by a column or page break continue when the first part has no closing
+    // punctuation and the second starts in lower case
+    mergeContinuations(blocks) {
+        const merged = [];
+        blocks.forEach(block => {
+            const previous = merged[merged.length - 1];
+            if (previous && previous.role === 'P' && block.role === 'P'
+                && !/[.!?:;"”)\]]$/.test(previous.text) && /^\p{Ll}/u.test(block.text)) {
+                previous.text = this.joinLines([previous.text, block.text]);
+            } else {
+                merged.push({ ...block });
+            }
+        });
+        return merged;
+    }
+
+    // Block text is plain text and escaped here, after headings and list markers have been
+    // recognized in it; OCR blocks are `markdown` already
+    toMarkdown(blocks) {
+        const escape = (block, text) => (block.markdown ? text : MarkdownRenderer.escapeText(text));
+        const output = [];
+        blocks.forEach((block, i) => {
+            const previous = blocks[i - 1];
+            const continuesGroup = previous && previous.role === block.role && (block.role === 'LI' || block.role === 'TR');
+
+            let text = escape(block, block.text);
+            if (block.role === 'H') {
+                text = `${'#'.repeat(block.level)} ${text}`;
+            } else if (block.role === 'LI') {
+                const marker = block.text.match(PDF_LIST_MARKER);
+                const content = escape(block, marker ? block.text.slice(marker[0].length) : block.text);
+                text = `${MARKDOWN_LIST_INDENT.repeat(block.depth || 0)}${marker && marker[1] ? `${marker[1]}.` : '-'} ${content}`;
+            }
+
+            if (block.role === 'TR') {
+                // Rows collect into a table, written out once the group is complete
+                const cells = block.cells.map(cell => escape(block, cell));
+                if (continuesGroup) {
+                    output[output.length - 1].push(cells);
+                } else {
+                    output.push([cells]);
+                }
+            } else if (continuesGroup) {
+                output[output.length - 1] += `\n${text}`;
+            } else {
+                output.push(text);
+            }
+        });
+        return output.map(item => (Array.isArray(item) ? MarkdownRenderer.tableToMarkdown(item) : item)).join('\n\n');
+    }
+
+    async readLanguage(pdf) {
+        try {
+            const { info } = await pdf.getMetadata();
+            const language = info && info.Language;
+            return language && /^[a-z]{2,3}(-[a-z0-9]{1,8})*$/i.test(language) ? language : null;
+        } catch (error) {
+            return null;
+        }
+    }
+}
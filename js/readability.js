@@ -0,0 +1,358 @@
+// Readability metrics and barrier detection. Works on plain data (sentence texts and
+// block ranges from SentenceSegmenter.wrapElement) so it has no DOM dependency.
+const LONG_SENTENCE_WORDS = 20;
+const DENSE_PARAGRAPH_CHARS = 500;
+const SECTION_WITHOUT_HEADING_BLOCKS = 8;
+
+const IRREGULAR_PARTICIPLES = [
+    'awoken', 'beaten', 'begun', 'bitten', 'blown', 'born', 'borne', 'bought', 'broken', 'brought', 'built',
+    'caught', 'chosen', 'cut', 'done', 'drawn', 'driven', 'eaten', 'fallen', 'fed', 'felt', 'flown',
+    'forbidden', 'forgiven', 'forgotten', 'fought', 'found', 'frozen', 'given', 'gotten', 'grown', 'held',
+    'hidden', 'hit', 'hurt', 'kept', 'known', 'laid', 'led', 'left', 'lost', 'made', 'meant', 'met',
+    'mistaken', 'overtaken', 'paid', 'put', 'read', 'ridden', 'risen', 'run', 'said', 'seen', 'sent', 'set',
+    'shaken', 'shown', 'shut', 'sold', 'sought', 'spent', 'spoken', 'stolen', 'struck', 'sung', 'taken',
+    'taught', 'thought', 'thrown', 'told', 'torn', 'understood', 'undertaken', 'won', 'worn', 'written'
+];
+
+const PASSIVE_PATTERN = new RegExp(
+    `\\b(am|is|are|was|were|be|been|being|get|gets|got|gotten)\\s+(\\w+ly\\s+)?(\\w+ed|${IRREGULAR_PARTICIPLES.join('|')})\\b`,
+    'i'
+);
+
+// Each component of the score and the points it is worth
+const SCORE_WEIGHTS = {
+    readingEase: 35,
+    sentenceLength: 20,
+    structure: 15,
+    passiveVoice: 10,
+    vocabulary: 10,
+    density: 10
+};
+
+class ReadabilityAnalyzer {
+    // `uncertainWords` lists words OCR was unsure of as { text, confidence, sentence }
+    analyze(sentences, blocks = [], uncertainWords = []) {
+        const sentenceStats = sentences.map(sentence => this.sentenceStats(sentence));
+        const paragraphs = this.paragraphStats(sentences, blocks);
+        const metrics = this.documentMetrics(sentenceStats, paragraphs);
+
+        if (metrics.words === 0) {
+            return { metrics, issues: [], score: null, riskLevel: 'Unknown', scoreBreakdown: [] };
+        }
+
+        const issues = [
+            this.sentenceComplexityIssue(sentenceStats, metrics),
+            this.readingLevelIssue(sentenceStats, metrics),
+            this.passiveVoiceIssue(sentenceStats, metrics),
+            this.vocabularyIssue(sentenceStats, metrics),
+            this.structureIssue(paragraphs, metrics),
+            this.densityIssue(paragraphs),
+            this.ocrConfidenceIssue(uncertainWords, metrics)
+        ].filter(issue => issue !== null);
+
+        const scoreBreakdown = this.scoreBreakdown(sentenceStats, paragraphs, metrics);
+        const score = Math.round(scoreBreakdown.reduce((sum, part) => sum + part.points, 0));
+
+        let riskLevel = 'Low Risk';
+        if (score < 70) riskLevel = 'High Risk';
+        else if (score < 85) riskLevel = 'Medium Risk';
+
+        return { metrics, issues, score, riskLevel, scoreBreakdown };
+    }
+
+    sentenceStats(sentence) {
+        const words = this.words(sentence);
+        const syllables = words.map(word => this.countSyllables(word));
+        const complexWords = words.filter((word, i) => syllables[i] >= 3 && !this.isProperNoun(word, i));
+        const jargonWords = words.filter(word => this.isJargon(word));
+        const syllableTotal = syllables.reduce((sum, count) => sum + count, 0);
+
+        return {
+            words: words.length,
+            syllables: syllableTotal,
+            complexWords: complexWords.length,
+            jargonWords,
+            passive: PASSIVE_PATTERN.test(sentence),
+            characters: sentence.length,
+            grade: words.length > 0 ? this.fleschKincaidGrade(words.length, 1, syllableTotal) : 0
+        };
+    }
+
+    paragraphStats(sentences, blocks) {
+        if (blocks.length === 0) {
+            // Without block information treat the whole text as one paragraph
+            return sentences.length > 0
+                ? [{ tag: 'p', start: 0, end: sentences.length, characters: sentences.join(' ').length, heading: false }]
+                : [];
+        }
+
+        return blocks.map(block => {
+            const text = sentences.slice(block.start, block.end).join(' ');
+            return {
+                ...block,
+                characters: text.length,
+                heading: /^h[1-6]$/.test(block.tag) || /^(Chapter|Section|Part)\b/.test(text)
+            };
+        });
+    }
+
+    documentMetrics(sentenceStats, paragraphs) {
+        const total = (key) => sentenceStats.reduce((sum, stats) => sum + stats[key], 0);
+        const words = total('words');
+        const sentences = sentenceStats.filter(stats => stats.words > 0).length;
+        const syllables = total('syllables');
+        const complexWords = total('complexWords');
+        const jargonWords = sentenceStats.reduce((sum, stats) => sum + stats.jargonWords.length, 0);
+        const passiveSentences = sentenceStats.filter(stats => stats.passive).length;
+
+        if (words === 0) {
+            return { words: 0, sentences: 0, paragraphs: paragraphs.length };
+        }
+
+        const wordsPerSentence = words / sentences;
+        return {
+            words,
+            sentences,
+            paragraphs: paragraphs.filter(p => !p.heading).length,
+            headings: paragraphs.filter(p => p.heading).length,
+            averageSentenceLength: wordsPerSentence,
+            syllablesPerWord: syllables / words,
+            fleschReadingEase: 206.835 - 1.015 * wordsPerSentence - 84.6 * (syllables / words),
+            fleschKincaidGrade: this.fleschKincaidGrade(words, sentences, syllables),
+            gunningFog: 0.4 * (wordsPerSentence + 100 * (complexWords / words)),
+            passiveRatio: passiveSentences / sentences,
+            longWordRatio: complexWords / words,
+            jargonRatio: jargonWords / words
+        };
+    }
+
+    fleschKincaidGrade(words, sentences, syllables) {
+        return 0.39 * (words / sentences) + 11.8 * (syllables / words) - 15.59;
+    }
+
+    sentenceComplexityIssue(sentenceStats, metrics) {
+        const long = this.indexesWhere(sentenceStats, stats => stats.words > LONG_SENTENCE_WORDS);
+        if (long.length === 0) return null;
+
+        const share = long.length / metrics.sentences;
+        let severity = 'low';
+        if (metrics.averageSentenceLength > LONG_SENTENCE_WORDS || share > 0.3) severity = 'high';
+        else if (share > 0.1) severity = 'medium';
+
+        return {
+            type: 'Sentence Complexity',
+            severity,
+            description: `${long.length} sentence${long.length === 1 ? '' : 's'} over ${LONG_SENTENCE_WORDS} words; average length ${Math.round(metrics.averageSentenceLength)} words (recommended: <${LONG_SENTENCE_WORDS})`,
+            impact: 'Difficult for screen readers and cognitive processing',
+            sentences: long,
+            paragraphs: [],
+            details: long.map(i => `${sentenceStats[i].words} words`)
+        };
+    }
+
+    readingLevelIssue(sentenceStats, metrics) {
+        if (metrics.fleschReadingEase >= 50) return null;
+
+        const hard = this.indexesWhere(sentenceStats, stats => stats.words >= 8 && stats.grade > 12);
+        return {
+            type: 'Reading Level',
+            severity: metrics.fleschReadingEase < 30 ? 'high' : 'medium',
+            description: `Flesch Reading Ease ${metrics.fleschReadingEase.toFixed(1)}, grade level ${metrics.fleschKincaidGrade.toFixed(1)} (recommended: ease 60+, grade 9 or below)`,
+            impact: 'Hard to follow by ear and for readers with cognitive or learning disabilities',
+            sentences: hard,
+            paragraphs: [],
+            details: hard.map(i => `grade ${sentenceStats[i].grade.toFixed(1)}`)
+        };
+    }
+
+    passiveVoiceIssue(sentenceStats, metrics) {
+        if (metrics.passiveRatio <= 0.1) return null;
+
+        const passive = this.indexesWhere(sentenceStats, stats => stats.passive);
+        return {
+            type: 'Passive Voice',
+            severity: metrics.passiveRatio > 0.2 ? 'medium' : 'low',
+            description: `${Math.round(metrics.passiveRatio * 100)}% of sentences use the passive voice (recommended: <10%)`,
+            impact: 'Hides who does what, which is harder to understand when listening',
+            sentences: passive,
+            paragraphs: [],
+            details: passive.map(() => 'passive')
+        };
+    }
+
+    vocabularyIssue(sentenceStats, metrics) {
+        const jargonHeavy = metrics.jargonRatio > 0.015;
+        const longHeavy = metrics.longWordRatio > 0.15;
+        if (!jargonHeavy && !longHeavy) return null;
+
+        const offending = this.indexesWhere(sentenceStats, stats => stats.jargonWords.length > 0 || stats.complexWords >= 3);
+        return {
+            type: 'Jargon and Long Words',
+            severity: metrics.jargonRatio > 0.03 || metrics.longWordRatio > 0.2 ? 'medium' : 'low',
+            description: `${Math.round(metrics.longWordRatio * 100)}% words of three or more syllables, ${(metrics.jargonRatio * 100).toFixed(1)}% acronyms or very long words (recommended: <15% and <1.5%)`,
+            impact: 'Unfamiliar words are mispronounced by speech engines and slow down all readers',
+            sentences: offending,
+            paragraphs: [],
+            details: offending.map(i => {
+                const jargon = sentenceStats[i].jargonWords;
+                return jargon.length > 0 ? jargon.slice(0, 3).join(', ') : `${sentenceStats[i].complexWords} long words`;
+            })
+        };
+    }
+
+    structureIssue(paragraphs, metrics) {
+        // Stretches of consecutive non-heading blocks that have no heading to navigate by
+        const stretches = [];
+        let stretch = [];
+        paragraphs.forEach(paragraph => {
+            if (paragraph.heading) {
+                if (stretch.length > 0) stretches.push(stretch);
+                stretch = [];
+            } else {
+                stretch.push(paragraph);
+            }
+        });
+        if (stretch.length > 0) stretches.push(stretch);
+
+        const hasHeadings = metrics.headings > 0;
+        const offending = stretches.filter(run => hasHeadings ? run.length > SECTION_WITHOUT_HEADING_BLOCKS * 2 : run.length > 1);
+        if ((!hasHeadings && metrics.sentences <= 10) || offending.length === 0) return null;
+
+        return {
+            type: 'Document Structure',
+            severity: hasHeadings ? 'low' : 'medium',
+            description: hasHeadings
+                ? `${offending.length} long section${offending.length === 1 ? '' : 's'} without headings`
+                : 'No clear headings or structure detected',
+            impact: 'Difficult navigation for assistive technologies',
+            sentences: [],
+            paragraphs: offending.map(run => ({ start: run[0].start, end: run[run.length - 1].end })),
+            details: offending.map(run => `${run.length} paragraphs`)
+        };
+    }
+
+    densityIssue(paragraphs) {
+        const body = paragraphs.filter(p => !p.heading);
+        const dense = body.filter(p => p.characters > DENSE_PARAGRAPH_CHARS);
+        if (dense.length === 0) return null;
+
+        const average = body.reduce((sum, p) => sum + p.characters, 0) / body.length;
+        return {
+            type: 'Text Density',
+            severity: average > DENSE_PARAGRAPH_CHARS ? 'medium' : 'low',
+            description: `${dense.length} large text block${dense.length === 1 ? '' : 's'} over ${DENSE_PARAGRAPH_CHARS} characters`,
+            impact: 'Overwhelming for users with reading difficulties',
+            sentences: [],
+            paragraphs: dense.map(p => ({ start: p.start, end: p.end })),
+            details: dense.map(p => `${p.characters} characters`)
+        };
+    }
+
+    ocrConfidenceIssue(uncertainWords, metrics) {
+        if (uncertainWords.length === 0) return null;
+
+        const bySentence = new Map();
+        uncertainWords.forEach(word => {
+            if (!bySentence.has(word.sentence)) bySentence.set(word.sentence, []);
+            bySentence.get(word.sentence).push(word);
+        });
+        const sentences = [...bySentence.keys()].sort((a, b) => a - b);
+
+        const share = uncertainWords.length / metrics.words;
+        let severity = 'low';
+        if (share > 0.05) severity = 'high';
+        else if (share > 0.01) severity = 'medium';
+
+        return {
+            type: 'OCR Confidence',
+            severity,
+            description: `${uncertainWords.length} word${uncertainWords.length === 1 ? ' was' : 's were'} recognized from a scan with low confidence (${(share * 100).toFixed(1)}% of words)`,
+            impact: 'Misrecognized words are read aloud wrongly and can change the meaning',
+            sentences,
+            paragraphs: [],
+            details: sentences.map(i => bySentence.get(i)
+                .map(word => `${word.text} ${Math.round(word.confidence)}%`)
+                .join(', '))
+        };
+    }
+
+    scoreBreakdown(sentenceStats, paragraphs, metrics) {
+        const clamp = (value) => Math.min(1, Math.max(0, value));
+        const longShare = sentenceStats.filter(stats => stats.words > LONG_SENTENCE_WORDS).length / metrics.sentences;
+        const body = paragraphs.filter(p => !p.heading);
+        const denseShare = body.length > 0 ? body.filter(p => p.characters > DENSE_PARAGRAPH_CHARS).length / body.length : 0;
+        const structured = metrics.headings > 0 || metrics.sentences <= 10;
+
+        const parts = [
+            {
+                label: 'Reading ease',
+                factor: clamp(metrics.fleschReadingEase / 60),
+                detail: `Flesch Reading Ease ${metrics.fleschReadingEase.toFixed(1)}; full points at 60 or above`
+            },
+            {
+                label: 'Sentence length',
+                factor: clamp(1 - longShare * 2),
+                detail: `${Math.round(longShare * 100)}% of sentences over ${LONG_SENTENCE_WORDS} words; no points at 50%`
+            },
+            {
+                label: 'Structure',
+                factor: structured ? 1 : 0,
+                detail: structured ? `${metrics.headings} heading${metrics.headings === 1 ? '' : 's'} found` : 'No headings in a document over 10 sentences'
+            },
+            {
+                label: 'Passive voice',
+                factor: clamp(1 - metrics.passiveRatio / 0.3),
+                detail: `${Math.round(metrics.passiveRatio * 100)}% passive sentences; no points at 30%`
+            },
+            {
+                label: 'Vocabulary',
+                factor: clamp(1 - Math.max(metrics.jargonRatio / 0.06, (metrics.longWordRatio - 0.1) / 0.2)),
+                detail: `${Math.round(metrics.longWordRatio * 100)}% long words, ${(metrics.jargonRatio * 100).toFixed(1)}% jargon`
+            },
+            {
+                label: 'Text density',
+                factor: clamp(1 - denseShare),
+                detail: `${Math.round(denseShare * 100)}% of paragraphs over ${DENSE_PARAGRAPH_CHARS} characters`
+            }
+        ];
+        const weights = Object.values(SCORE_WEIGHTS);
+
+        return parts.map((part, i) => ({
+            label: part.label,
+            points: part.factor * weights[i],
+            max: weights[i],
+            detail: part.detail
+        }));
+    }
+
+    words(text) {
+        return text.match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || [];
+    }
+
+    countSyllables(word) {
+        let letters = word.toLowerCase().replace(/[^a-z]/g, '');
+        if (!letters) return word.length > 0 ? 1 : 0;
+        if (letters.length <= 3) return 1;
+
+        // Silent endings ("-es", "-ed", trailing "e") and a leading consonant "y" add no syllable
+        letters = letters.replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+        const groups = letters.match(/[aeiouy]{1,2}/g);
+        return Math.max(1, groups ? groups.length : 0);
+    }
+
+    isProperNoun(word, position) {
+        return position > 0 && /^\p{Lu}\p{Ll}/u.test(word);
+    }
+
+    isJargon(word) {
+        // Acronyms ("HIPAA", "API") and very long words are a proxy for specialist vocabulary
+        return /^\p{Lu}{2,6}s?$/u.test(word) || word.replace(/[^\p{L}]/gu, '').length >= 14;
+    }
+
+    indexesWhere(list, predicate) {
+        return list.reduce((indexes, item, i) => {
+            if (predicate(item)) indexes.push(i);
+            return indexes;
+        }, []);
+    }
+}
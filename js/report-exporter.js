@@ -0,0 +1,188 @@
+// Serializes an accessibility audit as JSON, CSV or a standalone HTML page.
+// The JSON layout is described by docs/accessibility-report.schema.json.
+const REPORT_SCHEMA_VERSION = '1.0';
+
+const REPORT_FORMATS = {
+    json: { extension: 'json', mimeType: 'application/json' },
+    csv: { extension: 'csv', mimeType: 'text/csv' },
+    html: { extension: 'html', mimeType: 'text/html' }
+};
+
+class AccessibilityReportExporter {
+    // `documentInfo` is { fileName, format, pageCount }; `issues` carry a `locations` list
+    // of { label, excerpt, detail, indexes } as shown in the analysis panel
+    build({ report, issues, sentences, documentInfo }) {
+        const round = (value) => Math.round(value * 100) / 100;
+        const metrics = report.metrics;
+
+        return {
+            schemaVersion: REPORT_SCHEMA_VERSION,
+            generator: 'Smart Document Reader',
+            generatedAt: new Date().toISOString(),
+            document: {
+                fileName: documentInfo.fileName,
+                format: documentInfo.format,
+                pageCount: documentInfo.pageCount,
+                sentenceCount: sentences.length,
+                wordCount: metrics.words
+            },
+            score: report.score,
+            riskLevel: report.riskLevel,
+            metrics: report.score === null ? null : {
+                fleschReadingEase: round(metrics.fleschReadingEase),
+                fleschKincaidGrade: round(metrics.fleschKincaidGrade),
+                gunningFog: round(metrics.gunningFog),
+                averageSentenceLength: round(metrics.averageSentenceLength),
+                passiveRatio: round(metrics.passiveRatio),
+                longWordRatio: round(metrics.longWordRatio),
+                jargonRatio: round(metrics.jargonRatio),
+                headings: metrics.headings,
+                paragraphs: metrics.paragraphs
+            },
+            scoreBreakdown: report.scoreBreakdown.map(part => ({
+                component: part.label,
+                points: round(part.points),
+                maxPoints: part.max,
+                basis: part.detail
+            })),
+            issues: issues.map(issue => ({
+                type: issue.type,
+                severity: issue.severity,
+                description: issue.description,
+                impact: issue.impact,
+                locations: issue.locations.map(location => ({
+                    firstSentence: location.indexes[0] + 1,
+                    lastSentence: location.indexes[location.indexes.length - 1] + 1,
+                    detail: location.detail,
+                    excerpt: location.excerpt
+                }))
+            }))
+        };
+    }
+
+    serialize(data, format) {
+        switch (format) {
+            case 'json':
+                return JSON.stringify(data, null, 2);
+            case 'csv':
+                return this.toCSV(data);
+            case 'html':
+                return this.toHTML(data);
+            default:
+                throw new Error(`Unknown report format: ${format}`);
+        }
+    }
+
+    download(data, format) {
+        const { extension, mimeType } = REPORT_FORMATS[format];
+        const fileName = FileExport.fileName(data.document.fileName, 'accessibility-report', extension);
+        return FileExport.download(this.serialize(data, format), fileName, mimeType);
+    }
+
+    toCSV(data) {
+        const header = [
+            'file_name', 'generated_at', 'score', 'risk_level', 'issue_type', 'severity',
+            'description', 'impact', 'location_count', 'sentences'
+        ];
+        const base = [data.document.fileName, data.generatedAt, data.score, data.riskLevel];
+        const rows = data.issues.map(issue => [
+            ...base,
+            issue.type,
+            issue.severity,
+            issue.description,
+            issue.impact,
+            issue.locations.length,
+            issue.locations.map(location => location.firstSentence === location.lastSentence
+                ? `${location.firstSentence}`
+                : `${location.firstSentence}-${location.lastSentence}`).join(';')
+        ]);
+
+        // Keep a row for clean documents so every audited file appears in the export
+        if (rows.length === 0) {
+            rows.push([...base, '', '', 'No major accessibility barriers detected', '', 0, '']);
+        }
+
+        return [header, ...rows].map(row => row.map(value => this.csvCell(value)).join(',')).join('\r\n') + '\r\n';
+    }
+
+    csvCell(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        // Stop spreadsheet apps from evaluating cells that start like a formula
+        if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    toHTML(data) {
+        const e = (value) => FileExport.escapeMarkup(value);
+        const documentRows = [
+            ['File name', data.document.fileName],
+            ['Format', data.document.format],
+            ['Pages', data.document.pageCount === null ? 'Not applicable' : data.document.pageCount],
+            ['Sentences', data.document.sentenceCount],
+            ['Words', data.document.wordCount],
+            ['Audited', new Date(data.generatedAt).toLocaleString()]
+        ];
+        const metricRows = data.metrics ? [
+            ['Flesch Reading Ease', data.metrics.fleschReadingEase],
+            ['Flesch-Kincaid Grade', data.metrics.fleschKincaidGrade],
+            ['Gunning Fog Index', data.metrics.gunningFog],
+            ['Average sentence length (words)', data.metrics.averageSentenceLength],
+            ['Passive sentences', `${Math.round(data.metrics.passiveRatio * 100)}%`],
+            ['Long words', `${Math.round(data.metrics.longWordRatio * 100)}%`],
+            ['Jargon', `${(data.metrics.jargonRatio * 100).toFixed(1)}%`]
+        ] : [];
+        const table = (caption, rows) => `
+    <table>
+        <caption>${e(caption)}</caption>
+        <tbody>
+${rows.map(([label, value]) => `            <tr><th scope="row">${e(label)}</th><td>${e(value)}</td></tr>`).join('\n')}
+        </tbody>
+    </table>`;
+
+        const issues = data.issues.length === 0
+            ? '<p>No major accessibility barriers detected.</p>'
+            : data.issues.map(issue => `
+    <section class="issue ${e(issue.severity)}">
+        <h3>${e(issue.type)} <span class="severity">(${e(issue.severity)} severity)</span></h3>
+        <p>${e(issue.description)}</p>
+        <p><strong>Impact:</strong> ${e(issue.impact)}</p>
+        ${issue.locations.length === 0 ? '' : `<ol>
+${issue.locations.map(location => `            <li><strong>Sentence ${location.firstSentence}${location.lastSentence !== location.firstSentence ? `–${location.lastSentence}` : ''}</strong> (${e(location.detail)}): ${e(location.excerpt)}</li>`).join('\n')}
+        </ol>`}
+    </section>`).join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Accessibility report: ${e(data.document.fileName)}</title>
+    <style>
+        body { font-family: 'Segoe UI', Tahoma, sans-serif; line-height: 1.6; color: #1a202c; background: #fff; max-width: 900px; margin: 0 auto; padding: 2rem; }
+        table { border-collapse: collapse; margin: 1rem 0; width: 100%; }
+        caption { text-align: left; font-weight: 700; padding: 0.5rem 0; }
+        th, td { text-align: left; padding: 0.4rem 0.6rem; border-bottom: 1px solid #a0aec0; }
+        .score { font-size: 1.5rem; font-weight: 700; }
+        .issue { border-left: 6px solid #b7791f; padding: 0.5rem 1rem; margin: 1rem 0; }
+        .issue.high { border-left-color: #c53030; }
+        .issue.low { border-left-color: #2f855a; }
+        .severity { font-weight: normal; font-size: 1rem; }
+    </style>
+</head>
+<body>
+<main>
+    <h1>Accessibility report: ${e(data.document.fileName)}</h1>
+    <p class="score">Score: ${data.score === null ? 'Not scored' : `${e(data.score)}/100`} (${e(data.riskLevel)})</p>
+    <h2>Document</h2>
+${table('Document details', documentRows)}
+    <h2>Metrics</h2>
+${metricRows.length > 0 ? table('Readability metrics', metricRows) : '    <p>No readable text was found.</p>'}
+${data.scoreBreakdown.length > 0 ? table('Score breakdown', data.scoreBreakdown.map(part => [part.component, `${part.points} / ${part.maxPoints} (${part.basis})`])) : ''}
+    <h2>Barriers</h2>
+${issues}
+</main>
+</body>
+</html>
+`;
+    }
+}
@@ -0,0 +1,88 @@
+// Allow-list HTML sanitizer used for every string of markup the app renders. Markup is
+// parsed in an inert document (no scripts run, no images load), then rebuilt keeping only
+// the tags and attributes below, so nothing from a document or an IndexedDB record can
+// add script, styles or event handlers to the page.
+
+// Allowed tags, each with the attributes it may carry on top of SANITIZER_GLOBAL_ATTRIBUTES
+const SANITIZER_ALLOWED_TAGS = {
+    p: [], br: [], div: [], span: [], strong: [], em: [], del: [], ins: [], mark: [], small: [], code: [], pre: [], blockquote: [], hr: [],
+    h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+    ul: [], ol: ['start'], li: [],
+    dl: [], dt: [], dd: [],
+    table: [], caption: [], thead: [], tbody: [], tr: [], th: ['scope', 'colspan', 'rowspan'], td: ['colspan', 'rowspan'],
+    details: [], summary: [],
+    a: ['href'],
+    button: ['type', 'disabled'],
+    form: [], label: [], input: ['type', 'name', 'value', 'required']
+};
+
+const SANITIZER_GLOBAL_ATTRIBUTES = ['class', 'lang', 'title', 'role'];
+
+// Removed together with their content; any other unknown element is replaced by its text
+const SANITIZER_DROPPED_TAGS = ['script', 'style', 'template', 'noscript', 'iframe', 'frame', 'frameset',
+    'object', 'embed', 'applet', 'svg', 'math', 'link', 'meta', 'base', 'head', 'title', 'textarea', 'select'];
+
+const SANITIZER_SAFE_URL = /^(https?:|mailto:|#)/i;
+
+class HTMLSanitizer {
+    // Returns a DocumentFragment holding the allowed part of `html`
+    sanitize(html) {
+        const source = new DOMParser().parseFromString(`<!DOCTYPE html><body>${html}`, 'text/html');
+        const fragment = document.createDocumentFragment();
+        this.copyChildren(source.body, fragment);
+        return fragment;
+    }
+
+    // Replaces an element's content; the safe counterpart of `element.innerHTML = html`
+    setHTML(element, html) {
+        element.replaceChildren(this.sanitize(html));
+    }
+
+    copyChildren(from, to) {
+        from.childNodes.forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                to.appendChild(document.createTextNode(node.nodeValue));
+            } else if (node.nodeType === Node.ELEMENT_NODE) {
+                this.copyElement(node, to);
+            }
+            // Comments, processing instructions and the like are dropped
+        });
+    }
+
+    copyElement(element, to) {
+        const tag = element.localName;
+        if (SANITIZER_DROPPED_TAGS.includes(tag)) return;
+
+        const allowed = element.namespaceURI === 'http://www.w3.org/1999/xhtml' && SANITIZER_ALLOWED_TAGS[tag];
+        if (!allowed) {
+            this.copyChildren(element, to);
+            return;
+        }
+
+        const copy = document.createElement(tag);
+        Array.from(element.attributes).forEach(attribute => {
+            if (this.isAllowedAttribute(tag, attribute.name, attribute.value)) {
+                copy.setAttribute(attribute.name, attribute.value);
+            }
+        });
+        // Links out of a document open in a new tab, so the reading position is kept
+        if (tag === 'a' && copy.hasAttribute('href') && !copy.getAttribute('href').startsWith('#')) {
+            copy.setAttribute('target', '_blank');
+            copy.setAttribute('rel', 'noopener noreferrer');
+        }
+
+        this.copyChildren(element, copy);
+        to.appendChild(copy);
+    }
+
+    isAllowedAttribute(tag, name, value) {
+        if (name.startsWith('on')) return false;
+        if (name === 'href') return SANITIZER_SAFE_URL.test(value.trim());
+        if (name === 'type' && tag === 'input') return ['text', 'search', 'checkbox'].includes(value);
+        if (name === 'type' && tag === 'button') return ['button', 'submit'].includes(value);
+
+        return SANITIZER_GLOBAL_ATTRIBUTES.includes(name)
+            || SANITIZER_ALLOWED_TAGS[tag].includes(name)
+            || /^(aria|data)-[a-z0-9-]+$/.test(name);
+    }
+}
@@ -0,0 +1,95 @@
+// Find in document: matches a query against the sentence list, steps between the matches
+// and maps them back onto the sentence spans so they can be highlighted where they are.
+// A match is { sentence, start, end }, with offsets into that sentence's text.
+
+// How many results the list shows; stepping still reaches every match
+const SEARCH_RESULT_LIMIT = 200;
+
+// Characters of context kept on each side of a match in the results list
+const SEARCH_EXCERPT_RADIUS = 60;
+
+class DocumentSearch {
+    // Every match of `query` in document order. Spaces in the query match any whitespace,
+    // and with `wholeWord` a match may not start or end inside a longer word.
+    find(sentences, query, { matchCase = false, wholeWord = false } = {}) {
+        const words = query.trim().split(/\s+/).filter(Boolean);
+        if (words.length === 0) return [];
+
+        const escaped = words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\s+');
+        const source = wholeWord ? `(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])` : escaped;
+        const pattern = new RegExp(source, matchCase ? 'gu' : 'giu');
+
+        const matches = [];
+        sentences.forEach((text, sentence) => {
+            for (const match of text.matchAll(pattern)) {
+                matches.push({ sentence, start: match.index, end: match.index + match[0].length });
+            }
+        });
+        return matches;
+    }
+
+    // The match to go to from match `current` (-1 for none) while reading `sentence`,
+    // as { index, wrapped }. Without a current match in that sentence, the next match starts
+    // at the sentence being read and the previous one before it. Wraps around at either end.
+    step(matches, current, sentence, direction) {
+        let index;
+        if (current !== -1 && matches[current] && matches[current].sentence === sentence) {
+            index = current + direction;
+        } else if (direction > 0) {
+            index = matches.findIndex(match => match.sentence >= sentence);
+        } else {
+            index = -1;
+            matches.forEach((match, i) => {
+                if (match.sentence < sentence) index = i;
+            });
+        }
+
+        const wrapped = index < 0 || index >= matches.length;
+        return { index: wrapped ? (direction > 0 ? 0 : matches.length - 1) : index, wrapped };
+    }
+
+    // The sentence around a match as { before, match, after }, cut at word boundaries
+    excerpt(text, match, radius = SEARCH_EXCERPT_RADIUS) {
+        let before = text.slice(0, match.start);
+        let after = text.slice(match.end);
+        if (before.length > radius) before = `…${before.slice(-radius).replace(/^\S*\s/, '')}`;
+        if (after.length > radius) after = `${after.slice(0, radius).replace(/\s\S*$/, '')}…`;
+        return { before, match: text.slice(match.start, match.end), after };
+    }
+
+    // A DOM Range for each of `matches`, which all lie in the sentence whose text is `text`
+    // and whose spans are `spans`, or null where one cannot be placed. The sentence text has
+    // its whitespace collapsed, and a <br> inside the sentence is a space there with no DOM
+    // text of its own, so the two are walked in step as WordHighlighter.wrapWords does.
+    ranges(spans, text, matches) {
+        const points = [];
+        let position = 0;
+        let previousWasSpace = true;
+
+        spans.forEach(span => {
+            const walker = span.ownerDocument.createTreeWalker(span, NodeFilter.SHOW_TEXT);
+            for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+                for (let offset = 0; offset < node.data.length; offset++) {
+                    const isSpace = /\s/.test(node.data[offset]);
+                    if (!previousWasSpace && text[position] === ' ') {
+                        if (isSpace) points[position] = { node, offset };
+                        position++;
+                    }
+                    if (!isSpace) points[position++] = { node, offset };
+                    previousWasSpace = isSpace;
+                }
+            }
+        });
+
+        return matches.map(match => {
+            const start = points[match.start];
+            const end = points[match.end - 1];
+            if (!start || !end) return null;
+
+            const range = start.node.ownerDocument.createRange();
+            range.setStart(start.node, start.offset);
+            range.setEnd(end.node, end.offset + 1);
+            return range;
+        });
+    }
+}
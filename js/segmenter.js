@@ -0,0 +1,268 @@
+// Single source of truth for sentence boundaries. The reader's sentence list and the
+// highlightable <span class="sentence"> elements are both produced by wrapElement,
+// so this.sentences[i] always matches the spans with data-index="i".
+
+// Never end a sentence after these (titles and Latin reference abbreviations)
+const ALWAYS_ABBREVIATIONS = new Set([
+    'mr', 'mrs', 'ms', 'mx', 'dr', 'prof', 'sr', 'jr', 'st', 'mt', 'gen', 'col', 'lt', 'capt', 'sgt',
+    'rev', 'hon', 'gov', 'sen', 'rep', 'pres', 'supt', 'fr', 'e.g', 'i.e', 'vs', 'cf', 'al', 'approx', 'ca', 'viz'
+]);
+
+// Only an abbreviation when a number follows, e.g. "No. 5", "Fig. 2", "Jan. 2024"
+const NUMBERED_ABBREVIATIONS = new Set([
+    'no', 'nos', 'p', 'pp', 'fig', 'figs', 'vol', 'vols', 'ch', 'sec', 'art', 'eq', 'ref', 'op',
+    'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec'
+]);
+
+// Words that usually open a sentence, so a capital letter or initialism just before them
+// ends one: "Plan A. Then B.", "the U.K. The weather"
+const SENTENCE_STARTERS = new Set([
+    'a', 'after', 'also', 'an', 'and', 'as', 'at', 'before', 'but', 'for', 'he', 'her', 'his', 'however',
+    'i', 'if', 'in', 'it', 'its', 'my', 'no', 'on', 'our', 'she', 'so', 'that', 'the', 'their', 'then',
+    'there', 'these', 'they', 'this', 'those', 'we', 'when', 'yes', 'you', 'your'
+]);
+
+const SENTENCE_TERMINATORS = '.!?…。！？';
+const CLOSING_PUNCTUATION = '"\'”’)]}»';
+
+// Elements whose text never continues a sentence from outside them
+const SEGMENT_BLOCK_TAGS = new Set([
+    'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'CAPTION', 'DD', 'DIV', 'DL', 'DT', 'FIGCAPTION',
+    'FIGURE', 'FOOTER', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'LI', 'MAIN', 'NAV', 'OL', 'P',
+    'PRE', 'SECTION', 'TABLE', 'TBODY', 'TD', 'TH', 'THEAD', 'TFOOT', 'TR', 'UL'
+]);
+
+const SEGMENT_SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT']);
+
+class SentenceSegmenter {
+    constructor(locale = 'en') {
+        this.locale = locale;
+        this.intlSegmenter = null;
+
+        if (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') {
+            try {
+                this.intlSegmenter = new Intl.Segmenter(locale, { granularity: 'sentence' });
+            } catch (error) {
+                this.intlSegmenter = null;
+            }
+        }
+    }
+
+    // Returns [{ start, end, text }] ranges into `text`, trimmed and never empty
+    segment(text) {
+        const boundaries = this.candidateBoundaries(text).filter(position => this.isBoundary(text, position));
+        const ranges = [];
+        let start = 0;
+
+        [...boundaries, text.length].forEach(end => {
+            const slice = text.slice(start, end);
+            const leading = slice.length - slice.trimStart().length;
+            const trimmed = slice.trim();
+            if (trimmed) {
+                const range = { start: start + leading, end: start + leading + trimmed.length };
+                // Pieces with no letters or digits (a stray dash or bullet) belong to the previous sentence
+                const previous = ranges[ranges.length - 1];
+                if (previous && !/[\p{L}\p{N}]/u.test(trimmed)) {
+                    previous.end = range.end;
+                } else {
+                    ranges.push(range);
+                }
+            }
+            start = end;
+        });
+
+        return ranges.map(range => ({ ...range, text: text.slice(range.start, range.end) }));
+    }
+
+    split(text) {
+        return this.segment(text).map(range => range.text.replace(/\s+/g, ' '));
+    }
+
+    candidateBoundaries(text) {
+        // Intl.Segmenter knows locale rules; the pattern catches terminators ICU skips, such as "…"
+        const boundaries = new Set();
+        if (this.intlSegmenter) {
+            for (const segment of this.intlSegmenter.segment(text)) {
+                if (segment.index > 0) boundaries.add(segment.index);
+            }
+        }
+
+        const pattern = /[.!?…。！？]+["'”’)\]}»]*(\s+|$)/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const end = match.index + match[0].length;
+            if (end < text.length) boundaries.add(end);
+        }
+        return Array.from(boundaries).sort((a, b) => a - b);
+    }
+
+    // Applies the same rules to both the Intl.Segmenter and regex candidates
+    isBoundary(text, position) {
+        let before = text.slice(0, position).trimEnd();
+        const after = text.slice(position).trimStart();
+        if (!after) return false;
+
+        // Sentences may end inside quotes or brackets: "Stop!" or (see below.)
+        while (before && CLOSING_PUNCTUATION.includes(before[before.length - 1])) {
+            before = before.slice(0, -1);
+        }
+
+        const last = before[before.length - 1];
+        if (!last || !SENTENCE_TERMINATORS.includes(last)) return false;
+
+        // A lowercase continuation means the punctuation was not a sentence end ("e.g. this", "Wait... what")
+        const next = after.replace(/^["'“‘(\[{«]+/, '')[0] || '';
+        if (next && next !== next.toUpperCase() && next === next.toLowerCase() && /\p{L}/u.test(next)) {
+            return false;
+        }
+
+        if (last !== '.' || before.endsWith('..')) return true;
+
+        const token = (before.slice(0, -1).match(/(\S+)$/) || ['', ''])[1]
+            .replace(/^["'“‘(\[{«]+/, '')
+            .toLowerCase();
+
+        if (ALWAYS_ABBREVIATIONS.has(token)) return false;
+        if (NUMBERED_ABBREVIATIONS.has(token) && /^\d/.test(next)) return false;
+        // Initials and initialisms: "J. K. Rowling", "U.S. Army"
+        if (/^(\p{L}\.)*\p{L}$/u.test(token) && token.replace(/\./g, '').length <= 3 && token.length <= 5) {
+            return this.isInitialsEnd(before.slice(0, -1 - token.length), token, after);
+        }
+        // A list number at the start of a line: "1. Gather materials"
+        if (/^\d{1,3}$/.test(token) && /(^|\n)\s*\d{1,3}\.$/.test(before)) return false;
+
+        return true;
+    }
+
+    // Whether the initials `token` (lowercased, final period removed) end a sentence, given the
+    // text `preceding` them and the text `after` them. An initialism such as "U.S." only does
+    // before a word that usually starts a sentence. A single letter is only an initial next to
+    // another initial or after a title ("J. K. Rowling", "Dr. J. Smith"), or when it opens a
+    // sentence ("J. Smith wrote", "A. Gather materials"); otherwise it is a label, "Plan A."
+    isInitialsEnd(preceding, token, after) {
+        const nextWord = (after.replace(/^["'“‘(\[{«]+/, '').match(/^[\p{L}']+/u) || [''])[0].toLowerCase();
+        if (SENTENCE_STARTERS.has(nextWord)) return true;
+        if (token.length > 1) return false;
+
+        if (/^["'“‘(\[{«]*\p{Lu}\./u.test(after)) return false;
+        const previous = preceding.trimEnd();
+        const previousToken = (previous.match(/(\S+)$/) || ['', ''])[1].replace(/^["'“‘(\[{«]+/, '');
+        if (/^(\p{L}\.)+$/u.test(previousToken)) return false;
+        if (ALWAYS_ABBREVIATIONS.has(previousToken.toLowerCase().replace(/\.$/, ''))) return false;
+        const opening = previous.replace(/["'“‘(\[{«]+$/, '');
+        return !(opening === '' || /[.!?…。！？]["'”’)\]}»]*$/.test(opening) || /\n\s*$/.test(preceding));
+    }
+
+    // Wraps every sentence under `root` in <span class="sentence" data-index>, returning the
+    // sentence texts in the same order plus the sentence range of each block (paragraph,
+    // heading, list item). A sentence split across inline elements such as <strong> gets
+    // one span per text node, all sharing its data-index.
+    wrapElement(root) {
+        return this.segmentRuns(this.collectRuns(root), run => {
+            run.pieces.forEach(piece => this.wrapTextNode(piece.node, piece.wraps));
+        });
+    }
+
+    // The sentences and blocks wrapElement would return, leaving the tree as it is, plus
+    // `sentenceOf`, mapping each text node to the first sentence it holds. Also takes a
+    // MarkupParser tree, so documents can be segmented without a DOM.
+    segmentTree(root) {
+        const sentenceOf = new Map();
+        const result = this.segmentRuns(this.collectRuns(root), run => {
+            run.pieces.forEach(piece => {
+                if (piece.wraps.length > 0) sentenceOf.set(piece.node, piece.wraps[0].index);
+            });
+        });
+        return { ...result, sentenceOf };
+    }
+
+    // Calls `wrap` with each run once its pieces know which sentences they hold
+    segmentRuns(runs, wrap) {
+        const sentences = [];
+        const blocks = [];
+
+        runs.forEach(run => {
+            const start = sentences.length;
+            this.segment(run.text).forEach(range => {
+                const index = sentences.length;
+                sentences.push(range.text.replace(/\s+/g, ' '));
+
+                run.pieces.forEach(piece => {
+                    const from = Math.max(range.start, piece.start);
+                    const to = Math.min(range.end, piece.start + piece.node.data.length);
+                    if (from < to) {
+                        piece.wraps.push({ from: from - piece.start, to: to - piece.start, index });
+                    }
+                });
+            });
+
+            wrap(run);
+            if (sentences.length > start) {
+                blocks.push({ tag: run.tag, start, end: sentences.length });
+            }
+        });
+
+        return { sentences, blocks };
+    }
+
+    collectRuns(root) {
+        // A run is the text of one block, made of the text nodes beneath it in document order
+        const runs = [];
+        let current = null;
+        const flush = () => {
+            if (current && current.text.trim()) runs.push(current);
+            current = null;
+        };
+
+        const visit = (node, blockTag) => {
+            for (const child of Array.from(node.childNodes)) {
+                if (child.nodeType === MARKUP_TEXT_NODE) {
+                    if (!current) current = { text: '', pieces: [], tag: blockTag };
+                    current.pieces.push({ node: child, start: current.text.length, wraps: [] });
+                    current.text += child.data;
+                } else if (child.nodeType === MARKUP_ELEMENT_NODE) {
+                    const tag = child.tagName.toUpperCase();
+                    if (SEGMENT_SKIPPED_TAGS.has(tag)) continue;
+                    if (tag === 'BR') {
+                        if (current) current.text += '\n';
+                        continue;
+                    }
+
+                    const isBlock = SEGMENT_BLOCK_TAGS.has(tag);
+                    if (isBlock) flush();
+                    visit(child, isBlock ? tag.toLowerCase() : blockTag);
+                    if (isBlock) flush();
+                }
+            }
+        };
+
+        visit(root, 'p');
+        flush();
+        return runs;
+    }
+
+    wrapTextNode(node, wraps) {
+        if (wraps.length === 0) return;
+
+        const doc = node.ownerDocument;
+        const fragment = doc.createDocumentFragment();
+        let cursor = 0;
+
+        wraps.forEach(wrap => {
+            if (wrap.from > cursor) {
+                fragment.appendChild(doc.createTextNode(node.data.slice(cursor, wrap.from)));
+            }
+            const span = doc.createElement('span');
+            span.className = 'sentence';
+            span.setAttribute('data-index', wrap.index);
+            span.textContent = node.data.slice(wrap.from, wrap.to);
+            fragment.appendChild(span);
+            cursor = wrap.to;
+        });
+
+        if (cursor < node.data.length) {
+            fragment.appendChild(doc.createTextNode(node.data.slice(cursor)));
+        }
+        node.parentNode.replaceChild(fragment, node);
+    }
+}
@@ -0,0 +1,286 @@
+// Simplified view: rewrites a copy of the rendered document with local rules only. Long
+// sentences are split at semicolons and conjunctions, inline series become bulleted lists,
+// abbreviations are spelled out and dense paragraphs are cut into short blocks. Every piece
+// of rewritten text is wrapped in <span data-source="n">, n being the original sentence, so
+// sentences found in the simplified view can be traced back. Uses LONG_SENTENCE_WORDS and
+// DENSE_PARAGRAPH_CHARS from readability.js, so the view removes exactly what the analysis flags.
+
+// Pieces shorter than this are not split off, so a split never leaves a fragment
+const SIMPLIFIER_MIN_WORDS = 4;
+
+// Sentences per block when a dense paragraph is chunked
+const SIMPLIFIER_CHUNK_SENTENCES = 3;
+
+// Items in an inline series longer than this are clauses, not list entries
+const SIMPLIFIER_MAX_ITEM_WORDS = 6;
+
+const SIMPLIFIER_ABBREVIATIONS = [
+    ['e.g.', 'for example'],
+    ['i.e.', 'that is'],
+    ['etc.', 'and so on'],
+    ['et al.', 'and others'],
+    ['a.k.a.', 'also known as'],
+    ['vs.', 'versus'],
+    ['approx.', 'approximately'],
+    ['cf.', 'compare'],
+    ['viz.', 'namely'],
+    ['incl.', 'including'],
+    ['esp.', 'especially'],
+    ['misc.', 'miscellaneous'],
+    ['w/o', 'without'],
+    ['w/', 'with']
+];
+
+// Where a long sentence may be split, and how the second half starts
+const SIMPLIFIER_SPLIT_POINT = /;\s+|,\s+(and|but|so|yet|however,)\s+/gi;
+
+const SIMPLIFIER_SERIES_INTRO = /^(.*?\S)(:|\s+(?:including|such as|includes|include))\s+(.+)$/i;
+
+class DocumentSimplifier {
+    // `root` is a copy of the rendered document whose sentence spans carry data-index, and
+    // `sentences` the matching sentence texts. Rewrites `root` in place and returns the changes
+    // as { kind: 'sentence' | 'paragraph', source, original, simplified, reasons }.
+    simplify(root, sentences) {
+        const changes = [];
+
+        // Unchanged text keeps its formatting; only the sentence spans become source markers
+        root.querySelectorAll('.sentence[data-index]').forEach(span => {
+            span.setAttribute('data-source', span.getAttribute('data-index'));
+            span.removeAttribute('data-index');
+            span.removeAttribute('class');
+        });
+
+        Array.from(root.querySelectorAll('p, li')).forEach(block => {
+            if (block.tagName === 'LI' && block.querySelector(':scope > p')) return;
+            this.simplifyBlock(block, sentences, changes);
+        });
+
+        return changes;
+    }
+
+    simplifyBlock(block, sentences, changes) {
+        const inline = this.inlineNodes(block);
+        const indexes = [];
+        inline.forEach(node => {
+            const spans = node.nodeType === Node.ELEMENT_NODE
+                ? [node.matches('[data-source]') ? node : null, ...node.querySelectorAll('[data-source]')]
+                : [];
+            spans.filter(Boolean).forEach(span => {
+                const index = Number(span.getAttribute('data-source'));
+                if (!indexes.includes(index)) indexes.push(index);
+            });
+        });
+        if (indexes.length === 0) return;
+
+        const results = indexes.map(index => ({ index, ...this.simplifySentence(sentences[index]) }));
+        const characters = indexes.reduce((sum, index) => sum + sentences[index].length, 0);
+        const dense = block.tagName === 'P' && characters > DENSE_PARAGRAPH_CHARS && indexes.length > 1;
+        const changed = results.filter(result => result.reasons.length > 0);
+        if (changed.length === 0 && !dense) return;
+
+        changed.forEach(result => changes.push({
+            kind: 'sentence',
+            source: result.index,
+            original: sentences[result.index],
+            simplified: result.list
+                ? [...result.pieces, ...result.list.map(item => `• ${item}`)].join(' ')
+                : result.pieces.join(' '),
+            reasons: result.reasons
+        }));
+
+        // Passages in another language keep their language on the rewritten text
+        const languages = new Map(indexes.map(index => {
+            const span = block.querySelector(`[data-source="${index}"]`);
+            const marked = span && span.closest('[lang]');
+            return [index, marked && block.contains(marked) ? marked.getAttribute('lang') : null];
+        }));
+
+        const doc = block.ownerDocument;
+        const piece = (text, index) => {
+            const span = doc.createElement('span');
+            span.setAttribute('data-source', index);
+            if (languages.get(index)) span.setAttribute('lang', languages.get(index));
+            span.textContent = text;
+            return span;
+        };
+        const list = (result) => {
+            const ul = doc.createElement('ul');
+            result.list.forEach(item => {
+                const li = doc.createElement('li');
+                li.appendChild(piece(item, result.index));
+                ul.appendChild(li);
+            });
+            return ul;
+        };
+
+        if (block.tagName === 'LI') {
+            // A list item keeps its nested lists; only its own text is rewritten
+            const replacement = doc.createDocumentFragment();
+            results.forEach(result => {
+                result.pieces.forEach(text => {
+                    if (replacement.childNodes.length > 0) replacement.appendChild(doc.createTextNode(' '));
+                    replacement.appendChild(piece(text, result.index));
+                });
+                if (result.list) replacement.appendChild(list(result));
+            });
+            inline.forEach(node => node.remove());
+            block.insertBefore(replacement, block.firstChild);
+            return;
+        }
+
+        if (dense) {
+            changes.push({
+                kind: 'paragraph',
+                source: indexes[0],
+                original: `${indexes.length} sentences, ${characters} characters`,
+                simplified: `${Math.ceil(indexes.length / SIMPLIFIER_CHUNK_SENTENCES)} short blocks`,
+                reasons: ['Split a dense paragraph']
+            });
+        }
+
+        const blocks = [];
+        let paragraph = null;
+        let sentencesInParagraph = 0;
+        results.forEach(result => {
+            if (!paragraph || (dense && sentencesInParagraph >= SIMPLIFIER_CHUNK_SENTENCES)) {
+                paragraph = doc.createElement('p');
+                blocks.push(paragraph);
+                sentencesInParagraph = 0;
+            }
+            result.pieces.forEach(text => {
+                if (paragraph.childNodes.length > 0) paragraph.appendChild(doc.createTextNode(' '));
+                paragraph.appendChild(piece(text, result.index));
+            });
+            sentencesInParagraph++;
+
+            if (result.list) {
+                blocks.push(list(result));
+                paragraph = null;
+            }
+        });
+        block.replaceWith(...blocks.filter(element => element.childNodes.length > 0));
+    }
+
+    // The block's own inline content, leaving out nested lists and paragraphs
+    inlineNodes(block) {
+        return Array.from(block.childNodes).filter(node => node.nodeType === Node.TEXT_NODE
+            || (node.nodeType === Node.ELEMENT_NODE && !/^(UL|OL|P|DIV|BLOCKQUOTE|PRE|TABLE)$/.test(node.tagName)));
+    }
+
+    // Returns { pieces, list, reasons }: the sentences replacing `text`, an optional list of
+    // items that follows them, and why it changed (empty when it did not)
+    simplifySentence(text) {
+        const reasons = [];
+        let sentence = this.expandAbbreviations(text);
+        if (sentence !== text) reasons.push('Expanded abbreviations');
+
+        const series = this.splitSeries(sentence);
+        if (series) {
+            reasons.push('Turned a series into a list');
+            return { pieces: [series.intro], list: series.items, reasons };
+        }
+
+        const pieces = this.splitLongSentence(sentence);
+        if (pieces.length > 1) reasons.push('Split a long sentence');
+        return { pieces, list: null, reasons };
+    }
+
+    expandAbbreviations(text) {
+        let result = text;
+        SIMPLIFIER_ABBREVIATIONS.forEach(([abbreviation, expansion]) => {
+            const escaped = abbreviation.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+            const pattern = new RegExp(`(^|[\\s(])${escaped}(?=[\\s,;:)]|$)`, 'gi');
+            result = result.replace(pattern, (match, before, offset) => {
+                const capital = match[before.length] !== match[before.length].toLowerCase() || offset === 0;
+                return before + (capital ? expansion[0].toUpperCase() + expansion.slice(1) : expansion);
+            });
+        });
+        // "…, etc." at the end of a sentence loses its period along with the abbreviation
+        if (result !== text && !/[.!?…]["'”’)]*$/.test(result)) result += '.';
+        return result;
+    }
+
+    splitSeries(text) {
+        const match = text.match(SIMPLIFIER_SERIES_INTRO);
+        if (!match || this.wordCount(match[1]) < 2) return null;
+
+        const terminal = match[3].match(/[.!?…]*$/)[0];
+        const series = match[3].slice(0, match[3].length - terminal.length);
+        const items = series.split(/,\s*(?:and\s+|or\s+)?|\s+(?:and|or)\s+(?=[^,]*$)/i).map(item => item.trim());
+        if (items.length < 3 || items.some(item => !item || this.wordCount(item) > SIMPLIFIER_MAX_ITEM_WORDS)) return null;
+        if (!/,/.test(series)) return null;
+
+        const intro = match[2] === ':' ? `${match[1]}:` : `${match[1]} ${match[2].trim()}:`;
+        return { intro, items };
+    }
+
+    splitLongSentence(text) {
+        const words = this.wordCount(text);
+        if (words <= LONG_SENTENCE_WORDS) return [text];
+
+        // The split point nearest the middle, outside brackets and quotes
+        let best = null;
+        SIMPLIFIER_SPLIT_POINT.lastIndex = 0;
+        let match;
+        while ((match = SIMPLIFIER_SPLIT_POINT.exec(text))) {
+            const before = text.slice(0, match.index);
+            const after = text.slice(match.index + match[0].length);
+            if (this.wordCount(before) < SIMPLIFIER_MIN_WORDS || this.wordCount(after) < SIMPLIFIER_MIN_WORDS) continue;
+            if ((before.match(/\(/g) || []).length !== (before.match(/\)/g) || []).length) continue;
+            if ((before.match(/["“”]/g) || []).length % 2 !== 0) continue;
+
+            const distance = Math.abs(this.wordCount(before) - words / 2);
+            if (!best || distance < best.distance) best = { match, before, after, distance };
+        }
+        if (!best) return [text];
+
+        const conjunction = (best.match[1] || '').toLowerCase();
+        let second = best.after;
+        if (conjunction && conjunction !== 'and') second = `${conjunction} ${second}`;
+        second = second.charAt(0).toUpperCase() + second.slice(1);
+        const first = `${best.before.replace(/[,;:\s]+$/, '')}.`;
+
+        return [...this.splitLongSentence(first), ...this.splitLongSentence(second)];
+    }
+
+    wordCount(text) {
+        return (text.match(/\S+/g) || []).length;
+    }
+
+    // Word-level difference between two texts as [{ type: 'same' | 'removed' | 'added', text }]
+    static diffWords(original, simplified) {
+        const a = original.split(/\s+/).filter(Boolean);
+        const b = simplified.split(/\s+/).filter(Boolean);
+        if (a.length * b.length > 40000) {
+            return [{ type: 'removed', text: original }, { type: 'added', text: simplified }];
+        }
+
+        // Longest common subsequence, filled from the end so the walk below runs forwards
+        const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        const parts = [];
+        const push = (type, word) => {
+            const last = parts[parts.length - 1];
+            if (last && last.type === type) last.text += ` ${word}`;
+            else parts.push({ type, text: word });
+        };
+        let i = 0;
+        let j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                push('same', a[i++]);
+                j++;
+            } else if (j < b.length && (i === a.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+                push('added', b[j++]);
+            } else {
+                push('removed', a[i++]);
+            }
+        }
+        return parts;
+    }
+}
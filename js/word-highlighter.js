@@ -0,0 +1,139 @@
+// Karaoke-style highlighting of the word being spoken inside the current sentence.
+// Driven by SpeechSynthesisUtterance boundary events, with a timing estimate for
+// voices that never emit them (and for silent Hearing Assistance playback).
+class WordHighlighter {
+    constructor(container) {
+        this.container = container;
+        this.words = [];
+        this.estimateTimer = null;
+        this.currentOffset = 0;
+        this.receivedBoundary = false;
+    }
+
+    // Begins tracking a sentence. `startOffset` is where the utterance starts within the
+    // sentence text, so boundary char indexes can be mapped back after a restart.
+    start(index, text, startOffset, msPerWord) {
+        this.stop();
+        this.clear();
+        this.words = this.prepare(index, text);
+        this.startOffset = startOffset;
+        this.currentOffset = startOffset;
+        this.receivedBoundary = false;
+
+        // Start estimating right away; the first real boundary event takes over
+        const first = this.words.findIndex(word => word.offset + word.length > startOffset);
+        if (first >= 0) {
+            this.estimateFrom(first, msPerWord);
+        }
+    }
+
+    onBoundary(event) {
+        if (event.name && event.name !== 'word') return;
+
+        if (!this.receivedBoundary) {
+            this.receivedBoundary = true;
+            clearTimeout(this.estimateTimer);
+            this.estimateTimer = null;
+        }
+
+        const start = this.startOffset + event.charIndex;
+        const length = event.charLength || this.wordLengthAt(start);
+        this.highlightRange(start, start + Math.max(length, 1));
+    }
+
+    estimateFrom(position, msPerWord) {
+        const word = this.words[position];
+        if (!word) return;
+
+        this.highlightRange(word.offset, word.offset + word.length);
+        // Longer words take longer to say; an average English word is about six characters with its space
+        const duration = msPerWord * Math.max(0.5, (word.length + 1) / 6);
+        this.estimateTimer = setTimeout(() => this.estimateFrom(position + 1, msPerWord), duration);
+    }
+
+    highlightRange(start, end) {
+        this.clear();
+        this.words
+            .filter(word => word.offset < end && word.offset + word.length > start)
+            .forEach(word => word.element.classList.add('current-word'));
+        this.currentOffset = start;
+    }
+
+    wordLengthAt(offset) {
+        const word = this.words.find(w => w.offset <= offset && w.offset + w.length > offset);
+        return word ? word.offset + word.length - offset : 0;
+    }
+
+    stop() {
+        clearTimeout(this.estimateTimer);
+        this.estimateTimer = null;
+    }
+
+    clear() {
+        this.container.querySelectorAll('.current-word').forEach(el => el.classList.remove('current-word'));
+    }
+
+    prepare(index, text) {
+        const spans = Array.from(this.container.querySelectorAll(`.sentence[data-index="${index}"]`));
+        if (spans.length > 0 && !spans[0].hasAttribute('data-words')) {
+            this.wrapWords(spans, text);
+        }
+
+        const words = [];
+        spans.forEach(span => {
+            span.querySelectorAll('.word').forEach(element => {
+                words.push({
+                    element,
+                    offset: parseInt(element.getAttribute('data-offset'), 10),
+                    length: element.textContent.length
+                });
+            });
+        });
+        return words;
+    }
+
+    wrapWords(spans, text) {
+        // Walk the DOM text and the (whitespace-normalized) sentence text in step so every
+        // word span records its character offset in the text that is actually spoken
+        let position = 0;
+        let previousWasSpace = true;
+
+        spans.forEach(span => {
+            span.setAttribute('data-words', '');
+            const doc = span.ownerDocument;
+            const fragment = doc.createDocumentFragment();
+
+            span.textContent.split(/(\s+)/).filter(part => part.length > 0).forEach(part => {
+                if (/^\s+$/.test(part)) {
+                    if (text[position] === ' ') position++;
+                    fragment.appendChild(doc.createTextNode(part));
+                    previousWasSpace = true;
+                    return;
+                }
+
+                // A <br> inside a sentence is a space in the text but has no DOM text of its own
+                if (!previousWasSpace && text[position] === ' ') position++;
+
+                const word = doc.createElement('span');
+                word.className = 'word';
+                word.setAttribute('data-offset', position);
+                word.textContent = part;
+                fragment.appendChild(word);
+                position += part.length;
+                previousWasSpace = false;
+            });
+
+            span.textContent = '';
+            span.appendChild(fragment);
+        });
+    }
+
+    // Undoes wrapWords in `root`, for a copy of the document that is segmented again
+    unwrapWords(root) {
+        root.querySelectorAll('.word').forEach(word => word.replaceWith(...word.childNodes));
+        root.querySelectorAll('[data-words]').forEach(span => {
+            span.removeAttribute('data-words');
+            span.normalize();
+        });
+    }
+}
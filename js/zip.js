@@ -0,0 +1,80 @@
+// Minimal read-only ZIP reader used by the DOCX and EPUB importers.
+// Inflation is delegated to the browser's native DecompressionStream.
+class ZipArchive {
+    constructor(buffer) {
+        this.bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+        this.entries = this.readCentralDirectory();
+    }
+
+    static isZip(bytes) {
+        return bytes.length >= 4 &&
+            bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+    }
+
+    readCentralDirectory() {
+        // The end-of-central-directory record sits in the last 22 bytes plus an optional comment
+        let end = -1;
+        const lowest = Math.max(0, this.bytes.length - 65557);
+        for (let i = this.bytes.length - 22; i >= lowest; i--) {
+            if (this.view.getUint32(i, true) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) {
+            throw new Error('Not a valid zip archive');
+        }
+
+        const count = this.view.getUint16(end + 10, true);
+        let offset = this.view.getUint32(end + 16, true);
+        const decoder = new TextDecoder();
+        const entries = new Map();
+
+        for (let i = 0; i < count; i++) {
+            if (this.view.getUint32(offset, true) !== 0x02014b50) break;
+
+            const nameLength = this.view.getUint16(offset + 28, true);
+            const extraLength = this.view.getUint16(offset + 30, true);
+            const commentLength = this.view.getUint16(offset + 32, true);
+            const name = decoder.decode(this.bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+            entries.set(name, {
+                method: this.view.getUint16(offset + 10, true),
+                compressedSize: this.view.getUint32(offset + 20, true),
+                localOffset: this.view.getUint32(offset + 42, true)
+            });
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+
+    has(name) {
+        return this.entries.has(name);
+    }
+
+    async readBytes(name) {
+        const entry = this.entries.get(name);
+        if (!entry) {
+            throw new Error(`Missing archive entry: ${name}`);
+        }
+
+        const local = entry.localOffset;
+        const start = local + 30 + this.view.getUint16(local + 26, true) + this.view.getUint16(local + 28, true);
+        const data = this.bytes.subarray(start, start + entry.compressedSize);
+
+        if (entry.method === 0) return data;
+        if (entry.method === 8) return this.inflate(data);
+        throw new Error(`Unsupported zip compression method: ${entry.method}`);
+    }
+
+    async readText(name) {
+        return new TextDecoder().decode(await this.readBytes(name));
+    }
+
+    async inflate(data) {
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+}
@@ -0,0 +1,36 @@
+// Loads the reader's DOM-free scripts into Node. They are classic browser scripts that
+// share one global scope, so they are run in this context in the order index.html loads
+// them rather than converted to modules. Needs Node 20 or later for File and
+// DecompressionStream.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const CORE_SCRIPTS = [
+    'zip.js',
+    'markdown.js',
+    'markup-parser.js',
+    'importers.js',
+    'pdf-layout.js',
+    'language.js',
+    'segmenter.js',
+    'readability.js',
+    'auditor.js',
+    'file-export.js',
+    'report-exporter.js'
+];
+
+CORE_SCRIPTS.forEach(name => {
+    const file = path.join(__dirname, '..', 'js', name);
+    vm.runInThisContext(fs.readFileSync(file, 'utf8'), { filename: file });
+});
+
+module.exports = vm.runInThisContext(`({
+    DocumentAuditor,
+    DocumentImporter,
+    MarkupParser,
+    SentenceSegmenter,
+    FileExport,
+    ReadabilityAnalyzer,
+    AccessibilityReportExporter
+})`);
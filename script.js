@@ -1,3 +1,36 @@
+const READING_MODES = {
+    vision: {
+        label: 'Vision Assistance',
+        description: '<strong>Vision Assistance Mode Active:</strong> High contrast, large text, text-to-speech and sentence highlighting.'
+    },
+    hearing: {
+        label: 'Hearing Assistance',
+        description: '<strong>Hearing Assistance Mode Active:</strong> Silent operation with timed sentence-by-sentence highlighting, a prominent progress bar and on-screen alerts.'
+    },
+    standard: {
+        label: 'Standard',
+        description: '<strong>Standard Mode Active:</strong> Standard text formatting with accessibility features available.'
+    }
+};
+
+// Voice names that usually mark the higher quality voices of a platform
+const VOICE_QUALITY_HINTS = ['Natural', 'Neural', 'Enhanced', 'Premium'];
+
+// Silence between one sentence ending and the next starting, in milliseconds
+const SENTENCE_PAUSE_MS = 200;
+
+// Roughly how fast voices speak at rate 1, used until a voice reports real timings
+const SPEECH_WORDS_PER_MINUTE = 175;
+
+// How many locations a barrier lists in the analysis panel; exported reports list them all
+const BARRIER_LOCATION_LIMIT = 100;
+
+// How long typing in the search box must pause before the match count is announced
+const SEARCH_ANNOUNCE_DELAY_MS = 700;
+
+// pdf.js and its worker are bundled so PDFs open without a network connection
+const PDFJS_WORKER_PATH = 'vendor/pdfjs/pdf.worker.min.js';
+
 class SmartDocumentReader {
     constructor() {
         this.currentText = '';
@@ -7,14 +40,73 @@ class SmartDocumentReader {
         this.speechSynth = window.speechSynthesis;
         this.utterance = null;
         this.voices = [];
-        this.accessibilityMode = true;
+        this.voiceURI = '';
+        this.documentLanguage = 'en';
+        this.mode = 'vision';
+        this.wordsPerMinute = 200;
+        this.autoAdvanceTimer = null;
+        // The pause before the next sentence starts; only one may be pending at a time
+        this.sentencePauseTimer = null;
+        this.wordHighlight = 'underline';
+        this.spokenOffset = 0;
         this.accessibilityIssues = [];
+        this.importer = new DocumentImporter();
+        this.segmenter = new SentenceSegmenter();
+        this.analyzer = new ReadabilityAnalyzer();
+        this.documentBlocks = [];
+        this.outline = new DocumentOutline();
+        this.readingSection = null;
+        this.search = new DocumentSearch();
+        // Matches of the search box's text in the displayed sentences, and the one last gone to
+        this.searchMatches = [];
+        this.searchIndex = -1;
+        this.searchAnnounceTimer = null;
+        this.accessibilityReport = null;
+        this.reportExporter = new AccessibilityReportExporter();
+        this.captionExporter = new CaptionExporter();
+        // How long each sentence took to read aloud, as { duration, rate }, for caption timings
+        this.measuredDurations = [];
+        this.sanitizer = new HTMLSanitizer();
+        this.ocr = new OCREngine();
+        // pdf.js is loaded from vendor/pdfjs; if that failed, opening a PDF reports it unavailable
+        if (typeof pdfjsLib !== 'undefined') pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_PATH;
+        this.auditor = new DocumentAuditor({
+            importer: this.importer,
+            pdfjs: typeof pdfjsLib !== 'undefined' ? pdfjsLib : null,
+            ocr: this.ocr
+        });
+        this.simplifier = new DocumentSimplifier();
+        // While the simplified view shows, the original document is kept here and
+        // sentenceSources maps each simplified sentence to the original it came from
+        this.originalView = null;
+        this.sentenceSources = null;
+        this.ocr.onProgress = (status) => this.showOCRProgress(status);
+        this.documentInfo = null;
+        this.library = new DocumentLibrary();
+        this.annotator = new DocumentAnnotations();
+        // Sentences selected with the mouse, which the highlight buttons act on
+        this.selectedSentences = [];
+        this.editingAnnotation = null;
+        this.currentDocument = null;
+        this.positionSaveTimer = null;
+        this.commands = new CommandRegistry();
+        // The command whose new shortcut is being recorded in the shortcuts dialog
+        this.capturingShortcut = null;
+        this.pendingShortcut = null;
+        this.displayPreferences = new DisplayPreferences();
+        this.display = this.displayPreferences.normalize();
+        // Named display profiles as { name: preferences }, and the one last loaded or saved
+        this.displayProfiles = {};
+        this.displayProfile = null;
         
         this.initializeElements();
         this.bindEvents();
+        this.registerCommands();
+        this.loadSettings();
         this.setupAccessibility();
         this.loadVoices();
-        this.loadSettings();
+        this.renderLibrary();
+        this.setupOfflineApp();
     }
 
     initializeElements() {
@@ -22,29 +114,220 @@ class SmartDocumentReader {
         this.contentDiv = document.getElementById('document-content');
         this.playButton = document.getElementById('play-pause');
         this.speedSlider = document.getElementById('speed');
-        this.accessibilityBtn = document.getElementById('accessibility-mode');
+        this.voiceSelect = document.getElementById('voice');
+        this.pitchSlider = document.getElementById('pitch');
+        this.volumeSlider = document.getElementById('volume');
+        this.voiceStatus = document.getElementById('voice-status');
+        this.modeSelect = document.getElementById('reading-mode');
+        this.wpmInput = document.getElementById('wpm');
+        this.wordHighlightSelect = document.getElementById('word-highlight');
         this.analysisResults = document.getElementById('analysis-results');
+        this.reportFormatSelect = document.getElementById('report-format');
+        this.exportReportBtn = document.getElementById('export-report');
+        this.captionFormatSelect = document.getElementById('caption-format');
+        this.exportCaptionsBtn = document.getElementById('export-captions');
+        this.librarySection = document.getElementById('library-section');
+        this.libraryList = document.getElementById('library-list');
+        this.libraryEmpty = document.getElementById('library-empty');
+        this.bookmarkForm = document.getElementById('bookmark-form');
+        this.bookmarkNameInput = document.getElementById('bookmark-name');
+        this.addBookmarkBtn = document.getElementById('add-bookmark');
+        this.prevBookmarkBtn = document.getElementById('prev-bookmark');
+        this.nextBookmarkBtn = document.getElementById('next-bookmark');
+        this.bookmarkList = document.getElementById('bookmark-list');
+        this.annotationForm = document.getElementById('annotation-form');
+        this.annotationColorSelect = document.getElementById('annotation-color');
+        this.annotationNoteInput = document.getElementById('annotation-note');
+        this.addAnnotationBtn = document.getElementById('add-annotation');
+        this.removeAnnotationBtn = document.getElementById('remove-annotation');
+        this.annotationSearchInput = document.getElementById('annotation-search');
+        this.annotationColorFilter = document.getElementById('annotation-color-filter');
+        this.annotationCount = document.getElementById('annotation-count');
+        this.annotationList = document.getElementById('annotation-list');
+        this.annotationFormatSelect = document.getElementById('annotation-format');
+        this.exportAnnotationsBtn = document.getElementById('export-annotations');
+        this.outlineList = document.getElementById('outline-list');
+        this.outlineEmpty = document.getElementById('outline-empty');
+        this.readSectionBtn = document.getElementById('read-section');
+        this.currentSectionSpan = document.getElementById('current-section');
+        this.searchForm = document.getElementById('search-form');
+        this.searchInput = document.getElementById('search-input');
+        this.searchMatchCaseCheckbox = document.getElementById('search-match-case');
+        this.searchWholeWordCheckbox = document.getElementById('search-whole-word');
+        this.searchNextBtn = document.getElementById('search-next');
+        this.searchPreviousBtn = document.getElementById('search-previous');
+        this.searchReadBtn = document.getElementById('search-read');
+        this.searchCount = document.getElementById('search-count');
+        this.searchResults = document.getElementById('search-results');
         this.modeDescription = document.getElementById('mode-description');
         this.currentSentenceSpan = document.getElementById('current-sentence');
         this.totalSentencesSpan = document.getElementById('total-sentences');
+        this.progressBar = document.getElementById('progress-bar');
+        this.progressFill = document.getElementById('progress-fill');
+        this.toastRegion = document.getElementById('toast-region');
+        this.ocrStatus = document.getElementById('ocr-status');
+        this.ocrMessage = document.getElementById('ocr-message');
+        this.ocrProgress = document.getElementById('ocr-progress');
+        this.simplifiedViewBtn = document.getElementById('simplified-view');
+        this.simplifiedChanges = document.getElementById('simplified-changes');
+        this.changesList = document.getElementById('changes-list');
+        this.openPaletteBtn = document.getElementById('open-palette');
+        this.openShortcutsBtn = document.getElementById('open-shortcuts');
+        this.commandPalette = document.getElementById('command-palette');
+        this.paletteSearchInput = document.getElementById('palette-search');
+        this.paletteCount = document.getElementById('palette-count');
+        this.paletteList = document.getElementById('palette-list');
+        this.shortcutHelp = document.getElementById('shortcut-help');
+        this.shortcutMessage = document.getElementById('shortcut-message');
+        this.shortcutTable = document.getElementById('shortcut-table');
+        this.resetShortcutsBtn = document.getElementById('reset-shortcuts');
+        this.displayForm = document.getElementById('display-form');
+        this.displayFontSelect = document.getElementById('display-font');
+        this.displayColumnSelect = document.getElementById('display-column-width');
+        this.displayRanges = Array.from(this.displayForm.querySelectorAll('input[type="range"]'));
+        this.displayCustomColorsCheckbox = document.getElementById('display-custom-colors');
+        this.displayColorInputs = {
+            foreground: document.getElementById('display-foreground'),
+            background: document.getElementById('display-background'),
+            highlight: document.getElementById('display-highlight')
+        };
+        this.displayContrast = document.getElementById('display-contrast');
+        this.displayFocusSelect = document.getElementById('display-focus');
+        this.displayProfileSelect = document.getElementById('display-profile');
+        this.displayProfileNameInput = document.getElementById('display-profile-name');
+        this.saveDisplayProfileBtn = document.getElementById('save-display-profile');
+        this.deleteDisplayProfileBtn = document.getElementById('delete-display-profile');
+        this.resetDisplayBtn = document.getElementById('reset-display');
+        this.displayStatus = document.getElementById('display-status');
+        this.readingRuler = document.getElementById('reading-ruler');
+        this.wordHighlighter = new WordHighlighter(this.contentDiv);
     }
 
     bindEvents() {
         this.fileInput.addEventListener('change', (e) => this.handleFileUpload(e));
         this.playButton.addEventListener('click', () => this.togglePlayback());
-        this.speedSlider.addEventListener('input', (e) => this.updateSpeed(e.target.value));
-        this.accessibilityBtn.addEventListener('click', () => this.toggleAccessibilityMode());
+        this.speedSlider.addEventListener('input', () => this.updateVoiceSettings());
+        this.pitchSlider.addEventListener('input', () => this.updateVoiceSettings());
+        this.volumeSlider.addEventListener('input', () => this.updateVoiceSettings());
+        this.voiceSelect.addEventListener('change', (e) => this.setVoice(e.target.value));
+        this.voiceStatus.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-voice]');
+            if (button) this.setVoice(button.dataset.voice);
+        });
+        this.modeSelect.addEventListener('change', (e) => this.setMode(e.target.value));
+        this.wpmInput.addEventListener('change', (e) => this.updateWordsPerMinute(e.target.value));
+        this.wordHighlightSelect.addEventListener('change', (e) => this.setWordHighlight(e.target.value));
+        this.analysisResults.addEventListener('click', (e) => this.handleAnalysisClick(e));
+        this.exportReportBtn.addEventListener('click', () => this.exportReport(this.reportFormatSelect.value));
+        this.exportCaptionsBtn.addEventListener('click', () => this.exportCaptions(this.captionFormatSelect.value));
+        this.libraryList.addEventListener('click', (e) => this.handleLibraryClick(e));
+        this.libraryList.addEventListener('submit', (e) => this.handleLibraryRename(e));
+        this.bookmarkForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addBookmark(this.bookmarkNameInput.value);
+        });
+        this.prevBookmarkBtn.addEventListener('click', () => this.jumpToBookmark(-1));
+        this.nextBookmarkBtn.addEventListener('click', () => this.jumpToBookmark(1));
+        this.bookmarkList.addEventListener('click', (e) => this.handleBookmarkClick(e));
+        this.annotationForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveAnnotation(this.annotationTargets(), this.annotationColorSelect.value, this.annotationNoteInput.value);
+        });
+        this.removeAnnotationBtn.addEventListener('click', () => this.removeAnnotations(this.annotationTargets()));
+        this.annotationSearchInput.addEventListener('input', () => this.renderAnnotations());
+        this.annotationColorFilter.addEventListener('change', () => this.renderAnnotations());
+        this.annotationList.addEventListener('click', (e) => this.handleAnnotationClick(e));
+        this.exportAnnotationsBtn.addEventListener('click', () => this.exportAnnotations(this.annotationFormatSelect.value));
+        // Clicking a sentence makes it the current one; dragging across sentences selects them for highlighting
+        this.contentDiv.addEventListener('mouseup', () => this.updateSelectedSentences());
+        this.contentDiv.addEventListener('click', (e) => this.handleContentClick(e));
+        this.outlineList.addEventListener('click', (e) => this.handleOutlineClick(e));
+        this.readSectionBtn.addEventListener('click', () => this.readSection());
+        this.searchForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.stepMatch(1);
+        });
+        this.searchInput.addEventListener('input', () => this.updateSearch());
+        this.searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.shiftKey) {
+                e.preventDefault();
+                this.stepMatch(-1);
+            }
+        });
+        [this.searchMatchCaseCheckbox, this.searchWholeWordCheckbox].forEach(checkbox => {
+            checkbox.addEventListener('change', () => this.updateSearch());
+        });
+        this.searchPreviousBtn.addEventListener('click', () => this.stepMatch(-1));
+        this.searchReadBtn.addEventListener('click', () => this.readFromMatch());
+        this.searchResults.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-match]');
+            if (button) this.goToMatch(Number(button.getAttribute('data-match')));
+        });
+        this.simplifiedViewBtn.addEventListener('click', () => this.toggleSimplifiedView());
+        this.changesList.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-source]');
+            if (button) this.goToSentence(this.displayIndex(Number(button.getAttribute('data-source'))));
+        });
+        
+        this.openPaletteBtn.addEventListener('click', () => this.openCommandPalette());
+        this.openShortcutsBtn.addEventListener('click', () => this.openShortcutHelp());
+        this.paletteSearchInput.addEventListener('input', () => this.renderCommandPalette());
+        this.commandPalette.addEventListener('keydown', (e) => this.handlePaletteKeydown(e));
+        this.paletteList.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-command]');
+            if (button) this.runFromPalette(button.getAttribute('data-command'));
+        });
+        this.shortcutTable.addEventListener('click', (e) => this.handleShortcutTableClick(e));
+        this.resetShortcutsBtn.addEventListener('click', () => this.resetShortcuts());
+        // Escape while recording a shortcut cancels the recording, not the dialog
+        this.shortcutHelp.addEventListener('cancel', (e) => {
+            if (this.capturingShortcut) {
+                e.preventDefault();
+                this.stopCapturingShortcut('Change cancelled.');
+            }
+        });
+        [this.commandPalette, this.shortcutHelp].forEach(dialog => {
+            dialog.querySelector('.dialog-close').addEventListener('click', () => dialog.close());
+        });
+        
+        this.displayForm.addEventListener('input', (e) => {
+            if (e.target !== this.displayProfileSelect && e.target !== this.displayProfileNameInput) this.updateDisplay(e.target);
+        });
+        this.displayForm.addEventListener('submit', (e) => e.preventDefault());
+        this.displayProfileSelect.addEventListener('change', () => this.loadDisplayProfile(this.displayProfileSelect.value));
+        this.saveDisplayProfileBtn.addEventListener('click', () => this.saveDisplayProfile());
+        this.deleteDisplayProfileBtn.addEventListener('click', () => this.deleteDisplayProfile());
+        this.resetDisplayBtn.addEventListener('click', () => this.resetDisplay());
+        window.addEventListener('resize', () => this.positionRuler());
         
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => this.handleKeyboard(e));
     }
 
     setupAccessibility() {
-        // Start in accessibility mode by default
-        document.body.classList.add('accessibility-mode');
-        this.accessibilityBtn.textContent = 'Normal Mode';
+        // Vision mode is the default until loadSettings restores a saved choice
+        this.applyMode();
         // Announce page load to screen readers
-        this.announceToScreenReader('Smart Document Reader loaded in accessibility mode. Upload a document to begin.');
+        this.announceToScreenReader(`Smart Document Reader loaded in ${READING_MODES[this.mode].label} mode. Upload a document to begin.`);
+    }
+
+    setupOfflineApp() {
+        // Caches the app for offline use. Service workers need http(s), so a copy opened
+        // straight from disk works as before, just without the cache.
+        if ('serviceWorker' in navigator && location.protocol.startsWith('http')) {
+            navigator.serviceWorker.register('service-worker.js')
+                .catch(error => console.error('Offline support unavailable:', error));
+        }
+
+        // Documents opened with the installed app from the file manager ("Open with")
+        // arrive here, and load as if chosen with the upload button
+        if ('launchQueue' in window) {
+            window.launchQueue.setConsumer(async (launchParams) => {
+                if (launchParams.files.length === 0) return;
+                const file = await launchParams.files[0].getFile();
+                await this.handleFileUpload({ target: { files: [file] } });
+            });
+        }
     }
 
     loadVoices() {
@@ -52,7 +335,10 @@ class SmartDocumentReader {
             this.voices = this.speechSynth.getVoices();
             if (this.voices.length === 0) {
                 setTimeout(loadVoicesWhenReady, 100);
+                return;
             }
+            this.renderVoiceOptions();
+            this.updateVoiceStatus();
         };
         
         if (this.speechSynth.onvoiceschanged !== undefined) {
@@ -67,168 +353,159 @@ class SmartDocumentReader {
         if (!file) return;
 
         try {
-            let text = '';
-            
-            if (file.type === 'text/plain') {
-                text = await this.readTextFile(file);
-            } else if (file.type === 'application/pdf') {
-                text = await this.readPDFFile(file);
-            } else {
-                this.showError('Unsupported file type. Please use .txt or .pdf files.');
+            const imported = await this.auditor.read(file);
+            if (!imported) {
+                this.showError('Unsupported file type. Please use .txt, .md, .html, .docx, .epub, .pdf, .png or .jpg files.');
+                return;
+            }
+            const { text, language, ocrError } = imported;
+            this.documentInfo = imported.documentInfo;
+
+            // A scan without OCR, or a blank page, has nothing to read or analyze
+            if (!text.trim()) {
+                this.showError(ocrError
+                    ? `No text layer was found and OCR failed: ${ocrError}`
+                    : 'No readable text was found in this document.');
                 return;
             }
 
-            this.processDocument(text);
-            this.analyzeAccessibility(text);
+            this.processDocument(text, language);
+            this.analyzeAccessibility();
             this.announceToScreenReader(`Document loaded: ${file.name}. ${this.sentences.length} sentences ready for reading.`);
+            if (ocrError) {
+                this.announceToScreenReader(`Some scanned pages could not be read: ${ocrError}`);
+            }
+            await this.rememberDocument(text, language);
             
         } catch (error) {
             this.showError('Error reading file: ' + error.message);
+        } finally {
+            this.hideOCRProgress();
         }
     }
 
-    readTextFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = (e) => resolve(e.target.result);
-            reader.onerror = () => reject(new Error('Failed to read text file'));
-            reader.readAsText(file);
-        });
-    }
-
-    async readPDFFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = async (e) => {
-                try {
-                    const pdf = await pdfjsLib.getDocument(e.target.result).promise;
-                    let fullText = '';
-                    
-                    for (let i = 1; i <= pdf.numPages; i++) {
-                        const page = await pdf.getPage(i);
-                        const textContent = await page.getTextContent();
-                        const pageText = textContent.items.map(item => item.str).join(' ');
-                        fullText += pageText + '\n';
-                    }
-                    
-                    resolve(fullText);
-                } catch (error) {
-                    reject(new Error('Failed to read PDF file'));
-                }
-            };
-            reader.onerror = () => reject(new Error('Failed to load PDF file'));
-            reader.readAsArrayBuffer(file);
-        });
+    showOCRProgress({ page, pageCount, stage, progress }) {
+        const where = pageCount > 1 ? `page ${page} of ${pageCount}` : 'the image';
+        const message = stage === 'loading' ? `Preparing OCR for ${where}…` : `Recognizing text on ${where}`;
+        
+        this.ocrStatus.hidden = false;
+        // Only the message is announced; the percentage stays on the progress bar
+        if (this.ocrMessage.textContent !== message) {
+            this.ocrMessage.textContent = message;
+        }
+        this.ocrProgress.value = Math.round(progress * 100);
+    }
+
+    hideOCRProgress() {
+        this.ocrStatus.hidden = true;
+        this.ocrMessage.textContent = '';
+        this.ocrProgress.value = 0;
     }
 
-    processDocument(text) {
+    processDocument(text, language = null) {
         this.currentText = text;
+        // Position saves belong to the document being replaced, not this one
+        clearTimeout(this.positionSaveTimer);
+        this.currentDocument = null;
+        this.setDocumentLanguage(this.auditor.language(text, language));
+        const formattedText = this.auditor.render(text, this.documentInfo.format);
         
-        // Preserve document structure by converting to HTML with proper formatting
-        let formattedText = text
-            // Convert headings
-            .replace(/^(#{1,6})\s+(.+)$/gm, (match, hashes, title) => {
-                const level = hashes.length;
-                return `<h${level}>${title}</h${level}>`;
-            })
-            // Convert bold text
-            .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
-            // Convert italic text
-            .replace(/\*(.+?)\*/g, '<em>$1</em>')
-            // Convert line breaks to paragraphs
-            .split('\n\n')
-            .map(paragraph => paragraph.trim())
-            .filter(paragraph => paragraph.length > 0)
-            .map(paragraph => {
-                // Don't wrap headings in paragraphs
-                if (paragraph.startsWith('<h')) {
-                    return paragraph;
-                }
-                return `<p>${paragraph.replace(/\n/g, '<br>')}</p>`;
-            })
-            .join('\n');
-        
-        // Create a temporary div to parse the HTML and extract sentences
-        const tempDiv = document.createElement('div');
-        tempDiv.innerHTML = formattedText;
-        
-        // Extract sentences while preserving structure
-        this.sentences = [];
-        this.extractSentencesFromElement(tempDiv);
-        
+        // Sentences are extracted while the spans are built so the two can never drift apart
         this.displayDocument(formattedText);
         this.resetPlayback();
     }
-    
-    extractSentencesFromElement(element) {
-        for (const node of element.childNodes) {
-            if (node.nodeType === Node.TEXT_NODE) {
-                const text = node.textContent.trim();
-                if (text) {
-                    const sentences = text.match(/[^\.!?]+[\.!?]+/g) || [text];
-                    this.sentences.push(...sentences.map(s => s.trim()).filter(s => s.length > 0));
-                }
-            } else if (node.nodeType === Node.ELEMENT_NODE) {
-                this.extractSentencesFromElement(node);
-            }
-        }
-    }
 
-    analyzeAccessibility(text) {
-        this.accessibilityIssues = [];
+    // Leaves nothing of the open document behind, so playback, search, exports and position
+    // saves cannot act on a document that is no longer shown
+    clearDocument() {
+        clearTimeout(this.positionSaveTimer);
+        this.currentText = '';
+        this.currentDocument = null;
+        this.documentInfo = null;
+        this.originalView = null;
+        this.sentenceSources = null;
+        this.simplifiedViewBtn.setAttribute('aria-pressed', 'false');
+        this.simplifiedChanges.hidden = true;
         
-        // Analyze sentence complexity
-        const avgSentenceLength = this.sentences.reduce((sum, s) => sum + s.split(' ').length, 0) / this.sentences.length;
-        if (avgSentenceLength > 20) {
-            this.accessibilityIssues.push({
-                type: 'Sentence Complexity',
-                severity: 'high',
-                description: `Average sentence length: ${Math.round(avgSentenceLength)} words (recommended: <20)`,
-                impact: 'Difficult for screen readers and cognitive processing'
-            });
-        }
+        this.contentDiv.replaceChildren();
+        this.showSentences({ sentences: [], blocks: [] });
+        this.resetPlayback();
         
-        // Analyze document structure
-        const hasHeadings = /^(#|Chapter|Section|Part)/m.test(text);
-        if (!hasHeadings && this.sentences.length > 10) {
-            this.accessibilityIssues.push({
-                type: 'Document Structure',
-                severity: 'medium',
-                description: 'No clear headings or structure detected',
-                impact: 'Difficult navigation for assistive technologies'
-            });
-        }
+        this.accessibilityIssues = [];
+        this.accessibilityReport = null;
+        this.exportReportBtn.disabled = true;
+        this.sanitizer.setHTML(this.analysisResults, '<p>Upload a document to analyze accessibility barriers.</p>');
         
-        // Analyze text density
-        const paragraphs = text.split('\n\n').filter(p => p.trim().length > 0);
-        const avgParagraphLength = text.length / paragraphs.length;
-        if (avgParagraphLength > 500) {
-            this.accessibilityIssues.push({
-                type: 'Text Density',
-                severity: 'medium',
-                description: 'Large text blocks detected',
-                impact: 'Overwhelming for users with reading difficulties'
-            });
+        this.selectedSentences = [];
+        this.stopEditingAnnotation();
+        this.renderBookmarks();
+        this.renderAnnotations();
+    }
+
+    setDocumentLanguage(language) {
+        this.documentLanguage = language;
+        if (this.segmenter.locale !== language) {
+            this.segmenter = new SentenceSegmenter(language);
         }
+    }
+
+    analyzeAccessibility() {
+        const report = this.analyzer.analyze(this.sentences, this.documentBlocks, this.uncertainWords());
+        this.accessibilityIssues = report.issues;
+        this.accessibilityReport = report;
         
         this.displayAccessibilityAnalysis();
+        this.exportReportBtn.disabled = false;
     }
     
+    uncertainWords() {
+        // Words OCR marked as uncertain, with the sentence each one belongs to
+        return Array.from(this.contentDiv.querySelectorAll('.ocr-uncertain')).map(span => {
+            const sentence = span.querySelector('.sentence') || span.closest('.sentence');
+            return {
+                text: span.textContent,
+                confidence: Number(span.getAttribute('data-confidence')),
+                sentence: sentence ? Number(sentence.getAttribute('data-index')) : null
+            };
+        }).filter(word => word.sentence !== null);
+    }
+
     displayAccessibilityAnalysis() {
-        // Calculate accessibility score
-        let score = 100;
-        let riskLevel = 'Low Risk';
+        const { score, riskLevel, metrics, scoreBreakdown } = this.accessibilityReport;
         
-        this.accessibilityIssues.forEach(issue => {
-            if (issue.severity === 'high') score -= 15;
-            else if (issue.severity === 'medium') score -= 8;
-            else score -= 3;
-        });
+        if (score === null) {
+            this.sanitizer.setHTML(this.analysisResults, '<p>No readable text was found in this document.</p>');
+            return;
+        }
         
-        if (score < 70) riskLevel = 'High Risk';
-        else if (score < 85) riskLevel = 'Medium Risk';
+        const e = (value) => FileExport.escapeMarkup(value);
+        let html = `<div class="accessibility-score">Accessibility Score: ${e(score)}/100 (${e(riskLevel)})</div>`;
         
-        let html = `<div class="accessibility-score">Accessibility Score: ${score}/100 (${riskLevel})</div>`;
+        html += `
+            <dl class="metrics-grid">
+                <div><dt>Flesch Reading Ease</dt><dd>${metrics.fleschReadingEase.toFixed(1)}</dd></div>
+                <div><dt>Flesch-Kincaid Grade</dt><dd>${metrics.fleschKincaidGrade.toFixed(1)}</dd></div>
+                <div><dt>Gunning Fog Index</dt><dd>${metrics.gunningFog.toFixed(1)}</dd></div>
+                <div><dt>Passive Sentences</dt><dd>${Math.round(metrics.passiveRatio * 100)}%</dd></div>
+                <div><dt>Long Words</dt><dd>${Math.round(metrics.longWordRatio * 100)}%</dd></div>
+                <div><dt>Jargon</dt><dd>${(metrics.jargonRatio * 100).toFixed(1)}%</dd></div>
+            </dl>
+        `;
+        
+        html += `
+            <details class="score-explanation">
+                <summary>How this score was computed</summary>
+                <table>
+                    <thead><tr><th scope="col">Component</th><th scope="col">Points</th><th scope="col">Basis</th></tr></thead>
+                    <tbody>
+                        ${scoreBreakdown.map(part => `
+                            <tr><th scope="row">${e(part.label)}</th><td>${part.points.toFixed(1)} / ${e(part.max)}</td><td>${e(part.detail)}</td></tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <p>Below 70 is High Risk, below 85 is Medium Risk.</p>
+            </details>
+        `;
         
         if (this.accessibilityIssues.length === 0) {
             html += '<div class="barrier-item low"><span><strong>✓ No major accessibility barriers detected</strong></span><span class="severity-badge low">LOW</span></div>';
@@ -236,285 +513,1991 @@ class SmartDocumentReader {
             html += '<h3>Accessibility Barriers Detected:</h3>';
             this.accessibilityIssues.forEach(issue => {
                 html += `
-                    <div class="barrier-item ${issue.severity}">
+                    <div class="barrier-item ${e(issue.severity)}">
                         <div>
-                            <strong>${issue.type}:</strong> ${issue.description}<br>
-                            <small><em>Impact: ${issue.impact}</em></small>
+                            <strong>${e(issue.type)}:</strong> ${e(issue.description)}<br>
+                            <small><em>Impact: ${e(issue.impact)}</em></small>
+                            ${this.renderBarrierLocations(issue)}
                         </div>
-                        <span class="severity-badge ${issue.severity}">${issue.severity.toUpperCase()}</span>
+                        <span class="severity-badge ${e(issue.severity)}">${e(issue.severity.toUpperCase())}</span>
                     </div>
                 `;
             });
             
             // Smart recommendations based on detected issues
-            const hasComplexity = this.accessibilityIssues.some(i => i.type === 'Sentence Complexity');
-            const hasStructure = this.accessibilityIssues.some(i => i.type === 'Document Structure');
-            const hasDensity = this.accessibilityIssues.some(i => i.type === 'Text Density');
+            const hasIssue = (type) => this.accessibilityIssues.some(i => i.type === type);
             
             let recommendation = '<p><strong>Recommended:</strong> ';
-            if (hasComplexity) {
+            if (hasIssue('Sentence Complexity') || hasIssue('Reading Level')) {
                 recommendation += 'Vision Mode with audio and sentence highlighting for complex text. ';
-            } else if (hasStructure) {
+            } else if (hasIssue('Document Structure')) {
                 recommendation += 'Use sentence-by-sentence navigation for better structure. ';
-            } else if (hasDensity) {
+            } else if (hasIssue('Text Density')) {
                 recommendation += 'Audio mode with chunked reading for dense content. ';
             } else {
                 recommendation += 'Document is well-structured for all accessibility modes. ';
             }
+            if (hasIssue('OCR Confidence')) {
+                recommendation += 'Check the dotted-underlined words against the original scan. ';
+            }
             recommendation += '</p>';
             html += recommendation;
         }
         
-        this.analysisResults.innerHTML = html;
+        this.sanitizer.setHTML(this.analysisResults, html);
     }
 
-    displayDocument(formattedText) {
-        // If we have formatted HTML, use it; otherwise fall back to sentence spans
-        if (formattedText) {
-            this.contentDiv.innerHTML = formattedText;
-            
-            // Add sentence spans to text nodes for highlighting
-            this.addSentenceSpans(this.contentDiv);
-        } else {
-            // Fallback for plain text
-            const htmlContent = this.sentences.map((sentence, index) => 
-                `<span class="sentence" data-index="${index}">${sentence}</span>`
-            ).join(' ');
-            this.contentDiv.innerHTML = htmlContent;
+    barrierLocations(issue) {
+        return this.auditor.locations(issue, this.originalSentences());
+    }
+
+    renderBarrierLocations(issue) {
+        // Each location is a button that jumps to and highlights its sentences in the document
+        const locations = this.barrierLocations(issue);
+        if (locations.length === 0) return '';
+        
+        const excerpt = (text) => FileExport.escapeMarkup(text.length > 80 ? `${text.slice(0, 80)}…` : text);
+        const count = locations.length;
+        return `
+            <details class="barrier-locations">
+                <summary>${count > BARRIER_LOCATION_LIMIT
+                    ? `Show the first ${BARRIER_LOCATION_LIMIT} of ${count} locations`
+                    : `Show ${count} location${count === 1 ? '' : 's'}`}</summary>
+                <ul>
+                    ${locations.slice(0, BARRIER_LOCATION_LIMIT).map(location => `
+                        <li>
+                            <button type="button" class="barrier-location" data-sentences="${location.indexes.join(',')}">
+                                <strong>${FileExport.escapeMarkup(location.label)}</strong> (${FileExport.escapeMarkup(location.detail)}): ${excerpt(location.excerpt)}
+                            </button>
+                        </li>
+                    `).join('')}
+                </ul>
+            </details>
+        `;
+    }
+
+    exportReport(format) {
+        if (!this.accessibilityReport) {
+            this.announceToScreenReader('Upload a document before exporting a report.');
+            return;
+        }
+        
+        const data = this.auditor.reportData({
+            report: this.accessibilityReport,
+            sentences: this.originalSentences(),
+            documentInfo: this.documentInfo
+        });
+        const fileName = this.reportExporter.download(data, format);
+        this.announceToScreenReader(`Accessibility report saved as ${fileName}`);
+    }
+
+    exportCaptions(format) {
+        if (this.sentences.length === 0) {
+            this.announceToScreenReader('Upload a document before exporting captions.');
+            return;
+        }
+        
+        const rate = parseFloat(this.speedSlider.value);
+        const data = this.captionExporter.build({
+            sentences: this.sentences.map((text, index) => ({
+                text,
+                cue: this.structureCue(index),
+                language: this.sentenceLanguage(index),
+                ...this.sentenceDuration(index, rate)
+            })),
+            blocks: this.documentBlocks,
+            pause: SENTENCE_PAUSE_MS,
+            voice: { rate, pitch: parseFloat(this.pitchSlider.value), volume: parseFloat(this.volumeSlider.value) },
+            estimate: this.isSilent()
+                ? `worked out at ${this.wordsPerMinute} words per minute, as in Hearing Assistance mode`
+                : `estimated at ${rate}x speed`,
+            language: this.documentLanguage,
+            documentInfo: this.documentInfo
+        });
+        const fileName = this.captionExporter.download(data, format);
+        this.announceToScreenReader(`Saved as ${fileName}. ${this.captionExporter.timingNote(data)}`);
+    }
+
+    // How long a sentence takes at the current settings, as { duration, measured }. Times
+    // measured while reading aloud are rescaled if the speed has changed since.
+    sentenceDuration(index, rate) {
+        if (this.isSilent()) {
+            return { duration: this.visualDuration(index), measured: false };
+        }
+        
+        const measured = this.measuredDurations[index];
+        if (measured) {
+            return { duration: measured.duration * measured.rate / rate, measured: true };
+        }
+        
+        const cue = this.structureCue(index);
+        const words = `${cue} ${this.sentences[index]}`.split(/\s+/).filter(w => w.length > 0).length;
+        return { duration: (words / (SPEECH_WORDS_PER_MINUTE * rate)) * 60000, measured: false };
+    }
+
+    handleAnalysisClick(event) {
+        const button = event.target.closest('.barrier-location');
+        if (!button) return;
+        
+        const indexes = button.getAttribute('data-sentences').split(',').map(Number);
+        this.showBarrierSentences(indexes);
+    }
+
+    showBarrierSentences(indexes) {
+        this.contentDiv.querySelectorAll('.barrier-highlight').forEach(el => el.classList.remove('barrier-highlight'));
+        const shown = new Set(indexes);
+        this.contentDiv.querySelectorAll('.sentence[data-index]').forEach(el => {
+            if (shown.has(this.originalIndex(Number(el.getAttribute('data-index'))))) {
+                el.classList.add('barrier-highlight');
+            }
+        });
+        
+        this.goToSentence(this.displayIndex(indexes[0]));
+        this.announceToScreenReader(indexes.length === 1
+            ? `Showing sentence ${indexes[0] + 1}: ${this.originalSentences()[indexes[0]]}`
+            : `Showing sentences ${indexes[0] + 1} to ${indexes[indexes.length - 1] + 1}`);
+    }
+
+    goToSentence(index) {
+        // Leaving the section being read ends the "read this section" limit
+        if (this.readingSection && (index < this.readingSection.start || index >= this.readingSection.end)) {
+            this.readingSection = null;
+        }
+        this.currentSentence = index;
+        this.highlightSentence(index);
+        this.updateProgress();
+        
+        if (this.isPlaying) {
+            this.restartCurrentSentence();
         }
+    }
+
+    displayDocument(formattedText) {
+        // A new document always opens as written
+        this.originalView = null;
+        this.sentenceSources = null;
+        this.simplifiedViewBtn.setAttribute('aria-pressed', 'false');
+        this.simplifiedChanges.hidden = true;
+        
+        this.sanitizer.setHTML(this.contentDiv, formattedText);
+        this.contentDiv.setAttribute('lang', this.documentLanguage);
+        
+        // Add sentence spans to text nodes for highlighting
+        this.showSentences(this.addSentenceSpans(this.contentDiv));
+        this.simplifiedViewBtn.disabled = this.sentences.length === 0;
+    }
+    
+    showSentences({ sentences, blocks }) {
+        this.sentences = sentences;
+        this.documentBlocks = blocks;
+        this.measuredDurations = [];
+        this.exportCaptionsBtn.disabled = sentences.length === 0;
+        this.outline = new DocumentOutline(sentences, blocks);
+        this.renderOutline();
+        this.updateSearch({ announce: false });
         
         this.contentDiv.setAttribute('aria-label', `Document content with ${this.sentences.length} sentences`);
         
         // Update progress display
         this.totalSentencesSpan.textContent = this.sentences.length;
         this.updateProgress();
+        this.updateVoiceStatus();
     }
     
     addSentenceSpans(element) {
-        let sentenceIndex = 0;
-        
-        const walker = document.createTreeWalker(
-            element,
-            NodeFilter.SHOW_TEXT,
-            null,
-            false
-        );
-        
-        const textNodes = [];
-        let node;
-        while (node = walker.nextNode()) {
-            if (node.textContent.trim()) {
-                textNodes.push(node);
-            }
+        return this.segmenter.wrapElement(element);
+    }
+
+    toggleSimplifiedView() {
+        if (this.sentences.length === 0) return;
+        
+        const wasPlaying = this.isPlaying;
+        const original = this.originalIndex(this.currentSentence);
+        this.stopCurrentSentence();
+        this.wordHighlighter.clear();
+        this.readingSection = null;
+        
+        if (this.originalView) {
+            this.contentDiv.replaceChildren(...this.originalView.nodes);
+            const { sentences, blocks } = this.originalView;
+            this.originalView = null;
+            this.sentenceSources = null;
+            this.showSentences({ sentences, blocks });
+            this.simplifiedChanges.hidden = true;
+            this.announceToScreenReader('Showing the original text.');
+        } else {
+            this.showSimplifiedView();
         }
         
-        textNodes.forEach(textNode => {
-            const text = textNode.textContent;
-            const sentences = text.match(/[^\.!?]+[\.!?]+/g) || [text];
-            
-            if (sentences.length > 0) {
-                const span = document.createElement('span');
-                sentences.forEach((sentence, index) => {
-                    const sentenceSpan = document.createElement('span');
-                    sentenceSpan.className = 'sentence';
-                    sentenceSpan.setAttribute('data-index', sentenceIndex++);
-                    sentenceSpan.textContent = sentence;
-                    span.appendChild(sentenceSpan);
-                    if (index < sentences.length - 1) {
-                        span.appendChild(document.createTextNode(' '));
-                    }
-                });
-                textNode.parentNode.replaceChild(span, textNode);
-            }
+        this.simplifiedViewBtn.setAttribute('aria-pressed', String(Boolean(this.originalView)));
+        this.contentDiv.querySelectorAll('.current-sentence, .barrier-highlight')
+            .forEach(el => el.classList.remove('current-sentence', 'barrier-highlight'));
+        this.currentSentence = this.displayIndex(original);
+        this.highlightSentence(this.currentSentence);
+        this.updateProgress();
+        this.renderBookmarks();
+        this.renderAnnotations();
+        
+        if (wasPlaying) {
+            this.restartCurrentSentence();
+        }
+    }
+
+    showSimplifiedView() {
+        // The simplifier works on a copy, so switching back restores the original nodes untouched.
+        // Words wrapped for highlighting are text again before the copy is segmented.
+        const copy = this.contentDiv.cloneNode(true);
+        this.wordHighlighter.unwrapWords(copy);
+        const changes = this.simplifier.simplify(copy, this.sentences);
+        this.originalView = {
+            sentences: this.sentences,
+            blocks: this.documentBlocks,
+            nodes: Array.from(this.contentDiv.childNodes)
+        };
+        this.contentDiv.replaceChildren(...copy.childNodes);
+        
+        const simplified = this.addSentenceSpans(this.contentDiv);
+        let previous = 0;
+        this.sentenceSources = simplified.sentences.map((sentence, index) => {
+            const span = this.contentDiv.querySelector(`.sentence[data-index="${index}"]`);
+            const source = span && span.closest('[data-source]');
+            previous = source ? Number(source.getAttribute('data-source')) : previous;
+            return previous;
         });
+        this.showSentences(simplified);
+        this.renderSimplificationChanges(changes);
+        
+        const summary = changes.length === 0
+            ? 'No changes were needed.'
+            : `${changes.length} change${changes.length === 1 ? '' : 's'}, listed under What Changed.`;
+        this.announceToScreenReader(`Showing the simplified text, ${this.sentences.length} sentences. ${summary}`);
     }
 
-    toggleAccessibilityMode() {
-        this.accessibilityMode = !this.accessibilityMode;
-        document.body.classList.toggle('accessibility-mode', this.accessibilityMode);
+    renderSimplificationChanges(changes) {
+        const diff = (change, side) => {
+            if (change.kind !== 'sentence') {
+                return FileExport.escapeMarkup(side === 'removed' ? change.original : change.simplified);
+            }
+            return DocumentSimplifier.diffWords(change.original, change.simplified)
+                .filter(part => part.type === 'same' || part.type === side)
+                .map(part => {
+                    const text = FileExport.escapeMarkup(part.text);
+                    if (part.type === 'same') return text;
+                    return side === 'removed' ? `<del>${text}</del>` : `<ins>${text}</ins>`;
+                })
+                .join(' ');
+        };
         
-        this.accessibilityBtn.textContent = this.accessibilityMode ? 'Normal Mode' : 'Accessibility Mode';
+        this.simplifiedChanges.hidden = false;
+        if (changes.length === 0) {
+            this.sanitizer.setHTML(this.changesList, '<p>The document has no long sentences, dense paragraphs, inline lists or abbreviations to rewrite.</p>');
+            return;
+        }
         
-        if (this.accessibilityMode) {
-            this.modeDescription.innerHTML = '<strong>Accessibility Mode Active:</strong> High contrast, large text, and optimized formatting for enhanced readability.';
-        } else {
-            this.modeDescription.innerHTML = '<strong>Normal Mode Active:</strong> Standard text formatting with accessibility features available.';
+        this.sanitizer.setHTML(this.changesList, `
+            <table class="changes-table">
+                <thead>
+                    <tr><th scope="col">Where</th><th scope="col">Original</th><th scope="col">Simplified</th><th scope="col">Why</th></tr>
+                </thead>
+                <tbody>
+                    ${changes.map(change => `
+                        <tr>
+                            <th scope="row">
+                                <button type="button" data-source="${change.source}">
+                                    ${change.kind === 'sentence' ? 'Sentence' : 'Paragraph at sentence'} ${change.source + 1}
+                                </button>
+                            </th>
+                            <td class="diff-original">${diff(change, 'removed')}</td>
+                            <td class="diff-simplified">${diff(change, 'added')}</td>
+                            <td>${change.reasons.map(reason => FileExport.escapeMarkup(reason)).join(', ')}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `);
+    }
+
+    // Positions, bookmarks and barrier locations always refer to sentences of the original
+    // text; these convert between those and the sentences currently shown
+    originalIndex(index) {
+        return this.sentenceSources ? this.sentenceSources[index] : index;
+    }
+
+    displayIndex(original) {
+        if (!this.sentenceSources) return original;
+        const index = this.sentenceSources.findIndex(source => source >= original);
+        return index === -1 ? this.sentences.length - 1 : index;
+    }
+
+    originalSentences() {
+        return this.originalView ? this.originalView.sentences : this.sentences;
+    }
+
+    renderOutline() {
+        const headings = this.outline.headings;
+        this.outlineEmpty.hidden = headings.length > 0;
+        this.readSectionBtn.disabled = this.sentences.length === 0;
+        
+        // Nest each heading under the closest preceding heading of a higher level
+        const root = { level: 0, children: [] };
+        const stack = [root];
+        headings.forEach(heading => {
+            while (stack[stack.length - 1].level >= heading.level) stack.pop();
+            const node = { level: heading.level, heading, children: [] };
+            stack[stack.length - 1].children.push(node);
+            stack.push(node);
+        });
+        
+        const renderItems = (nodes) => nodes.map(node => `
+            <li>
+                <button type="button" class="outline-link" data-sentence="${node.heading.start}">${FileExport.escapeMarkup(node.heading.title)}</button>
+                ${node.children.length > 0 ? `<ol>${renderItems(node.children)}</ol>` : ''}
+            </li>
+        `).join('');
+        this.sanitizer.setHTML(this.outlineList, renderItems(root.children));
+    }
+
+    handleOutlineClick(event) {
+        const link = event.target.closest('.outline-link');
+        if (!link) return;
+        
+        const heading = this.outline.sectionAt(Number(link.getAttribute('data-sentence')));
+        this.goToSentence(heading.start);
+        this.announceToScreenReader(`Heading level ${heading.level}: ${heading.title}`);
+    }
+
+    jumpToHeading(direction) {
+        const heading = direction > 0
+            ? this.outline.nextHeading(this.currentSentence)
+            : this.outline.previousHeading(this.currentSentence);
+        if (!heading) {
+            this.announceToScreenReader(direction > 0 ? 'No next heading.' : 'No previous heading.');
+            return;
         }
         
-        this.saveSettings();
-        this.announceToScreenReader(`${this.accessibilityMode ? 'Accessibility' : 'Normal'} mode activated`);
+        this.goToSentence(heading.start);
+        this.announceToScreenReader(`Heading level ${heading.level}: ${heading.title}`);
     }
 
-    togglePlayback() {
-        if (this.isPlaying) {
-            this.pauseReading();
-        } else {
-            this.startReading();
+    jumpToParagraph(direction) {
+        const paragraph = direction > 0
+            ? this.outline.nextParagraph(this.currentSentence)
+            : this.outline.previousParagraph(this.currentSentence);
+        if (!paragraph) {
+            this.announceToScreenReader(direction > 0 ? 'No next paragraph.' : 'No previous paragraph.');
+            return;
         }
+        
+        this.goToSentence(paragraph.start);
+        this.announceToScreenReader(`Paragraph at sentence ${paragraph.start + 1}: ${this.sentences[paragraph.start]}`);
     }
 
-    startReading() {
+    // Plays from the start of the current section up to the next heading of the same or a higher level
+    readSection() {
         if (this.sentences.length === 0) {
             this.announceToScreenReader('No document loaded. Please upload a file first.');
             return;
         }
+        
+        const section = this.outline.sectionRange(this.currentSentence);
+        if (this.isPlaying) {
+            this.pauseReading();
+        }
+        
+        this.currentSentence = section.start;
+        this.readingSection = section;
+        this.announceToScreenReader(section.title ? `Reading section: ${section.title}` : 'Reading up to the first heading');
+        this.startReading();
+    }
 
-        this.isPlaying = true;
-        this.playButton.textContent = '⏸ Pause';
-        this.playButton.setAttribute('aria-label', 'Pause text-to-speech');
+    updateCurrentSection() {
+        const section = this.outline.sectionAt(this.currentSentence);
+        this.currentSectionSpan.textContent = section ? section.title : '';
+        this.currentSectionSpan.hidden = !section;
         
-        this.readCurrentSentence();
+        this.outlineList.querySelectorAll('.outline-link').forEach(link => {
+            const isCurrent = section !== null && Number(link.getAttribute('data-sentence')) === section.start;
+            if (isCurrent) {
+                link.setAttribute('aria-current', 'location');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+        return section;
     }
 
-    pauseReading() {
-        this.isPlaying = false;
-        this.playButton.textContent = '▶ Play';
-        this.playButton.setAttribute('aria-label', 'Play text-to-speech');
+    // Finds the search box's text in the displayed sentences, marking every match
+    updateSearch({ announce = true } = {}) {
+        this.searchMatches = this.search.find(this.sentences, this.searchInput.value, {
+            matchCase: this.searchMatchCaseCheckbox.checked,
+            wholeWord: this.searchWholeWordCheckbox.checked
+        });
+        this.searchIndex = -1;
+        this.renderSearchHighlights();
+        this.renderSearchResults();
         
-        if (this.utterance) {
-            this.speechSynth.cancel();
+        // The count is announced once typing pauses, not after every keystroke
+        clearTimeout(this.searchAnnounceTimer);
+        if (announce && this.searchInput.value.trim()) {
+            this.searchAnnounceTimer = setTimeout(() => this.announceToScreenReader(this.searchSummary()), SEARCH_ANNOUNCE_DELAY_MS);
         }
     }
 
-    readCurrentSentence() {
-        if (!this.isPlaying || this.currentSentence >= this.sentences.length) {
-            this.pauseReading();
+    searchSummary() {
+        const count = this.searchMatches.length;
+        if (count === 0) return `No matches for "${this.searchInput.value.trim()}".`;
+        
+        const sentences = new Set(this.searchMatches.map(match => match.sentence)).size;
+        return `${count} match${count === 1 ? '' : 'es'} in ${sentences} sentence${sentences === 1 ? '' : 's'}.`;
+    }
+
+    stepMatch(direction) {
+        if (this.searchMatches.length === 0) {
+            clearTimeout(this.searchAnnounceTimer);
+            this.announceToScreenReader(this.searchInput.value.trim() ? this.searchSummary() : 'Type what to find in the search box first.');
             return;
         }
-
-        // Highlight current sentence
-        this.highlightSentence(this.currentSentence);
         
-        // Create speech utterance with natural voice
-        this.utterance = new SpeechSynthesisUtterance(this.sentences[this.currentSentence]);
+        const { index, wrapped } = this.search.step(this.searchMatches, this.searchIndex, this.currentSentence, direction);
+        this.goToMatch(index, wrapped ? (direction > 0 ? 'Continuing from the top. ' : 'Continuing from the end. ') : '');
+    }
+
+    goToMatch(index, prefix = '') {
+        const match = this.searchMatches[index];
+        if (!match) return;
         
-        // Get the best available voice
-        const voices = this.speechSynth.getVoices();
-        const preferredVoice = voices.find(voice => 
-            voice.name.includes('Natural') || 
-            voice.name.includes('Enhanced') ||
-            voice.name.includes('Premium') ||
-            voice.name.includes('Neural') ||
-            (voice.lang.startsWith('en') && voice.localService)
-        ) || voices.find(voice => voice.lang.startsWith('en')) || voices[0];
+        clearTimeout(this.searchAnnounceTimer);
+        this.searchIndex = index;
+        this.goToSentence(match.sentence);
+        this.renderSearchHighlights();
+        this.renderSearchResults();
         
-        if (preferredVoice) {
-            this.utterance.voice = preferredVoice;
+        // While reading, the sentence itself is heard; while paused, say what was found
+        const where = `${prefix}Match ${index + 1} of ${this.searchMatches.length}, sentence ${match.sentence + 1}`;
+        this.announceToScreenReader(this.isPlaying ? `${where}.` : `${where}: ${this.sentences[match.sentence]}`);
+    }
+
+    // Starts reading at the current match, or at the next one when none has been gone to yet
+    readFromMatch() {
+        if (this.searchMatches.length === 0) {
+            this.stepMatch(1);
+            return;
+        }
+        if (this.searchIndex === -1) {
+            this.searchIndex = this.search.step(this.searchMatches, -1, this.currentSentence, 1).index;
         }
         
-        this.utterance.rate = parseFloat(this.speedSlider.value);
-        this.utterance.pitch = 1.1;
-        this.utterance.volume = 1;
-
-        // Set up event handlers
-        this.utterance.onend = () => {
-            this.currentSentence++;
-            this.updateProgress();
-            
-            if (this.currentSentence < this.sentences.length && this.isPlaying) {
-                setTimeout(() => this.readCurrentSentence(), 200);
-            } else {
-                this.pauseReading();
-                this.announceToScreenReader('Document reading complete.');
-            }
-        };
-
-        this.utterance.onerror = (event) => {
-            console.error('Speech synthesis error:', event);
+        const match = this.searchMatches[this.searchIndex];
+        if (this.isPlaying) {
             this.pauseReading();
-        };
+        }
+        this.currentSentence = match.sentence;
+        this.renderSearchHighlights();
+        this.renderSearchResults();
+        this.announceToScreenReader(`Reading from match ${this.searchIndex + 1} of ${this.searchMatches.length}`);
+        this.startReading();
+    }
 
-        // Start speaking
-        this.speechSynth.speak(this.utterance);
-        this.updateProgress();
+    // Browsers with the CSS Custom Highlight API mark the matched text itself; others mark
+    // the sentences holding a match. The current match is marked more strongly.
+    renderSearchHighlights() {
+        this.contentDiv.querySelectorAll('.search-match, .search-current')
+            .forEach(el => el.classList.remove('search-match', 'search-current'));
+        
+        const current = this.searchMatches[this.searchIndex];
+        const bySentence = new Map();
+        this.searchMatches.forEach(match => {
+            if (!bySentence.has(match.sentence)) bySentence.set(match.sentence, []);
+            bySentence.get(match.sentence).push(match);
+        });
+        
+        if (typeof CSS === 'undefined' || !CSS.highlights || typeof Highlight !== 'function') {
+            bySentence.forEach((matches, sentence) => {
+                this.contentDiv.querySelectorAll(`.sentence[data-index="${sentence}"]`)
+                    .forEach(el => el.classList.add(matches.includes(current) ? 'search-current' : 'search-match'));
+            });
+            return;
+        }
+        
+        const matchRanges = [];
+        const currentRanges = [];
+        bySentence.forEach((matches, sentence) => {
+            const spans = Array.from(this.contentDiv.querySelectorAll(`.sentence[data-index="${sentence}"]`));
+            this.search.ranges(spans, this.sentences[sentence], matches).forEach((range, i) => {
+                if (range) (matches[i] === current ? currentRanges : matchRanges).push(range);
+            });
+        });
+        CSS.highlights.set('search-match', new Highlight(...matchRanges));
+        CSS.highlights.set('search-current', new Highlight(...currentRanges));
     }
 
-    highlightSentence(index) {
-        // Remove previous highlights
-        document.querySelectorAll('.current-sentence').forEach(el => {
-            el.classList.remove('current-sentence');
+    // A visual list of the matches with the text around each, for finding them without audio
+    renderSearchResults() {
+        const count = this.searchMatches.length;
+        const query = this.searchInput.value.trim();
+        [this.searchNextBtn, this.searchPreviousBtn, this.searchReadBtn].forEach(button => {
+            button.disabled = count === 0;
         });
+        this.searchCount.textContent = !query ? ''
+            : count === 0 ? 'No matches'
+            : this.searchIndex !== -1 ? `Match ${this.searchIndex + 1} of ${count}`
+            : count > SEARCH_RESULT_LIMIT ? `${count} matches, the first ${SEARCH_RESULT_LIMIT} listed`
+            : `${count} match${count === 1 ? '' : 'es'}`;
+        
+        this.sanitizer.setHTML(this.searchResults, this.searchMatches.slice(0, SEARCH_RESULT_LIMIT).map((match, index) => {
+            const { before, match: text, after } = this.search.excerpt(this.sentences[match.sentence], match);
+            return `
+                <li>
+                    <button type="button" class="bookmark-jump" data-match="${index}"${index === this.searchIndex ? ' aria-current="true"' : ''}>
+                        <strong>Sentence ${match.sentence + 1}:</strong> ${FileExport.escapeMarkup(before)}<mark>${FileExport.escapeMarkup(text)}</mark>${FileExport.escapeMarkup(after)}
+                    </button>
+                </li>
+            `;
+        }).join(''));
+    }
 
-        // Add highlight to current sentence
-        const sentenceElement = document.querySelector(`[data-index="${index}"]`);
-        if (sentenceElement) {
-            sentenceElement.classList.add('current-sentence');
-            sentenceElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    setMode(mode) {
+        if (!READING_MODES[mode] || mode === this.mode) return;
+        
+        // Switching between speech and silent stepping mid-sentence would leave both running
+        if (this.isPlaying) {
+            this.pauseReading();
         }
+        
+        this.mode = mode;
+        this.applyMode();
+        this.saveSettings();
+        this.announceToScreenReader(`${READING_MODES[mode].label} mode activated`);
     }
 
-    updateProgress() {
-        this.currentSentenceSpan.textContent = this.currentSentence + 1;
+    applyMode() {
+        document.body.classList.toggle('accessibility-mode', this.mode === 'vision');
+        document.body.classList.toggle('hearing-mode', this.mode === 'hearing');
+        
+        this.modeSelect.value = this.mode;
+        this.sanitizer.setHTML(this.modeDescription, READING_MODES[this.mode].description);
+        this.positionRuler();
     }
 
-    updateSpeed(speed) {
-        if (this.utterance && this.isPlaying) {
-            // Cancel current utterance and restart with new speed
-            this.speechSynth.cancel();
-            setTimeout(() => this.readCurrentSentence(), 200);
+    setWordHighlight(style) {
+        this.wordHighlight = ['underline', 'background', 'off'].includes(style) ? style : 'underline';
+        this.applyWordHighlight();
+        
+        if (this.wordHighlight === 'off') {
+            this.wordHighlighter.stop();
+            this.wordHighlighter.clear();
         }
+        this.saveSettings();
     }
 
-    resetPlayback() {
-        this.currentSentence = 0;
-        this.pauseReading();
-        this.updateProgress();
+    applyDisplay() {
+        this.displayPreferences.apply(this.display, document.body);
+        this.renderDisplayForm();
+        this.positionRuler();
+    }
+
+    renderDisplayForm() {
+        const display = this.display;
+        this.displayFontSelect.value = display.font;
+        this.displayColumnSelect.value = display.columnWidth === null ? '' : String(display.columnWidth);
+        this.displayRanges.forEach(input => {
+            input.value = display[input.name];
+        });
+        this.displayCustomColorsCheckbox.checked = display.customColors;
+        Object.entries(this.displayColorInputs).forEach(([name, input]) => {
+            input.value = display[name];
+            input.disabled = !display.customColors;
+        });
+        this.displayFocusSelect.value = display.focus;
+        this.renderDisplayValues();
         
-        // Remove all highlights
-        document.querySelectorAll('.current-sentence').forEach(el => {
-            el.classList.remove('current-sentence');
+        const profiles = Object.keys(this.displayProfiles).sort((a, b) => a.localeCompare(b));
+        const options = [['', 'Default'], ...profiles.map(name => [name, name])].map(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            return option;
         });
+        this.displayProfileSelect.replaceChildren(...options);
+        this.displayProfileSelect.value = this.displayProfile || '';
+        this.displayProfileNameInput.value = this.displayProfile || '';
+        this.deleteDisplayProfileBtn.disabled = !this.displayProfile;
+    }
+
+    // The value shown beside each slider, and the contrast of the custom colors
+    renderDisplayValues() {
+        this.displayRanges.forEach(input => {
+            const value = this.display[input.name];
+            const text = /Scale$/.test(input.name) ? `${Math.round(value * 100)}%` : `+${value} em`;
+            document.getElementById(`${input.id}-value`).textContent = text;
+            input.setAttribute('aria-valuetext', text);
+        });
+        
+        if (!this.display.customColors) {
+            this.displayContrast.textContent = 'Turn on "Use my colors" to choose the text, background and current sentence colors.';
+            return;
+        }
+        this.sanitizer.setHTML(this.displayContrast, this.displayPreferences.contrast(this.display).map(({ label, ratio, level }) => {
+            const shown = `${label}: ${(Math.floor(ratio * 10) / 10).toFixed(1)}:1`;
+            return level
+                ? `${shown}, passes WCAG ${level}.`
+                : `<span class="contrast-fail">${shown}, below the WCAG AA minimum of ${CONTRAST_AA}:1.</span>`;
+        }).join(' '));
+    }
+
+    updateDisplay(control) {
+        const previousFont = this.display.font;
+        const colors = {};
+        Object.entries(this.displayColorInputs).forEach(([name, input]) => {
+            colors[name] = input.value;
+        });
+        const ranges = {};
+        this.displayRanges.forEach(input => {
+            ranges[input.name] = Number(input.value);
+        });
+        
+        this.display = this.displayPreferences.normalize({
+            font: this.displayFontSelect.value,
+            columnWidth: this.displayColumnSelect.value === '' ? null : Number(this.displayColumnSelect.value),
+            ...ranges,
+            customColors: this.displayCustomColorsCheckbox.checked,
+            ...colors,
+            focus: this.displayFocusSelect.value
+        });
+        this.displayPreferences.apply(this.display, document.body);
+        this.renderDisplayValues();
+        if (control === this.displayCustomColorsCheckbox) {
+            Object.values(this.displayColorInputs).forEach(input => {
+                input.disabled = !this.display.customColors;
+            });
+        }
+        this.positionRuler();
+        this.saveSettings();
+        
+        if (this.display.font === 'dyslexic' && previousFont !== 'dyslexic') this.checkDyslexiaFont();
+    }
+
+    // The OpenDyslexic files ship in fonts/, but say so if they failed to load and the fallback is in use
+    checkDyslexiaFont() {
+        if (!document.fonts) return;
+        const missing = () => {
+            this.displayStatus.textContent = 'OpenDyslexic could not be loaded, so a similar font is used.';
+        };
+        document.fonts.load('1em OpenDyslexic').then(faces => {
+            if (faces.length === 0) missing();
+        }, missing);
+    }
+
+    saveDisplayProfile() {
+        const name = this.displayProfileNameInput.value.trim();
+        if (!name) {
+            this.displayStatus.textContent = 'Type a name for the profile.';
+            this.displayProfileNameInput.focus();
+            return;
+        }
+        
+        const replaced = Boolean(this.displayProfiles[name]);
+        this.displayProfiles[name] = { ...this.display };
+        this.displayProfile = name;
+        this.saveSettings();
+        this.renderDisplayForm();
+        this.displayStatus.textContent = `Profile "${name}" ${replaced ? 'updated' : 'saved'}.`;
+    }
+
+    loadDisplayProfile(name) {
+        this.display = name ? { ...this.displayProfiles[name] } : this.displayPreferences.normalize();
+        this.displayProfile = name || null;
+        this.applyDisplay();
+        this.saveSettings();
+        this.displayStatus.textContent = `Profile "${name || 'Default'}" loaded.`;
+    }
+
+    deleteDisplayProfile() {
+        const name = this.displayProfile;
+        if (!name) return;
+        
+        // The preferences in use stay as they are; only the saved copy goes
+        delete this.displayProfiles[name];
+        this.displayProfile = null;
+        this.saveSettings();
+        this.renderDisplayForm();
+        this.displayStatus.textContent = `Profile "${name}" deleted.`;
+    }
+
+    resetDisplay() {
+        this.display = this.displayPreferences.normalize();
+        this.displayProfile = null;
+        this.applyDisplay();
+        this.saveSettings();
+        this.displayStatus.textContent = 'Display preferences reset to the defaults.';
+    }
+
+    // The reading ruler is a band across the document pane at the lines of the current sentence
+    positionRuler() {
+        const spans = this.display.focus === 'ruler'
+            ? Array.from(this.contentDiv.querySelectorAll('.current-sentence'))
+            : [];
+        const rects = spans.flatMap(span => Array.from(span.getClientRects()));
+        if (rects.length === 0) {
+            this.readingRuler.hidden = true;
+            return;
+        }
+        
+        const container = this.readingRuler.parentElement.getBoundingClientRect();
+        const pane = this.contentDiv.getBoundingClientRect();
+        const top = Math.min(...rects.map(rect => rect.top));
+        const bottom = Math.max(...rects.map(rect => rect.bottom));
+        Object.assign(this.readingRuler.style, {
+            top: `${top - container.top - 4}px`,
+            height: `${bottom - top + 8}px`,
+            left: `${pane.left - container.left}px`,
+            width: `${pane.width}px`
+        });
+        this.readingRuler.hidden = false;
+    }
+
+    applyWordHighlight() {
+        document.body.classList.toggle('word-highlight-underline', this.wordHighlight === 'underline');
+        document.body.classList.toggle('word-highlight-background', this.wordHighlight === 'background');
+        this.wordHighlightSelect.value = this.wordHighlight;
+    }
+
+    startWordHighlighting(startOffset, msPerWord) {
+        if (this.wordHighlight === 'off') return;
+        this.wordHighlighter.start(this.currentSentence, this.sentences[this.currentSentence], startOffset, msPerWord);
+        // Wrapping the sentence's words replaced the text its search highlights were on
+        if (this.searchMatches.some(match => match.sentence === this.currentSentence)) {
+            this.renderSearchHighlights();
+        }
+    }
+
+    isSilent() {
+        return this.mode === 'hearing';
+    }
+
+    updateWordsPerMinute(value) {
+        const wpm = parseInt(value, 10);
+        if (isNaN(wpm)) return;
+        
+        this.wordsPerMinute = Math.min(600, Math.max(60, wpm));
+        this.wpmInput.value = this.wordsPerMinute;
+        this.saveSettings();
+    }
+
+    togglePlayback() {
+        if (this.isPlaying) {
+            this.pauseReading();
+        } else {
+            this.startReading();
+        }
+    }
+
+    startReading() {
+        if (this.sentences.length === 0) {
+            this.announceToScreenReader('No document loaded. Please upload a file first.');
+            return;
+        }
+
+        this.isPlaying = true;
+        this.playButton.textContent = '⏸ Pause';
+        this.playButton.setAttribute('aria-label', 'Pause text-to-speech');
+        
+        this.readCurrentSentence();
+    }
+
+    pauseReading() {
+        this.isPlaying = false;
+        this.readingSection = null;
+        this.playButton.textContent = '▶ Play';
+        this.playButton.setAttribute('aria-label', 'Play text-to-speech');
+        
+        this.stopCurrentSentence();
+    }
+
+    stopCurrentSentence() {
+        clearTimeout(this.autoAdvanceTimer);
+        this.autoAdvanceTimer = null;
+        clearTimeout(this.sentencePauseTimer);
+        this.sentencePauseTimer = null;
+        this.wordHighlighter.stop();
+        
+        if (this.utterance) {
+            // Clear first so the cancelled utterance's end/error handlers are ignored
+            this.utterance = null;
+            if (!this.isSilent()) {
+                this.speechSynth.cancel();
+            }
+        }
+    }
+
+    restartCurrentSentence(startOffset = 0) {
+        this.stopCurrentSentence();
+        this.readAfterPause(startOffset);
+    }
+
+    readAfterPause(startOffset = 0) {
+        clearTimeout(this.sentencePauseTimer);
+        this.sentencePauseTimer = setTimeout(() => {
+            this.sentencePauseTimer = null;
+            this.readCurrentSentence(startOffset);
+        }, SENTENCE_PAUSE_MS);
+    }
+
+    advanceSentence() {
+        this.currentSentence++;
+        this.updateProgress();
+        
+        const section = this.readingSection;
+        if (section && this.currentSentence >= section.end) {
+            this.pauseReading();
+            this.announceToScreenReader(section.title ? `End of section: ${section.title}.` : 'End of section.');
+        } else if (this.currentSentence < this.sentences.length && this.isPlaying) {
+            this.readAfterPause();
+        } else {
+            this.pauseReading();
+            this.announceToScreenReader('Document reading complete.');
+        }
+    }
+
+    readCurrentSentenceVisually() {
+        // Hearing mode: highlight for as long as the sentence takes to read at the chosen WPM
+        this.autoAdvanceTimer = setTimeout(() => {
+            this.autoAdvanceTimer = null;
+            this.advanceSentence();
+        }, this.visualDuration(this.currentSentence));
+        this.startWordHighlighting(0, 60000 / this.wordsPerMinute);
+        this.updateProgress();
+    }
+
+    visualDuration(index) {
+        const words = this.sentences[index].split(/\s+/).filter(w => w.length > 0).length;
+        return Math.max(800, (words / this.wordsPerMinute) * 60000);
+    }
+
+    readCurrentSentence(startOffset = 0) {
+        if (!this.isPlaying || this.currentSentence >= this.sentences.length) {
+            this.pauseReading();
+            return;
+        }
+
+        // Highlight current sentence
+        this.highlightSentence(this.currentSentence);
+        
+        if (this.isSilent()) {
+            this.readCurrentSentenceVisually();
+            return;
+        }
+        
+        // Create speech utterance with natural voice, resuming mid-sentence after a speed change
+        const utterance = new SpeechSynthesisUtterance(this.sentences[this.currentSentence].slice(startOffset));
+        this.utterance = utterance;
+        this.spokenOffset = startOffset;
+        
+        // Passages marked in another language are read with a voice for that language
+        const language = this.sentenceLanguage(this.currentSentence);
+        const voice = this.voiceFor(language);
+        this.utterance.lang = language;
+        if (voice) {
+            this.utterance.voice = voice;
+        }
+        
+        this.utterance.rate = parseFloat(this.speedSlider.value);
+        this.utterance.pitch = parseFloat(this.pitchSlider.value);
+        this.utterance.volume = parseFloat(this.volumeSlider.value);
+
+        // Whole sentences are timed from the moment they are queued, structure cue included
+        const index = this.currentSentence;
+        const queuedAt = performance.now();
+
+        // Set up event handlers
+        this.utterance.onstart = () => {
+            if (utterance !== this.utterance) return;
+            // Estimated until the voice reports real word boundaries
+            this.startWordHighlighting(startOffset, 60000 / (SPEECH_WORDS_PER_MINUTE * utterance.rate));
+        };
+
+        this.utterance.onboundary = (event) => {
+            if (utterance !== this.utterance) return;
+            if (!event.name || event.name === 'word') {
+                this.spokenOffset = startOffset + event.charIndex;
+            }
+            if (this.wordHighlight !== 'off') {
+                this.wordHighlighter.onBoundary(event);
+            }
+        };
+
+        this.utterance.onend = () => {
+            if (utterance !== this.utterance) return;
+            if (startOffset === 0) {
+                this.measuredDurations[index] = { duration: performance.now() - queuedAt, rate: utterance.rate };
+            }
+            this.utterance = null;
+            this.advanceSentence();
+        };
+
+        this.utterance.onerror = (event) => {
+            if (utterance !== this.utterance) return;
+            console.error('Speech synthesis error:', event);
+            this.pauseReading();
+        };
+
+        // Start speaking, first naming any list, table row, quote or code block the sentence opens
+        const cue = startOffset === 0 ? this.structureCue(this.currentSentence) : '';
+        if (cue) {
+            this.speechSynth.speak(this.cueUtterance(cue));
+        }
+        this.speechSynth.speak(this.utterance);
+        this.updateProgress();
+    }
+
+    // The structure a sentence opens, in words, since the markup that shows it on screen is not
+    // read aloud, e.g. "quote, list, 3 items" or "table row 2"
+    structureCue(index) {
+        const span = this.contentDiv.querySelector(`.sentence[data-index="${index}"]`);
+        if (!span) return '';
+        
+        const cues = [];
+        for (let element = span.parentElement; element && element !== this.contentDiv; element = element.parentElement) {
+            if (element.querySelector('.sentence') !== span) continue;
+            
+            const tag = element.tagName;
+            if (tag === 'UL' || tag === 'OL') {
+                const items = element.querySelectorAll(':scope > li').length;
+                cues.unshift(`list, ${items} item${items === 1 ? '' : 's'}`);
+            } else if (tag === 'TR') {
+                const rows = Array.from(element.closest('table').rows);
+                cues.unshift(`table row ${rows.indexOf(element) + 1}`);
+            } else if (tag === 'TABLE') {
+                cues.unshift(`table, ${element.rows.length} rows, ${element.rows[0].cells.length} columns`);
+            } else if (tag === 'BLOCKQUOTE') {
+                cues.unshift('quote');
+            } else if (tag === 'PRE') {
+                cues.unshift('code block');
+            }
+        }
+        return cues.join(', ');
+    }
+
+    cueUtterance(text) {
+        // Cues are interface text, so they are spoken in English like the other announcements
+        const utterance = new SpeechSynthesisUtterance(text);
+        const voice = this.voiceFor('en');
+        utterance.lang = 'en';
+        if (voice) {
+            utterance.voice = voice;
+        }
+        utterance.rate = parseFloat(this.speedSlider.value);
+        utterance.pitch = parseFloat(this.pitchSlider.value);
+        utterance.volume = parseFloat(this.volumeSlider.value);
+        return utterance;
+    }
+
+    highlightSentence(index) {
+        // Remove previous highlights
+        document.querySelectorAll('.current-sentence').forEach(el => {
+            el.classList.remove('current-sentence');
+        });
+        this.wordHighlighter.clear();
+
+        // A sentence crossing inline formatting is made of several spans sharing one index
+        const sentenceElements = this.contentDiv.querySelectorAll(`.sentence[data-index="${index}"]`);
+        sentenceElements.forEach(el => el.classList.add('current-sentence'));
+        if (sentenceElements.length > 0) {
+            sentenceElements[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+        this.positionRuler();
+    }
+
+    updateProgress() {
+        const total = this.sentences.length;
+        const position = total > 0 ? Math.min(this.currentSentence + 1, total) : 0;
+        const percent = total > 0 ? Math.round((position / total) * 100) : 0;
+        
+        this.currentSentenceSpan.textContent = position;
+        this.progressFill.style.width = `${percent}%`;
+        this.progressBar.setAttribute('aria-valuenow', percent);
+        const section = this.updateCurrentSection();
+        this.progressBar.setAttribute('aria-valuetext', section
+            ? `Sentence ${position} of ${total}, section ${section.title}`
+            : `Sentence ${position} of ${total}`);
+        this.schedulePositionSave();
+    }
+
+    sentenceLanguage(index) {
+        // The language covering most of the sentence's text; the content root carries the
+        // document language, so every span has a [lang] ancestor
+        const lengths = new Map();
+        this.contentDiv.querySelectorAll(`.sentence[data-index="${index}"]`).forEach(span => {
+            const marked = span.closest('[lang]');
+            const language = marked ? marked.getAttribute('lang') : this.documentLanguage;
+            lengths.set(language, (lengths.get(language) || 0) + span.textContent.length);
+        });
+        
+        let best = this.documentLanguage;
+        let bestLength = 0;
+        lengths.forEach((length, language) => {
+            if (length > bestLength) {
+                best = language;
+                bestLength = length;
+            }
+        });
+        return best;
+    }
+
+    voiceFor(language) {
+        const chosen = this.voices.find(voice => voice.voiceURI === this.voiceURI) || null;
+        const primary = LanguageDetector.primary(language);
+        
+        // The chosen voice reads the document's own language, and any passage it can speak
+        if (chosen && (primary === LanguageDetector.primary(this.documentLanguage) || LanguageDetector.primary(chosen.lang) === primary)) {
+            return chosen;
+        }
+        return this.bestVoiceFor(language) || chosen;
+    }
+
+    bestVoiceFor(language) {
+        const primary = LanguageDetector.primary(language);
+        const candidates = this.voices.filter(voice => LanguageDetector.primary(voice.lang) === primary);
+        const exact = candidates.filter(voice => voice.lang.replace('_', '-').toLowerCase() === language.toLowerCase());
+        const pool = exact.length > 0 ? exact : candidates;
+        
+        return pool.find(voice => VOICE_QUALITY_HINTS.some(hint => voice.name.includes(hint)))
+            || pool.find(voice => voice.localService)
+            || pool[0]
+            || null;
+    }
+
+    renderVoiceOptions() {
+        const automatic = document.createElement('option');
+        automatic.value = '';
+        automatic.textContent = 'Automatic (matches the document)';
+        this.voiceSelect.replaceChildren(automatic);
+        
+        const groups = new Map();
+        this.voices.forEach(voice => {
+            const label = LanguageDetector.displayName(LanguageDetector.primary(voice.lang) || 'und');
+            if (!groups.has(label)) groups.set(label, []);
+            groups.get(label).push(voice);
+        });
+        
+        Array.from(groups.keys()).sort((a, b) => a.localeCompare(b)).forEach(label => {
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = label;
+            groups.get(label)
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .forEach(voice => {
+                    const option = document.createElement('option');
+                    option.value = voice.voiceURI;
+                    option.textContent = `${voice.name} (${voice.lang})`;
+                    optgroup.appendChild(option);
+                });
+            this.voiceSelect.appendChild(optgroup);
+        });
+        
+        // A saved voice that is not installed here falls back to automatic, but stays saved
+        this.voiceSelect.value = this.voices.some(voice => voice.voiceURI === this.voiceURI) ? this.voiceURI : '';
+    }
+
+    setVoice(voiceURI) {
+        this.voiceURI = voiceURI;
+        this.voiceSelect.value = voiceURI;
+        this.updateVoiceStatus();
+        this.updateVoiceSettings();
+        
+        const voice = this.voices.find(v => v.voiceURI === voiceURI);
+        this.announceToScreenReader(voice ? `Voice: ${voice.name}` : 'Voice: automatic');
+    }
+
+    updateVoiceStatus() {
+        if (this.sentences.length === 0) {
+            this.voiceStatus.hidden = true;
+            return;
+        }
+        
+        const languageName = LanguageDetector.displayName(this.documentLanguage);
+        const chosen = this.voices.find(voice => voice.voiceURI === this.voiceURI);
+        const suggested = this.bestVoiceFor(this.documentLanguage);
+        const describe = (voice) => `${voice.name} (${voice.lang})`;
+        this.voiceStatus.replaceChildren();
+        this.voiceStatus.hidden = false;
+        
+        if (!suggested) {
+            this.voiceStatus.textContent = `Document language: ${languageName}. No ${languageName} voice is installed, so ${chosen ? chosen.name : 'the default voice'} will be used.`;
+        } else if (!chosen) {
+            this.voiceStatus.textContent = `Document language: ${languageName}. Reading with ${describe(suggested)}.`;
+        } else if (LanguageDetector.primary(chosen.lang) === LanguageDetector.primary(this.documentLanguage)) {
+            this.voiceStatus.textContent = `Document language: ${languageName}. Reading with ${describe(chosen)}.`;
+        } else {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.dataset.voice = suggested.voiceURI;
+            button.textContent = `Use ${describe(suggested)}`;
+            this.voiceStatus.append(`This document appears to be in ${languageName}, but ${chosen.name} speaks ${LanguageDetector.displayName(LanguageDetector.primary(chosen.lang))}. `, button);
+        }
+    }
+
+    updateVoiceSettings() {
+        if (this.utterance && this.isPlaying) {
+            // Cancel current utterance and restart with the new settings from the word being spoken
+            const resumeOffset = this.wordHighlighter.receivedBoundary || this.wordHighlight === 'off'
+                ? this.spokenOffset
+                : this.wordHighlighter.currentOffset;
+            this.restartCurrentSentence(resumeOffset);
+        }
+        this.saveSettings();
+    }
+
+    resetPlayback() {
+        this.currentSentence = 0;
+        this.pauseReading();
+        this.updateProgress();
+        
+        // Remove all highlights
+        document.querySelectorAll('.current-sentence, .barrier-highlight').forEach(el => {
+            el.classList.remove('current-sentence', 'barrier-highlight');
+        });
+    }
+
+    async rememberDocument(text, language) {
+        if (!this.library.isSupported()) return;
+        
+        try {
+            const record = await this.library.addOrOpen({
+                text,
+                name: this.documentInfo.fileName,
+                format: this.documentInfo.format,
+                pageCount: this.documentInfo.pageCount,
+                language
+            });
+            this.currentDocument = record;
+            this.restorePosition(record);
+            this.renderBookmarks();
+            await this.reanchorAnnotations();
+            await this.renderLibrary();
+        } catch (error) {
+            console.error('Document library unavailable:', error);
+        }
+    }
+
+    async openFromLibrary(id) {
+        try {
+            const record = await this.library.get(id);
+            if (!record) {
+                this.announceToScreenReader('That document is no longer in the library.');
+                await this.renderLibrary();
+                return;
+            }
+            
+            this.documentInfo = { fileName: record.fileName, format: record.format, pageCount: record.pageCount };
+            this.processDocument(record.text, record.language);
+            this.analyzeAccessibility();
+            this.currentDocument = await this.library.update(id, { lastOpenedAt: Date.now() });
+            this.announceToScreenReader(`Document opened: ${record.name}. ${this.sentences.length} sentences ready for reading.`);
+            this.restorePosition(this.currentDocument);
+            this.renderBookmarks();
+            await this.reanchorAnnotations();
+            await this.renderLibrary();
+        } catch (error) {
+            this.showError('Error opening document from library: ' + error.message);
+        }
+    }
+
+    restorePosition(record) {
+        const total = this.originalSentences().length;
+        if (record.position > 0 && record.position < total) {
+            this.currentSentence = this.displayIndex(record.position);
+            this.highlightSentence(this.currentSentence);
+            this.updateProgress();
+            this.announceToScreenReader(`Resuming at sentence ${record.position + 1} of ${total}.`);
+        }
+    }
+
+    schedulePositionSave() {
+        if (!this.currentDocument || this.sentences.length === 0) return;
+        
+        clearTimeout(this.positionSaveTimer);
+        this.positionSaveTimer = setTimeout(() => {
+            const record = this.currentDocument;
+            if (!record) return;
+            
+            record.position = this.originalIndex(Math.min(this.currentSentence, this.sentences.length - 1));
+            this.library.update(record.id, { position: record.position, lastOpenedAt: Date.now() })
+                .catch(error => console.error('Could not save reading position:', error));
+        }, 500);
+    }
+
+    async renderLibrary() {
+        if (!this.library.isSupported()) {
+            this.librarySection.hidden = true;
+            return;
+        }
+        
+        let documents = [];
+        try {
+            documents = await this.library.list();
+        } catch (error) {
+            console.error('Document library unavailable:', error);
+            this.librarySection.hidden = true;
+            return;
+        }
+        
+        this.libraryEmpty.hidden = documents.length > 0;
+        this.sanitizer.setHTML(this.libraryList, documents.map(record => {
+            const name = FileExport.escapeMarkup(record.name);
+            const isCurrent = this.currentDocument && this.currentDocument.id === record.id;
+            const opened = new Date(record.lastOpenedAt).toLocaleDateString();
+            const bookmarks = record.bookmarks.length;
+            return `
+                <li class="library-item" data-id="${FileExport.escapeMarkup(record.id)}"${isCurrent ? ' aria-current="true"' : ''}>
+                    <button type="button" class="library-open" data-action="open">${name}</button>
+                    <span class="library-meta">${FileExport.escapeMarkup(record.format)} · sentence ${record.position + 1} · ${bookmarks} bookmark${bookmarks === 1 ? '' : 's'} · opened ${opened}</span>
+                    <button type="button" class="library-action" data-action="rename" aria-label="Rename ${name}">Rename</button>
+                    <button type="button" class="library-action" data-action="delete" aria-label="Delete ${name}">Delete</button>
+                </li>
+            `;
+        }).join(''));
+    }
+
+    handleLibraryClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+        
+        const item = button.closest('.library-item');
+        const id = item.getAttribute('data-id');
+        const action = button.getAttribute('data-action');
+        
+        if (action === 'open') {
+            this.openFromLibrary(id);
+        } else if (action === 'rename') {
+            this.showRenameForm(item);
+        } else if (action === 'delete') {
+            this.deleteFromLibrary(id, item.querySelector('.library-open').textContent);
+        } else if (action === 'cancel-rename') {
+            this.renderLibrary();
+        }
+    }
+
+    showRenameForm(item) {
+        const currentName = item.querySelector('.library-open').textContent;
+        this.sanitizer.setHTML(item, `
+            <form class="rename-form">
+                <label>New name <input type="text" name="name" value="${FileExport.escapeMarkup(currentName)}" required></label>
+                <button type="submit">Save</button>
+                <button type="button" data-action="cancel-rename">Cancel</button>
+            </form>
+        `);
+        const input = item.querySelector('input');
+        input.focus();
+        input.select();
+    }
+
+    async handleLibraryRename(event) {
+        event.preventDefault();
+        const item = event.target.closest('.library-item');
+        const name = event.target.elements.name.value.trim();
+        if (!item || !name) return;
+        
+        const id = item.getAttribute('data-id');
+        try {
+            const updated = await this.library.update(id, { name });
+            if (updated && this.currentDocument && this.currentDocument.id === id) {
+                this.currentDocument.name = name;
+            }
+            await this.renderLibrary();
+            this.announceToScreenReader(`Document renamed to ${name}`);
+            
+            const renamed = this.libraryList.querySelector(`.library-item[data-id="${id}"] .library-open`);
+            if (renamed) renamed.focus();
+        } catch (error) {
+            this.reportError('Could not rename the document: ' + error.message);
+        }
+    }
+
+    async deleteFromLibrary(id, name) {
+        if (!window.confirm(`Delete "${name}" from the library? Its reading position and bookmarks will be lost.`)) {
+            return;
+        }
+        
+        try {
+            await this.library.delete(id);
+            if (this.currentDocument && this.currentDocument.id === id) {
+                clearTimeout(this.positionSaveTimer);
+                this.currentDocument = null;
+                this.renderBookmarks();
+                this.renderAnnotations();
+            }
+            await this.renderLibrary();
+            this.announceToScreenReader(`${name} deleted from the library`);
+        } catch (error) {
+            this.reportError(`Could not delete ${name}: ${error.message}`);
+        }
+    }
+
+    async addBookmark(name) {
+        if (!this.currentDocument || this.sentences.length === 0) {
+            this.announceToScreenReader('Open a document before adding bookmarks.');
+            return;
+        }
+        
+        const sentence = this.originalIndex(Math.min(this.currentSentence, this.sentences.length - 1));
+        const bookmark = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            name: name.trim() || `Sentence ${sentence + 1}`,
+            sentence,
+            createdAt: Date.now()
+        };
+        const bookmarks = [...this.currentDocument.bookmarks, bookmark].sort((a, b) => a.sentence - b.sentence);
+        
+        try {
+            await this.library.update(this.currentDocument.id, { bookmarks });
+            this.currentDocument.bookmarks = bookmarks;
+            this.bookmarkNameInput.value = '';
+            this.renderBookmarks();
+            await this.renderLibrary();
+            this.announceToScreenReader(`Bookmark "${bookmark.name}" added at sentence ${sentence + 1}`);
+        } catch (error) {
+            this.reportError('Could not add the bookmark: ' + error.message);
+        }
+    }
+
+    async deleteBookmark(id) {
+        const bookmark = this.currentDocument.bookmarks.find(b => b.id === id);
+        const bookmarks = this.currentDocument.bookmarks.filter(b => b.id !== id);
+        try {
+            await this.library.update(this.currentDocument.id, { bookmarks });
+            this.currentDocument.bookmarks = bookmarks;
+            this.renderBookmarks();
+            await this.renderLibrary();
+            if (bookmark) {
+                this.announceToScreenReader(`Bookmark "${bookmark.name}" removed`);
+            }
+        } catch (error) {
+            this.reportError('Could not remove the bookmark: ' + error.message);
+        }
+    }
+
+    jumpToBookmark(direction) {
+        const bookmarks = this.currentDocument ? this.currentDocument.bookmarks : [];
+        const current = this.originalIndex(this.currentSentence);
+        const target = direction > 0
+            ? bookmarks.find(b => b.sentence > current)
+            : [...bookmarks].reverse().find(b => b.sentence < current);
+        
+        if (!target) {
+            this.announceToScreenReader(direction > 0 ? 'No later bookmarks.' : 'No earlier bookmarks.');
+            return;
+        }
+        this.goToSentence(this.displayIndex(target.sentence));
+        this.announceToScreenReader(`Bookmark "${target.name}", sentence ${target.sentence + 1}`);
+    }
+
+    handleBookmarkClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+        
+        const id = button.closest('li').getAttribute('data-id');
+        if (button.getAttribute('data-action') === 'delete') {
+            this.deleteBookmark(id);
+            return;
+        }
+        
+        const bookmark = this.currentDocument.bookmarks.find(b => b.id === id);
+        if (bookmark) {
+            this.goToSentence(this.displayIndex(bookmark.sentence));
+            this.announceToScreenReader(`Bookmark "${bookmark.name}", sentence ${bookmark.sentence + 1}`);
+        }
+    }
+
+    renderBookmarks() {
+        const bookmarks = this.currentDocument ? this.currentDocument.bookmarks : [];
+        
+        this.addBookmarkBtn.disabled = !this.currentDocument;
+        this.prevBookmarkBtn.disabled = bookmarks.length === 0;
+        this.nextBookmarkBtn.disabled = bookmarks.length === 0;
+        
+        this.sanitizer.setHTML(this.bookmarkList, bookmarks.map(bookmark => {
+            const excerpt = this.originalSentences()[bookmark.sentence] || '';
+            return `
+                <li data-id="${FileExport.escapeMarkup(bookmark.id)}">
+                    <button type="button" class="bookmark-jump" data-action="jump">
+                        <strong>${FileExport.escapeMarkup(bookmark.name)}</strong>, sentence ${bookmark.sentence + 1}: ${FileExport.escapeMarkup(excerpt.length > 60 ? `${excerpt.slice(0, 60)}…` : excerpt)}
+                    </button>
+                    <button type="button" class="library-action" data-action="delete" aria-label="Delete bookmark ${FileExport.escapeMarkup(bookmark.name)}">Delete</button>
+                </li>
+            `;
+        }).join(''));
+        
+        // Mark bookmarked sentences in the document itself
+        this.contentDiv.querySelectorAll('.bookmarked').forEach(el => el.classList.remove('bookmarked'));
+        bookmarks.forEach(bookmark => {
+            const first = this.contentDiv.querySelector(`.sentence[data-index="${this.displayIndex(bookmark.sentence)}"]`);
+            if (first) first.classList.add('bookmarked');
+        });
+    }
+
+    currentAnnotations() {
+        return this.currentDocument ? this.currentDocument.annotations || [] : [];
+    }
+
+    // The sentences, as original indexes, that the highlight buttons act on
+    annotationTargets() {
+        const indexes = this.selectedSentences.length > 0
+            ? this.selectedSentences
+            : [Math.min(this.currentSentence, this.sentences.length - 1)];
+        return [...new Set(indexes.map(index => this.originalIndex(index)))];
+    }
+
+    updateSelectedSentences() {
+        this.selectedSentences = [];
+        const selection = window.getSelection();
+        if (!selection || selection.isCollapsed || selection.rangeCount === 0) return;
+        
+        const range = selection.getRangeAt(0);
+        if (!this.contentDiv.contains(range.commonAncestorContainer)) return;
+        this.contentDiv.querySelectorAll('.sentence[data-index]').forEach(span => {
+            const index = Number(span.getAttribute('data-index'));
+            if (range.intersectsNode(span) && !this.selectedSentences.includes(index)) {
+                this.selectedSentences.push(index);
+            }
+        });
+    }
+
+    handleContentClick(event) {
+        const span = event.target.closest('.sentence[data-index]');
+        const selection = window.getSelection();
+        if (!span || event.target.closest('a') || (selection && !selection.isCollapsed)) return;
+        
+        this.goToSentence(Number(span.getAttribute('data-index')));
+    }
+
+    // Adds highlights to `targets`, or recolors them; a note given here replaces theirs. While
+    // an annotation is being edited from the notes list, only that one changes.
+    async saveAnnotation(targets, color, note) {
+        if (!this.currentDocument || this.sentences.length === 0) {
+            this.announceToScreenReader('Open a document before adding highlights.');
+            return;
+        }
+        
+        const now = Date.now();
+        let annotations = this.currentAnnotations();
+        const editing = annotations.find(annotation => annotation.id === this.editingAnnotation);
+        if (editing) {
+            annotations = annotations.map(annotation => annotation === editing
+                ? { ...annotation, color, note: note.trim(), updatedAt: now }
+                : annotation);
+        } else {
+            const sentences = this.originalSentences();
+            targets.forEach(sentence => {
+                const existing = annotations.find(annotation => annotation.sentence === sentence);
+                annotations = existing
+                    ? annotations.map(annotation => annotation === existing
+                        ? { ...annotation, color, note: note.trim() || annotation.note, updatedAt: now }
+                        : annotation)
+                    : [...annotations, this.annotator.create({ sentence, text: sentences[sentence], color, note })];
+            });
+        }
+        
+        try {
+            await this.storeAnnotations(this.annotator.sort(annotations));
+        } catch (error) {
+            this.reportError('Could not save the highlight: ' + error.message);
+            return;
+        }
+        this.stopEditingAnnotation();
+        this.clearSelectedSentences();
+        this.announceToScreenReader(editing
+            ? `Highlight on sentence ${editing.sentence + 1} updated`
+            : `${ANNOTATION_COLORS[color]} highlight added to ${targets.length === 1 ? `sentence ${targets[0] + 1}` : `${targets.length} sentences`}`);
+    }
+
+    async removeAnnotations(targets) {
+        if (!this.currentDocument) return;
+        
+        const annotations = this.currentAnnotations();
+        const remaining = annotations.filter(annotation => !targets.includes(annotation.sentence));
+        if (remaining.length === annotations.length) {
+            this.announceToScreenReader(targets.length === 1 ? 'This sentence has no highlight.' : 'The selected sentences have no highlights.');
+            return;
+        }
+        
+        try {
+            await this.storeAnnotations(remaining);
+        } catch (error) {
+            this.reportError('Could not remove the highlights: ' + error.message);
+            return;
+        }
+        this.clearSelectedSentences();
+        const removed = annotations.length - remaining.length;
+        this.announceToScreenReader(`${removed} highlight${removed === 1 ? '' : 's'} removed`);
+    }
+
+    toggleAnnotation() {
+        if (this.sentences.length === 0) return;
+        
+        const sentence = this.originalIndex(this.currentSentence);
+        if (this.currentAnnotations().some(annotation => annotation.sentence === sentence)) {
+            this.removeAnnotations([sentence]);
+        } else {
+            this.saveAnnotation([sentence], this.annotationColorSelect.value, '');
+        }
+    }
+
+    async deleteAnnotation(id) {
+        const annotation = this.currentAnnotations().find(a => a.id === id);
+        try {
+            await this.storeAnnotations(this.currentAnnotations().filter(a => a.id !== id));
+        } catch (error) {
+            this.reportError('Could not delete the highlight: ' + error.message);
+            return;
+        }
+        if (annotation) {
+            this.announceToScreenReader(`Highlight on ${annotation.sentence === null ? 'a missing sentence' : `sentence ${annotation.sentence + 1}`} deleted`);
+        }
+    }
+
+    editAnnotation(annotation) {
+        this.editingAnnotation = annotation.id;
+        this.annotationColorSelect.value = annotation.color;
+        this.annotationNoteInput.value = annotation.note;
+        this.addAnnotationBtn.textContent = 'Save changes';
+        if (annotation.sentence !== null) {
+            this.goToSentence(this.displayIndex(annotation.sentence));
+        }
+        this.annotationNoteInput.focus();
+    }
+
+    stopEditingAnnotation() {
+        this.editingAnnotation = null;
+        this.annotationNoteInput.value = '';
+        this.addAnnotationBtn.textContent = 'Highlight';
+    }
+
+    clearSelectedSentences() {
+        this.selectedSentences = [];
+        const selection = window.getSelection();
+        if (selection) selection.removeAllRanges();
+    }
+
+    // Saved before they are shown, so a failed save leaves the highlights as they were
+    async storeAnnotations(annotations) {
+        await this.library.update(this.currentDocument.id, { annotations });
+        this.currentDocument.annotations = annotations;
+        this.renderAnnotations();
+    }
+
+    // Annotations follow their sentence's text when the document is segmented differently than
+    // when they were made, or when they were carried over from an earlier version of the file
+    async reanchorAnnotations() {
+        const annotations = this.currentAnnotations();
+        if (annotations.length > 0) {
+            const result = this.annotator.reanchor(annotations, this.originalSentences());
+            if (result.moved > 0 || result.detached > 0) {
+                this.currentDocument.annotations = result.annotations;
+                await this.library.update(this.currentDocument.id, { annotations: result.annotations });
+            }
+            if (result.detached > 0) {
+                this.announceToScreenReader(`${result.detached} highlight${result.detached === 1 ? '' : 's'} could not be found in this version of the document and ${result.detached === 1 ? 'is' : 'are'} listed at the end of Highlights and Notes.`);
+            }
+        }
+        this.renderAnnotations();
+    }
+
+    handleAnnotationClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+        
+        const id = button.closest('li').getAttribute('data-id');
+        const annotation = this.currentAnnotations().find(a => a.id === id);
+        if (!annotation) return;
+        
+        const action = button.getAttribute('data-action');
+        if (action === 'delete') {
+            this.deleteAnnotation(id);
+        } else if (action === 'edit') {
+            this.editAnnotation(annotation);
+        } else if (annotation.sentence !== null) {
+            this.goToSentence(this.displayIndex(annotation.sentence));
+            this.announceToScreenReader(`Sentence ${annotation.sentence + 1}${annotation.note ? `, note: ${annotation.note}` : ''}`);
+        }
+    }
+
+    renderAnnotations() {
+        const annotations = this.currentAnnotations();
+        const shown = this.annotator.filter(annotations, {
+            query: this.annotationSearchInput.value,
+            color: this.annotationColorFilter.value
+        });
+        
+        this.addAnnotationBtn.disabled = !this.currentDocument;
+        this.removeAnnotationBtn.disabled = annotations.length === 0;
+        this.exportAnnotationsBtn.disabled = annotations.length === 0;
+        this.annotationCount.textContent = annotations.length === 0 ? ''
+            : shown.length === annotations.length ? `${annotations.length} highlight${annotations.length === 1 ? '' : 's'}`
+            : `Showing ${shown.length} of ${annotations.length} highlights`;
+        
+        this.sanitizer.setHTML(this.annotationList, shown.map(annotation => {
+            const where = annotation.sentence === null ? 'Not found in this version' : `Sentence ${annotation.sentence + 1}`;
+            const excerpt = annotation.text.length > 60 ? `${annotation.text.slice(0, 60)}…` : annotation.text;
+            return `
+                <li data-id="${FileExport.escapeMarkup(annotation.id)}">
+                    <button type="button" class="bookmark-jump" data-action="jump"${annotation.sentence === null ? ' disabled' : ''}>
+                        <span class="annotation-swatch highlight-${FileExport.escapeMarkup(annotation.color)}" aria-hidden="true"></span>
+                        <strong>${where}</strong> (${FileExport.escapeMarkup(ANNOTATION_COLORS[annotation.color] || annotation.color)}): ${FileExport.escapeMarkup(excerpt)}
+                        ${annotation.note ? `<br><em>${FileExport.escapeMarkup(annotation.note)}</em>` : ''}
+                    </button>
+                    <button type="button" class="library-action" data-action="edit" aria-label="Edit highlight on ${where}">Edit</button>
+                    <button type="button" class="library-action" data-action="delete" aria-label="Delete highlight on ${where}">Delete</button>
+                </li>
+            `;
+        }).join(''));
+        
+        // Color the highlighted sentences in the document itself
+        const colorClasses = Object.keys(ANNOTATION_COLORS).map(color => `highlight-${color}`);
+        this.contentDiv.querySelectorAll('.annotated').forEach(el => {
+            el.classList.remove('annotated', 'has-note', ...colorClasses);
+            el.removeAttribute('title');
+        });
+        const bySentence = new Map(annotations.map(annotation => [annotation.sentence, annotation]));
+        this.contentDiv.querySelectorAll('.sentence[data-index]').forEach(span => {
+            const annotation = bySentence.get(this.originalIndex(Number(span.getAttribute('data-index'))));
+            if (!annotation) return;
+            span.classList.add('annotated', `highlight-${annotation.color}`);
+            if (annotation.note) {
+                span.classList.add('has-note');
+                span.setAttribute('title', `Note: ${annotation.note}`);
+            }
+        });
+    }
+
+    exportAnnotations(format) {
+        const annotations = this.currentAnnotations();
+        if (annotations.length === 0) {
+            this.announceToScreenReader('There are no highlights or notes to export.');
+            return;
+        }
+        
+        const data = this.annotator.build({ annotations, documentInfo: this.documentInfo });
+        const fileName = this.annotator.download(data, format);
+        this.announceToScreenReader(`Notes saved as ${fileName}`);
     }
 
     loadSettings() {
         const settings = localStorage.getItem('smartDocumentReader');
         if (settings) {
             const parsed = JSON.parse(settings);
-            if (parsed.accessibilityMode) this.toggleAccessibilityMode();
+            if (READING_MODES[parsed.mode]) {
+                this.mode = parsed.mode;
+            } else if (parsed.accessibilityMode === false) {
+                // Settings saved before the mode selector only had the on/off toggle
+                this.mode = 'standard';
+            }
             if (parsed.speed) this.speedSlider.value = parsed.speed;
+            if (parsed.pitch) this.pitchSlider.value = parsed.pitch;
+            if (parsed.volume !== undefined) this.volumeSlider.value = parsed.volume;
+            if (parsed.voiceURI) this.voiceURI = parsed.voiceURI;
+            if (parsed.wordsPerMinute) this.wordsPerMinute = parsed.wordsPerMinute;
+            if (parsed.wordHighlight) this.wordHighlight = parsed.wordHighlight;
+            if (parsed.shortcuts) this.commands.setOverrides(parsed.shortcuts);
+            if (parsed.display) this.display = this.displayPreferences.normalize(parsed.display);
+            if (parsed.displayProfiles) {
+                Object.entries(parsed.displayProfiles).forEach(([name, preferences]) => {
+                    this.displayProfiles[name] = this.displayPreferences.normalize(preferences);
+                });
+            }
+            if (this.displayProfiles[parsed.displayProfile]) this.displayProfile = parsed.displayProfile;
         }
+        this.wpmInput.value = this.wordsPerMinute;
+        this.applyWordHighlight();
+        this.renderShortcutHints();
+        this.applyDisplay();
     }
     
     saveSettings() {
         const settings = {
-            accessibilityMode: this.accessibilityMode,
-            speed: this.speedSlider.value
+            mode: this.mode,
+            speed: this.speedSlider.value,
+            pitch: this.pitchSlider.value,
+            volume: this.volumeSlider.value,
+            voiceURI: this.voiceURI,
+            wordsPerMinute: this.wordsPerMinute,
+            wordHighlight: this.wordHighlight,
+            shortcuts: this.commands.overrides,
+            display: this.display,
+            displayProfiles: this.displayProfiles,
+            displayProfile: this.displayProfile
         };
         localStorage.setItem('smartDocumentReader', JSON.stringify(settings));
     }
 
     handleKeyboard(event) {
-        // Keyboard shortcuts for accessibility
-        if (event.ctrlKey || event.metaKey) {
-            switch(event.key) {
-                case ' ':
-                    event.preventDefault();
-                    this.togglePlayback();
-                    break;
-                case 'ArrowRight':
-                    event.preventDefault();
-                    if (this.currentSentence < this.sentences.length - 1) {
-                        this.currentSentence++;
-                        if (this.isPlaying) {
-                            this.speechSynth.cancel();
-                            setTimeout(() => this.readCurrentSentence(), 200);
-                        }
-                    }
-                    break;
-                case 'ArrowLeft':
-                    event.preventDefault();
-                    if (this.currentSentence > 0) {
-                        this.currentSentence--;
-                        if (this.isPlaying) {
-                            this.speechSynth.cancel();
-                            setTimeout(() => this.readCurrentSentence(), 200);
-                        }
-                    }
-                    break;
+        if (this.capturingShortcut) {
+            this.captureShortcut(event);
+            return;
+        }
+        
+        const shortcut = CommandRegistry.shortcutFromEvent(event);
+        const command = shortcut && this.commands.commandFor(shortcut);
+        if (!command) return;
+        
+        // Function keys bound without a modifier leave text fields alone, and so does AltGr
+        // (Ctrl+Alt on Windows), which types characters on many keyboard layouts
+        const editable = event.target.closest && event.target.closest('input, textarea, select, [contenteditable="true"]');
+        if (editable && !/^(Ctrl|Alt|Meta)\+/.test(shortcut)) return;
+        if (editable && event.getModifierState && event.getModifierState('AltGraph')) return;
+        
+        event.preventDefault();
+        this.commands.run(command.id);
+    }
+
+    registerCommands() {
+        [
+            { id: 'play-pause', label: 'Play or pause', shortcut: 'Ctrl+Alt+P', run: () => this.togglePlayback() },
+            { id: 'play', label: 'Play', run: () => { if (!this.isPlaying) this.startReading(); } },
+            { id: 'pause', label: 'Pause', run: () => { if (this.isPlaying) this.pauseReading(); } },
+            { id: 'next-sentence', label: 'Next sentence', shortcut: 'Ctrl+Alt+.', run: () => this.stepSentence(1) },
+            { id: 'previous-sentence', label: 'Previous sentence', shortcut: 'Ctrl+Alt+,', run: () => this.stepSentence(-1) },
+            { id: 'repeat-sentence', label: 'Repeat sentence', shortcut: 'Ctrl+Alt+R', run: () => this.repeatSentence() },
+            { id: 'next-paragraph', label: 'Next paragraph', shortcut: 'Ctrl+Alt+PageDown', run: () => this.jumpToParagraph(1) },
+            { id: 'previous-paragraph', label: 'Previous paragraph', shortcut: 'Ctrl+Alt+PageUp', run: () => this.jumpToParagraph(-1) },
+            { id: 'next-heading', label: 'Next heading', shortcut: 'Ctrl+Alt+Shift+PageDown', run: () => this.jumpToHeading(1) },
+            { id: 'previous-heading', label: 'Previous heading', shortcut: 'Ctrl+Alt+Shift+PageUp', run: () => this.jumpToHeading(-1) },
+            { id: 'read-section', label: 'Read this section', shortcut: 'Ctrl+Alt+Enter', run: () => this.readSection() },
+            { id: 'find', label: 'Find in document', shortcut: 'Ctrl+Alt+F', run: () => this.focusSearch() },
+            { id: 'next-match', label: 'Next match', shortcut: 'Ctrl+Alt+G', run: () => this.stepMatch(1) },
+            { id: 'previous-match', label: 'Previous match', shortcut: 'Ctrl+Alt+Shift+G', run: () => this.stepMatch(-1) },
+            { id: 'read-from-match', label: 'Read from match', run: () => this.readFromMatch() },
+            { id: 'speed-up', label: 'Speed up', shortcut: 'Ctrl+Alt+=', run: () => this.changeSpeed(1) },
+            { id: 'speed-down', label: 'Slow down', shortcut: 'Ctrl+Alt+-', run: () => this.changeSpeed(-1) },
+            { id: 'next-mode', label: 'Switch to the next reading mode', shortcut: 'Ctrl+Alt+M', run: () => this.cycleMode() },
+            ...Object.entries(READING_MODES).map(([mode, { label }]) => ({
+                id: `mode-${mode}`, label: `${label} mode`, run: () => this.setMode(mode)
+            })),
+            { id: 'upload', label: 'Upload a document', shortcut: 'Ctrl+Alt+O', run: () => this.fileInput.click() },
+            { id: 'toggle-simplified', label: 'Simplified view on or off', shortcut: 'Ctrl+Alt+V', run: () => this.toggleSimplifiedView() },
+            { id: 'add-bookmark', label: 'Bookmark current sentence', shortcut: 'Ctrl+Alt+B', run: () => this.addBookmark(this.bookmarkNameInput.value) },
+            { id: 'next-bookmark', label: 'Next bookmark', run: () => this.jumpToBookmark(1) },
+            { id: 'previous-bookmark', label: 'Previous bookmark', run: () => this.jumpToBookmark(-1) },
+            { id: 'toggle-highlight', label: 'Highlight or unhighlight current sentence', shortcut: 'Ctrl+Alt+H', run: () => this.toggleAnnotation() },
+            { id: 'command-palette', label: 'Open command palette', shortcut: 'Ctrl+Alt+K', run: () => this.openCommandPalette() },
+            { id: 'shortcut-help', label: 'Show keyboard shortcuts', shortcut: 'Ctrl+Alt+/', run: () => this.openShortcutHelp() }
+        ].forEach(command => this.commands.register(command));
+    }
+
+    focusSearch() {
+        this.searchInput.focus();
+        this.searchInput.select();
+    }
+
+    stepSentence(direction) {
+        const index = this.currentSentence + direction;
+        if (this.sentences.length === 0) {
+            this.announceToScreenReader('No document loaded. Please upload a file first.');
+            return;
+        }
+        if (index < 0 || index >= this.sentences.length) {
+            this.announceToScreenReader(direction > 0 ? 'Last sentence.' : 'First sentence.');
+            return;
+        }
+        
+        this.goToSentence(index);
+        // While reading, the sentence itself is heard; while paused, say what was moved to
+        if (!this.isPlaying) {
+            this.announceToScreenReader(`Sentence ${index + 1}: ${this.sentences[index]}`);
+        }
+    }
+
+    repeatSentence() {
+        if (this.sentences.length === 0) {
+            this.announceToScreenReader('No document loaded. Please upload a file first.');
+            return;
+        }
+        
+        if (this.isPlaying) {
+            this.goToSentence(this.currentSentence);
+        } else {
+            this.startReading();
+        }
+    }
+
+    changeSpeed(direction) {
+        const slider = this.speedSlider;
+        const step = parseFloat(slider.step);
+        const speed = Math.min(parseFloat(slider.max), Math.max(parseFloat(slider.min), parseFloat(slider.value) + direction * step));
+        slider.value = Math.round(speed * 10) / 10;
+        this.updateVoiceSettings();
+        this.announceToScreenReader(`Speed ${slider.value}`);
+    }
+
+    cycleMode() {
+        const modes = Object.keys(READING_MODES);
+        this.setMode(modes[(modes.indexOf(this.mode) + 1) % modes.length]);
+    }
+
+    openCommandPalette() {
+        if (this.commandPalette.open) return;
+        
+        this.paletteSearchInput.value = '';
+        this.renderCommandPalette();
+        this.commandPalette.showModal();
+        this.paletteSearchInput.focus();
+    }
+
+    renderCommandPalette() {
+        const matches = this.commands.search(this.paletteSearchInput.value);
+        this.paletteCount.textContent = matches.length === 0
+            ? 'No matching commands'
+            : `${matches.length} command${matches.length === 1 ? '' : 's'}. Press Enter to run the first, or Down Arrow to choose.`;
+        
+        this.sanitizer.setHTML(this.paletteList, matches.map(command => {
+            const shortcut = this.commands.shortcutFor(command.id);
+            return `
+                <li>
+                    <button type="button" class="palette-command" data-command="${FileExport.escapeMarkup(command.id)}">
+                        <span>${FileExport.escapeMarkup(command.label)}</span>
+                        ${shortcut ? `<span class="palette-shortcut">${FileExport.escapeMarkup(shortcut)}</span>` : ''}
+                    </button>
+                </li>
+            `;
+        }).join(''));
+    }
+
+    handlePaletteKeydown(event) {
+        const buttons = Array.from(this.paletteList.querySelectorAll('button[data-command]'));
+        const current = buttons.indexOf(document.activeElement);
+        
+        if (event.key === 'Enter' && event.target === this.paletteSearchInput) {
+            event.preventDefault();
+            if (buttons.length > 0) this.runFromPalette(buttons[0].getAttribute('data-command'));
+        } else if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            const next = current + (event.key === 'ArrowDown' ? 1 : -1);
+            if (next < 0) {
+                this.paletteSearchInput.focus();
+            } else if (next < buttons.length) {
+                buttons[next].focus();
             }
         }
     }
 
+    runFromPalette(id) {
+        this.commandPalette.close();
+        this.commands.run(id);
+    }
+
+    openShortcutHelp() {
+        if (this.shortcutHelp.open) return;
+        
+        this.shortcutMessage.textContent = '';
+        this.renderShortcutHelp();
+        this.shortcutHelp.showModal();
+    }
+
+    renderShortcutHelp() {
+        this.sanitizer.setHTML(this.shortcutTable, `
+            <table class="changes-table">
+                <thead>
+                    <tr><th scope="col">Command</th><th scope="col">Shortcut</th><th scope="col">Change</th></tr>
+                </thead>
+                <tbody>
+                    ${this.commands.list().map(command => {
+                        const label = FileExport.escapeMarkup(command.label);
+                        const shortcut = this.commands.shortcutFor(command.id);
+                        const recording = this.capturingShortcut === command.id;
+                        return `
+                            <tr>
+                                <th scope="row">${label}</th>
+                                <td>${recording ? 'Press a shortcut…' : shortcut ? `<kbd>${FileExport.escapeMarkup(shortcut)}</kbd>` : 'None'}</td>
+                                <td>
+                                    <button type="button" class="library-action" data-action="change" data-command="${FileExport.escapeMarkup(command.id)}" aria-label="Change shortcut for ${label}">Change</button>
+                                    ${shortcut ? `<button type="button" class="library-action" data-action="remove" data-command="${FileExport.escapeMarkup(command.id)}" aria-label="Remove shortcut for ${label}">Remove</button>` : ''}
+                                </td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `);
+    }
+
+    handleShortcutTableClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+        
+        const command = this.commands.get(button.getAttribute('data-command'));
+        if (button.getAttribute('data-action') === 'remove') {
+            this.commands.assign(command.id, null);
+            this.shortcutsChanged(`${command.label} has no shortcut now.`);
+            return;
+        }
+        
+        this.capturingShortcut = command.id;
+        this.pendingShortcut = null;
+        this.renderShortcutHelp();
+        this.shortcutMessage.textContent = `Press the new shortcut for ${command.label}, or Escape to cancel.`;
+        const row = this.shortcutTable.querySelector(`button[data-action="change"][data-command="${command.id}"]`);
+        if (row) row.focus();
+    }
+
+    // Records the next key combination as the shortcut being changed. One already used by
+    // another command has to be pressed twice, and then moves over to this one.
+    captureShortcut(event) {
+        const shortcut = CommandRegistry.shortcutFromEvent(event);
+        if (!shortcut) return;
+        
+        event.preventDefault();
+        event.stopPropagation();
+        if (shortcut === 'Escape') {
+            this.stopCapturingShortcut('Change cancelled.');
+            return;
+        }
+        
+        const command = this.commands.get(this.capturingShortcut);
+        const problem = this.commands.check(command.id, shortcut);
+        if (problem && problem.reason) {
+            this.shortcutMessage.textContent = `${problem.reason}. Press another shortcut, or Escape to cancel.`;
+            return;
+        }
+        if (problem && problem.command && this.pendingShortcut !== shortcut) {
+            this.pendingShortcut = shortcut;
+            this.shortcutMessage.textContent = `${shortcut} is already used by ${problem.command.label}. Press it again to use it for ${command.label} instead, or press another shortcut.`;
+            return;
+        }
+        
+        this.commands.assign(command.id, shortcut);
+        this.stopCapturingShortcut(problem
+            ? `${command.label}: ${shortcut}. ${problem.command.label} has no shortcut now.`
+            : `${command.label}: ${shortcut}.`);
+    }
+
+    stopCapturingShortcut(message) {
+        const id = this.capturingShortcut;
+        this.capturingShortcut = null;
+        this.pendingShortcut = null;
+        this.shortcutsChanged(message);
+        
+        const button = this.shortcutTable.querySelector(`button[data-action="change"][data-command="${id}"]`);
+        if (button) button.focus();
+    }
+
+    resetShortcuts() {
+        this.commands.reset();
+        this.shortcutsChanged('All shortcuts are back to their defaults.');
+    }
+
+    shortcutsChanged(message) {
+        this.saveSettings();
+        this.renderShortcutHelp();
+        this.renderShortcutHints();
+        this.shortcutMessage.textContent = message;
+    }
+
+    // Help text around the page names the shortcuts as currently mapped
+    renderShortcutHints() {
+        document.querySelectorAll('kbd[data-shortcut]').forEach(kbd => {
+            kbd.textContent = this.commands.shortcutFor(kbd.getAttribute('data-shortcut')) || 'no shortcut';
+        });
+    }
+
     announceToScreenReader(message) {
         // Create temporary element for screen reader announcements
         const announcement = document.createElement('div');
@@ -526,10 +2509,42 @@ class SmartDocumentReader {
         
         document.body.appendChild(announcement);
         setTimeout(() => document.body.removeChild(announcement), 1000);
+        
+        if (this.isSilent()) {
+            this.showToast(message);
+        }
+    }
+
+    showToast(message) {
+        // Visual-only copy of the announcement; screen readers already get the live region
+        const toast = document.createElement('div');
+        toast.className = message.startsWith('Error') ? 'toast toast-error' : 'toast';
+        toast.setAttribute('aria-hidden', 'true');
+        toast.textContent = message;
+        toast.addEventListener('click', () => toast.remove());
+        
+        this.toastRegion.appendChild(toast);
+        setTimeout(() => toast.remove(), 5000);
+    }
+
+    // For a library or notes action that failed while the document stays open: announced,
+    // and shown as a toast whatever the mode
+    reportError(message) {
+        this.announceToScreenReader(`Error: ${message}`);
+        if (!this.isSilent()) {
+            this.showToast(`Error: ${message}`);
+        }
     }
 
     showError(message) {
-        this.contentDiv.innerHTML = `<div style="color: red; font-weight: bold;">Error: ${message}</div>`;
+        // An import that failed must not leave the previous document half in place
+        this.clearDocument();
+        
+        const error = document.createElement('div');
+        error.className = 'error-message';
+        error.textContent = `Error: ${message}`;
+        this.contentDiv.replaceChildren(error);
+        this.simplifiedViewBtn.disabled = true;
         this.announceToScreenReader(`Error: ${message}`);
     }
 }
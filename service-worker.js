@@ -0,0 +1,90 @@
+// Keeps the reader working offline. The app shell is cached when the service worker
+// installs, so after the first visit everything is served from the cache, network or not.
+// Anything else from this site is cached the first time it loads. Bump CACHE_VERSION
+// whenever a cached file changes, or visitors keep the old copy.
+const CACHE_VERSION = 3;
+const CACHE_NAME = `smart-document-reader-v${CACHE_VERSION}`;
+
+// Everything index.html loads, keeping in step with its <script> tags, plus the OCR engine
+// and fonts, which only load when a document or display setting needs them
+const APP_SHELL = [
+    './',
+    'index.html',
+    'styles.css',
+    'script.js',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/icon-maskable-512.png',
+    'fonts/OpenDyslexic-Regular.woff2',
+    'fonts/OpenDyslexic-Bold.woff2',
+    'vendor/pdfjs/pdf.min.js',
+    'vendor/pdfjs/pdf.worker.min.js',
+    'vendor/tesseract/tesseract.min.js',
+    'vendor/tesseract/worker.min.js',
+    'vendor/tesseract/core/tesseract-core-lstm.wasm.js',
+    'vendor/tesseract/core/tesseract-core-simd-lstm.wasm.js',
+    'vendor/tesseract/lang/eng.traineddata.gz',
+    'js/zip.js',
+    'js/markdown.js',
+    'js/markup-parser.js',
+    'js/importers.js',
+    'js/pdf-layout.js',
+    'js/ocr.js',
+    'js/language.js',
+    'js/segmenter.js',
+    'js/word-highlighter.js',
+    'js/readability.js',
+    'js/auditor.js',
+    'js/simplifier.js',
+    'js/file-export.js',
+    'js/report-exporter.js',
+    'js/caption-exporter.js',
+    'js/library.js',
+    'js/annotations.js',
+    'js/outline.js',
+    'js/search.js',
+    'js/display-preferences.js',
+    'js/sanitizer.js',
+    'js/commands.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('smart-document-reader-') && name !== CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Cache first for this app's own files, storing anything not cached yet as it loads.
+// Opening the app with a query string (or from a file handler) still finds index.html.
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(
+        caches.match(request, { ignoreSearch: request.mode === 'navigate' }).then(cached => {
+            if (cached) return cached;
+            return fetch(request).then(response => {
+                // Only whole responses can be cached; partial (206) ones are passed through
+                if (response.status === 200 && response.type === 'basic') {
+                    const copy = response.clone();
+                    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.put(request, copy)));
+                }
+                return response;
+            });
+        })
+    );
+});
@@ -0,0 +1,23 @@
+// Notes exported as Markdown: highlighted text and notes are plain text on every line, and
+// the highlighted text stays inside its blockquote.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+const { DocumentAnnotations } = loadScripts(
+    ['markdown.js', 'file-export.js', 'annotations.js'], ['DocumentAnnotations']);
+
+const exportNotes = (annotation) => new DocumentAnnotations().toMarkdown({
+    document: { fileName: 'handout.md' },
+    annotations: [{ sentence: 3, color: 'green', ...annotation }]
+});
+
+test('quotes and escapes every line of the highlighted text', () => {
+    const markdown = exportNotes({ text: 'First *line*\n# second\n- third', note: '' });
+    assert.match(markdown, /> First \\\*line\\\*\n> \\# second\n> \\- third\n$/);
+});
+
+test('escapes every line of a note', () => {
+    const markdown = exportNotes({ text: 'Quoted.', note: 'See _this_\n1. not a list\n> not a quote\n| not | a table |' });
+    assert.match(markdown, /> Quoted\.\n\nSee \\_this\\_\n1\\. not a list\n\\> not a quote\n\\\| not \\\| a table \\\|\n$/);
+});
@@ -0,0 +1,26 @@
+// Loads the reader's classic scripts into a jsdom window, in the order given, for tests of
+// the parts that need a DOM. As in the browser they share one global scope, so the classes
+// a test needs are read back out of it by name.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+
+function loadScripts(scripts, names) {
+    const dom = new JSDOM('<!DOCTYPE html><body></body>', { runScripts: 'outside-only' });
+    const context = dom.getInternalVMContext();
+    // Browser APIs jsdom does not implement, taken from Node
+    ['TextDecoder', 'TextEncoder', 'DecompressionStream'].forEach(name => {
+        if (!(name in dom.window)) dom.window[name] = globalThis[name];
+    });
+    scripts.forEach(name => {
+        const file = path.join(__dirname, '..', '..', 'js', name);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    });
+    return Object.fromEntries([
+        ['window', dom.window],
+        ...names.map(name => [name, vm.runInContext(name, context)])
+    ]);
+}
+
+module.exports = { loadScripts };
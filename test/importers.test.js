@@ -0,0 +1,51 @@
+// Document text that looks like Markdown must come through the importers as text: only the
+// structure of the source document may become headings, lists, emphasis or links.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DocumentAuditor, DocumentImporter } = require('../node/core');
+
+const WORD_DOCUMENT = (paragraphs) => '<?xml version="1.0" encoding="UTF-8"?>'
+    + '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>'
+    + paragraphs.join('') + '</w:body></w:document>';
+
+const run = (text, properties = '') => `<w:r>${properties}<w:t xml:space="preserve">${text}</w:t></w:r>`;
+
+function renderParagraph(importer, xml) {
+    const paragraph = importer.parseXML(WORD_DOCUMENT([xml])).getElementsByTagName('w:p')[0];
+    return new DocumentAuditor().render(importer.docxRunsToMarkdown(paragraph, 'en'), 'docx');
+}
+
+test('Word paragraphs that start like Markdown blocks stay paragraphs', () => {
+    const importer = new DocumentImporter();
+    assert.equal(renderParagraph(importer, `<w:p>${run('# Not a heading')}</w:p>`), '<p># Not a heading</p>');
+    assert.equal(renderParagraph(importer, `<w:p>${run('1. Not a list')}</w:p>`), '<p>1. Not a list</p>');
+    assert.equal(renderParagraph(importer, `<w:p>${run('- Not a bullet')}</w:p>`), '<p>- Not a bullet</p>');
+    assert.equal(renderParagraph(importer, `<w:p>${run('&gt; Not a quote')}</w:p>`), '<p>&gt; Not a quote</p>');
+});
+
+test('Word runs keep Markdown characters as text inside real formatting', () => {
+    const importer = new DocumentImporter();
+    const html = renderParagraph(importer,
+        `<w:p>${run('Bold *stars*', '<w:rPr><w:b/></w:rPr>')}${run(' and [x](y), a\\b, `c`, _u_, ~~s~~, &amp;copy;')}</w:p>`);
+    assert.equal(html, '<p><strong>Bold *stars*</strong> and [x](y), a\\b, `c`, _u_, ~~s~~, &amp;copy;</p>');
+});
+
+test('HTML text that looks like Markdown is not reinterpreted', async () => {
+    const importer = new DocumentImporter();
+    const file = new File([
+        '<html><body><p>*stars* and [x](y) and _u_</p><p># hash</p><p>1. one</p>'
+        + '<ul><li>2. item <em>*a*</em></li></ul><table><tr><td>*c*</td><td>a|b</td></tr></table>'
+        + '<pre>*code* stays</pre><p>Line<br>- dash<br>10) ten</p></body></html>'
+    ], 'page.html');
+    const { text } = await importer.importFile(file, 'html');
+
+    assert.equal(new DocumentAuditor().render(text, 'html'), [
+        '<p>*stars* and [x](y) and _u_</p>',
+        '<p># hash</p>',
+        '<p>1. one</p>',
+        '<ul>\n<li>2. item <em>*a*</em></li>\n</ul>',
+        '<table>\n<thead>\n<tr><th scope="col">*c*</th><th scope="col">a|b</th></tr>\n</thead>\n</table>',
+        '<pre><code>*code* stays</code></pre>',
+        '<p>Line<br>\n- dash<br>\n10) ten</p>'
+    ].join('\n'));
+});
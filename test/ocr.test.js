@@ -0,0 +1,29 @@
+// Recognized words are text: Markdown characters in them are kept, and only words OCR was
+// unsure of are marked up.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+const { OCREngine, MarkdownRenderer } = loadScripts(['markdown.js', 'ocr.js'], ['OCREngine', 'MarkdownRenderer']);
+
+// Tesseract's result shape: paragraphs of lines of words with a 0-100 confidence
+const recognized = (...lines) => ({
+    paragraphs: [{ lines: lines.map(words => ({ words: words.map(([text, confidence = 95]) => ({ text, confidence })) })) }]
+});
+
+function render(data) {
+    const blocks = new OCREngine().toBlocks(data, 0);
+    return new MarkdownRenderer({ breaks: true }).render(blocks.map(block => block.text).join('\n\n'));
+}
+
+test('words that look like Markdown are not reinterpreted', () => {
+    assert.equal(render(recognized([['*bold*'], ['_x_'], ['[3](2019)']])), '<p>*bold* _x_ [3](2019)</p>');
+    assert.equal(render(recognized([['>'], ['quoted']])), '<p>&gt; quoted</p>');
+    assert.equal(render(recognized([['-'], ['dash']])), '<p>- dash</p>');
+    assert.equal(render(recognized([['1.'], ['first']])), '<p>1. first</p>');
+});
+
+test('uncertain words are marked with their escaped text', () => {
+    const html = render(recognized([['The'], ['*star*', 41], ['word', 52]]));
+    assert.match(html, /^<p>The <span class="ocr-uncertain"[^>]*>\*star\*<\/span> <span class="ocr-uncertain"[^>]*>word<\/span><\/p>$/);
+});
@@ -0,0 +1,37 @@
+// Text from a PDF's text layer is prose, not Markdown: only the headings, lists and tables the
+// layout extractor recognizes may become markup.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DocumentAuditor } = require('../node/core');
+
+function render(blocks) {
+    const auditor = new DocumentAuditor();
+    return auditor.render(auditor.pdfExtractor.toMarkdown(blocks), 'pdf');
+}
+
+test('paragraph text that looks like Markdown stays text', () => {
+    assert.equal(render([
+        { page: 0, role: 'P', text: 'A *significant* change, see [3](2019).' },
+        { page: 0, role: 'P', text: '2019. The year the survey began.' },
+        { page: 0, role: 'P', text: '> Not a quotation' }
+    ]), [
+        '<p>A *significant* change, see [3](2019).</p>',
+        '<p>2019. The year the survey began.</p>',
+        '<p>&gt; Not a quotation</p>'
+    ].join('\n'));
+});
+
+test('headings, list items and table cells are escaped inside their markup', () => {
+    assert.equal(render([
+        { page: 0, role: 'H', level: 2, text: '1. Results *so far*' },
+        { page: 0, role: 'LI', text: '• _under_ [x](y)' },
+        { page: 0, role: 'LI', text: '– # not a heading' },
+        { page: 0, role: 'TR', text: '*a* | b', cells: ['*a*', '[b](c)'] },
+        { page: 0, role: 'TR', text: '> d | e', cells: ['> d', '1. e'] }
+    ]), [
+        '<h2>1. Results *so far*</h2>',
+        '<ul>\n<li>_under_ [x](y)</li>\n<li># not a heading</li>\n</ul>',
+        '<table>\n<thead>\n<tr><th scope="col">*a*</th><th scope="col">[b](c)</th></tr>\n</thead>\n'
+            + '<tbody>\n<tr><td>&gt; d</td><td>1. e</td></tr>\n</tbody>\n</table>'
+    ].join('\n'));
+});
@@ -0,0 +1,128 @@
+// Hostile documents: markup that would run script, load content or restyle the page if it
+// reached innerHTML. Each payload goes through HTMLSanitizer directly, and whole files go
+// through the import and rendering pipeline the reader uses for uploads.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+const {
+    window,
+    HTMLSanitizer,
+    DocumentAuditor,
+    SANITIZER_ALLOWED_TAGS,
+    SANITIZER_SAFE_URL
+} = loadScripts([
+    'zip.js', 'markdown.js', 'markup-parser.js', 'importers.js', 'pdf-layout.js', 'language.js',
+    'segmenter.js', 'readability.js', 'auditor.js', 'report-exporter.js', 'sanitizer.js'
+], ['HTMLSanitizer', 'DocumentAuditor', 'SANITIZER_ALLOWED_TAGS', 'SANITIZER_SAFE_URL']);
+
+const PAYLOADS = [
+    '<script>window.pwned = 1</script>',
+    '<img src=x onerror="window.pwned = 1">',
+    '<svg onload="window.pwned = 1"><script>window.pwned = 1</script></svg>',
+    '<math><mtext><img src=x onerror="window.pwned = 1"></mtext></math>',
+    '<iframe srcdoc="&lt;script&gt;window.pwned = 1&lt;/script&gt;"></iframe>',
+    '<a href="javascript:window.pwned = 1">link</a>',
+    '<a href="  JaVaScRiPt:window.pwned = 1">link</a>',
+    '<a href="&#106;avascript:window.pwned = 1">link</a>',
+    '<a href="java\tscript:window.pwned = 1">link</a>',
+    '<a href="data:text/html,<script>window.pwned = 1</script>">link</a>',
+    '<a href="vbscript:msgbox(1)">link</a>',
+    '<p style="background: url(javascript:window.pwned = 1)" onclick="window.pwned = 1">styled</p>',
+    '<style>body { display: none }</style>',
+    '<link rel="stylesheet" href="https://example.com/evil.css">',
+    '<meta http-equiv="refresh" content="0; url=https://example.com">',
+    '<base href="https://example.com/">',
+    '<object data="evil.swf"></object><embed src="evil.swf">',
+    '<form action="https://example.com/steal"><input type="password" name="p" onfocus="window.pwned = 1"><button formaction="javascript:window.pwned = 1">Go</button></form>',
+    '<details open ontoggle="window.pwned = 1"><summary>Open</summary></details>',
+    '<noscript><p title="</noscript><img src=x onerror=window.pwned=1>"></noscript>',
+    '<template><img src=x onerror="window.pwned = 1"></template>',
+    '<!--<img src=x onerror="window.pwned = 1">-->',
+    '<table><tr><td><img src=x onerror="window.pwned = 1"></td></tr></table>',
+    '<div id="file-input" name="contentDiv" class="ok">clobber</div>',
+    '<span data-index="1" aria-label="x" onmouseover="window.pwned = 1">text</span>',
+    '<p>unterminated <img src=x onerror="window.pwned = 1"'
+];
+
+// Only allowed tags, no event handlers, styles or sources, and only safe link targets
+function assertSafe(root, label) {
+    Array.from(root.querySelectorAll('*')).forEach(element => {
+        const tag = element.localName;
+        assert.ok(Object.hasOwn(SANITIZER_ALLOWED_TAGS, tag), `${label}: <${tag}> kept`);
+        Array.from(element.attributes).forEach(({ name, value }) => {
+            assert.ok(!name.startsWith('on'), `${label}: ${name} kept on <${tag}>`);
+            assert.ok(!['style', 'src', 'srcdoc', 'action', 'formaction', 'id'].includes(name),
+                `${label}: ${name} kept on <${tag}>`);
+            if (name === 'href') assert.match(value.trim(), SANITIZER_SAFE_URL, `${label}: unsafe href ${value}`);
+        });
+    });
+}
+
+test('removes script, handlers, styles and unsafe URLs from every payload', () => {
+    const sanitizer = new HTMLSanitizer();
+    PAYLOADS.forEach(payload => {
+        const container = window.document.createElement('div');
+        sanitizer.setHTML(container, payload);
+        assertSafe(container, payload);
+        assert.doesNotMatch(container.innerHTML, /<script|onerror=|javascript:/i, payload);
+    });
+});
+
+test('keeps allowed formatting and the text of removed elements', () => {
+    const container = window.document.createElement('div');
+    new HTMLSanitizer().setHTML(container,
+        '<h2 class="title">Head</h2><p>Some <strong>bold</strong>, <font color="red">old</font> and '
+        + '<a href="https://example.com" onclick="x()">linked</a> text.</p><script>dropped()</script>');
+
+    assert.equal(container.innerHTML,
+        '<h2 class="title">Head</h2><p>Some <strong>bold</strong>, old and '
+        + '<a href="https://example.com" target="_blank" rel="noopener noreferrer">linked</a> text.</p>');
+});
+
+test('keeps in-page links without opening a new tab', () => {
+    const container = window.document.createElement('div');
+    new HTMLSanitizer().setHTML(container, '<a href="#section-2">Section 2</a>');
+    assert.equal(container.innerHTML, '<a href="#section-2">Section 2</a>');
+});
+
+// Hostile files, rendered the way processDocument renders an upload
+const HOSTILE_DOCUMENTS = {
+    'notes.txt': 'Title <img src=x onerror="window.pwned = 1">\n\nPlain <script>window.pwned = 2</script> text.\n'
+        + '[click]{lang=en" onmouseover="window.pwned = 3} and <svg onload=window.pwned=4>',
+    'readme.md': '# Title <img src=x onerror="window.pwned = 1">\n\n[link](javascript:window.pwned=2) and '
+        + '<a href="javascript:window.pwned=3">raw</a>\n\n- item <iframe srcdoc="x"></iframe>\n\n'
+        + '![image](x" onerror="window.pwned=4)',
+    'page.html': '<html><head><meta http-equiv="refresh" content="0"></head><body>'
+        + '<h1 onclick="window.pwned = 1">Head &lt;img src=x onerror=alert(1)&gt;</h1>'
+        + '<p>Para <script>window.pwned = 2</script><a href="javascript:alert(1)">link</a> text.</p>'
+        + '<p><img src=x onerror="window.pwned = 3" alt="chart"><svg><a href="javascript:alert(1)">svg</a></svg></p>'
+        + '</body></html>',
+    '<img src=x onerror=window.pwned=1>.md': 'A file whose name is hostile. It has two sentences.'
+};
+
+test('hostile documents render as text through the import pipeline', async () => {
+    const auditor = new DocumentAuditor();
+    const sanitizer = new HTMLSanitizer();
+
+    for (const [name, content] of Object.entries(HOSTILE_DOCUMENTS)) {
+        const imported = await auditor.read(new File([content], name));
+        assert.ok(imported, `${name} was imported`);
+
+        const container = window.document.createElement('div');
+        sanitizer.setHTML(container, auditor.render(imported.text, imported.documentInfo.format));
+        assertSafe(container, name);
+        assert.ok(container.textContent.trim().length > 0, `${name} has visible text`);
+    }
+});
+
+test('markup typed in a text file is shown, not run', async () => {
+    const auditor = new DocumentAuditor();
+    const imported = await auditor.read(new File([HOSTILE_DOCUMENTS['notes.txt']], 'notes.txt'));
+    const container = window.document.createElement('div');
+    new HTMLSanitizer().setHTML(container, auditor.render(imported.text, imported.documentInfo.format));
+
+    assert.equal(container.querySelector('img, script, svg'), null);
+    assert.match(container.textContent, /<img src=x onerror="window\.pwned = 1">/);
+    assert.match(container.textContent, /<script>window\.pwned = 2<\/script>/);
+});
@@ -0,0 +1,92 @@
+// Tricky sentence boundaries, and the promise wrapElement makes: sentence i is exactly the
+// text of the spans with data-index="i", whatever inline markup splits it.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SentenceSegmenter } = require('../node/core');
+const { loadScripts } = require('./helpers/browser');
+
+// [text, the sentences it holds]
+const CORPUS = [
+    // Abbreviations
+    ['Dr. Smith met Mrs. Jones at noon. They talked.', ['Dr. Smith met Mrs. Jones at noon.', 'They talked.']],
+    ['Bring fruit, e.g. apples or pears. Then rest.', ['Bring fruit, e.g. apples or pears.', 'Then rest.']],
+    ['That is, i.e. the second one. Good.', ['That is, i.e. the second one.', 'Good.']],
+    ['See Fig. 2 for details. It shows the trend.', ['See Fig. 2 for details.', 'It shows the trend.']],
+    ['Meeting on Jan. 5 at the office. Be on time.', ['Meeting on Jan. 5 at the office.', 'Be on time.']],
+    ['Say no. Then leave.', ['Say no.', 'Then leave.']],
+
+    // Initials, initialisms and single-letter labels
+    ['J. K. Rowling wrote it. Fans loved it.', ['J. K. Rowling wrote it.', 'Fans loved it.']],
+    ['Dr. J. Smith arrived. He sat.', ['Dr. J. Smith arrived.', 'He sat.']],
+    ['J. Smith wrote the report. It was long.', ['J. Smith wrote the report.', 'It was long.']],
+    ['The U.S. Army marched. It rained.', ['The U.S. Army marched.', 'It rained.']],
+    ['They left the U.K. The weather was bad.', ['They left the U.K.', 'The weather was bad.']],
+    ['This is Plan A. Then B.', ['This is Plan A.', 'Then B.']],
+    ['Plan A. Plan B.', ['Plan A.', 'Plan B.']],
+    ['Vitamin C. It helps.', ['Vitamin C.', 'It helps.']],
+
+    // Numbers, URLs and addresses
+    ['Pi is about 3.14 and e is 2.718. Both are constants.', ['Pi is about 3.14 and e is 2.718.', 'Both are constants.']],
+    ['Version 2.0.1 shipped. Update now.', ['Version 2.0.1 shipped.', 'Update now.']],
+    ['Visit https://example.com/docs.html for more. It is free.', ['Visit https://example.com/docs.html for more.', 'It is free.']],
+    ['Email me at a.b@example.org today. Thanks.', ['Email me at a.b@example.org today.', 'Thanks.']],
+    ['1. Gather materials.\n2. Mix them.', ['1. Gather materials.', '2. Mix them.']],
+
+    // Ellipses, quotes and brackets
+    ['Wait... what happened? Nobody knows.', ['Wait... what happened?', 'Nobody knows.']],
+    ['She paused… Then she spoke.', ['She paused…', 'Then she spoke.']],
+    ['"Stop!" he shouted. Everyone froze.', ['"Stop!" he shouted.', 'Everyone froze.']],
+    ['He said "Go." She went.', ['He said "Go."', 'She went.']],
+    ['It ended (see below.) The next part began.', ['It ended (see below.)', 'The next part began.']],
+    ['Really?! Yes. Absolutely!', ['Really?!', 'Yes.', 'Absolutely!']],
+
+    // Other scripts and unfinished text
+    ['今日は晴れです。明日は雨です。', ['今日は晴れです。', '明日は雨です。']],
+    ['Trailing text without a period', ['Trailing text without a period']]
+];
+
+test('splits the tricky-case corpus', () => {
+    const segmenter = new SentenceSegmenter('en');
+    CORPUS.forEach(([text, sentences]) => {
+        assert.deepEqual(segmenter.split(text), sentences, JSON.stringify(text));
+    });
+});
+
+test('segment ranges point at the sentence text', () => {
+    const text = '  First one.   Second\tone!\n\nThird ';
+    const ranges = new SentenceSegmenter('en').segment(text);
+    assert.deepEqual(ranges.map(range => text.slice(range.start, range.end)), ['First one.', 'Second\tone!', 'Third']);
+    ranges.forEach(range => assert.equal(range.text, text.slice(range.start, range.end)));
+});
+
+test('wrapElement spans match the sentence list across inline markup', () => {
+    const { window, SentenceSegmenter: DOMSegmenter } = loadScripts(['markdown.js', 'markup-parser.js', 'segmenter.js'], ['SentenceSegmenter']);
+    const root = window.document.createElement('div');
+    root.innerHTML = '<h2>Results</h2><p>Dr. Lee <strong>found that sales rose. Costs</strong> fell <em>too</em>. '
+        + 'Trailing text</p><ul><li>One. Two</li><li>Three<br>Four.</li></ul>';
+
+    const { sentences, blocks } = new DOMSegmenter('en').wrapElement(root);
+    // Arrays made in the jsdom window are copied, as deepEqual compares prototypes
+    assert.deepEqual(Array.from(sentences), [
+        'Results', 'Dr. Lee found that sales rose.', 'Costs fell too.', 'Trailing text', 'One.', 'Two', 'Three Four.'
+    ]);
+    assert.deepEqual(Array.from(blocks, block => block.tag), ['h2', 'p', 'li', 'li']);
+
+    sentences.forEach((sentence, index) => {
+        const spans = Array.from(root.querySelectorAll(`.sentence[data-index="${index}"]`));
+        const text = spans.map(span => span.textContent).join(' ').replace(/\s+/g, ' ').trim();
+        assert.equal(text.replace(/ /g, ''), sentence.replace(/ /g, ''), `sentence ${index}`);
+    });
+});
+
+test('segmentTree finds the same sentences without changing the tree', () => {
+    const { window, SentenceSegmenter: DOMSegmenter } = loadScripts(['markdown.js', 'markup-parser.js', 'segmenter.js'], ['SentenceSegmenter']);
+    const html = '<p>A <em>short</em> one. And another!</p><p>Last</p>';
+    const root = window.document.createElement('div');
+    root.innerHTML = html;
+
+    const { sentences, sentenceOf } = new DOMSegmenter('en').segmentTree(root);
+    assert.deepEqual(Array.from(sentences), ['A short one.', 'And another!', 'Last']);
+    assert.equal(root.innerHTML, html);
+    assert.equal(sentenceOf.get(root.querySelector('em').firstChild), 0);
+});
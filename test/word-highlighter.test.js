@@ -0,0 +1,25 @@
+// Word spans added for highlighting must come out again before a copy of the document is
+// segmented anew, as the simplified view does.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+const { window, SentenceSegmenter, WordHighlighter } = loadScripts(
+    ['markdown.js', 'markup-parser.js', 'segmenter.js', 'word-highlighter.js'], ['SentenceSegmenter', 'WordHighlighter']);
+
+test('unwrapWords restores the sentence spans as segmented', () => {
+    const container = window.document.createElement('div');
+    container.innerHTML = '<p>First sentence here. Second <em>one, emphasized</em> too.</p><p>Third.</p>';
+    const { sentences } = new SentenceSegmenter('en').wrapElement(container);
+    const segmented = container.innerHTML;
+
+    const highlighter = new WordHighlighter(container);
+    sentences.forEach((text, index) => highlighter.start(index, text, 0, 60000));
+    highlighter.stop();
+    assert.ok(container.querySelectorAll('.word').length > 0);
+
+    const copy = container.cloneNode(true);
+    highlighter.unwrapWords(copy);
+    assert.equal(copy.innerHTML, segmented);
+    assert.equal(copy.querySelectorAll('.sentence .sentence, .word').length, 0);
+});